@@ -0,0 +1,226 @@
+// controllers/adminController.js
+const rbac = require('../services/rbacService');
+const taxonomy = require('../services/skillTaxonomyService');
+
+function parseTargetUserId(req, res) {
+    const targetUserId = parseInt(req.params.userId, 10);
+    if (isNaN(targetUserId)) {
+        res.status(400).json({ error: "Invalid user ID format." });
+        return null;
+    }
+    return targetUserId;
+}
+
+function parseOptionalPositiveInt(value) {
+    if (value === null || value === undefined) return null;
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : NaN;
+}
+
+// The entire module is a factory function that accepts the 'db' instance and the quota service.
+module.exports = (db, quotaService) => ({
+
+    listPrivilegedUsers: async (req, res) => {
+        try {
+            const users = await db.getUsersWithElevatedRoles();
+            res.json({ users, roles: rbac.ROLES });
+        } catch (error) {
+            console.error("[Admin] Error listing privileged users:", error);
+            res.status(500).json({ error: "Failed to list users" });
+        }
+    },
+
+    grantRole: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        const { role } = req.body;
+
+        if (!rbac.isValidRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${rbac.ROLES.join(', ')}.` });
+        }
+
+        try {
+            const changed = await db.changeUserRole(targetUserId, role);
+            if (!changed) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            if (changed.lastAdmin) {
+                return res.status(409).json({ error: "Cannot demote the last remaining admin." });
+            }
+            console.log(`[Admin] User ID ${req.user.userId} set role of user ID ${targetUserId} from '${changed.previousRole}' to '${role}'.`);
+            res.json({ message: "Role updated.", user: changed.user });
+        } catch (error) {
+            console.error("[Admin] Error granting role:", error);
+            res.status(500).json({ error: "Failed to update role" });
+        }
+    },
+
+    revokeRole: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+
+        try {
+            const target = await db.getUserById(targetUserId);
+            if (!target) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            if (target.role === 'user') {
+                return res.status(400).json({ error: "User has no elevated role to revoke." });
+            }
+            const changed = await db.changeUserRole(targetUserId, 'user');
+            if (!changed) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            if (changed.lastAdmin) {
+                return res.status(409).json({ error: "Cannot demote the last remaining admin." });
+            }
+            console.log(`[Admin] User ID ${req.user.userId} revoked role '${changed.previousRole}' from user ID ${targetUserId}.`);
+            res.json({ message: "Role revoked.", user: changed.user });
+        } catch (error) {
+            console.error("[Admin] Error revoking role:", error);
+            res.status(500).json({ error: "Failed to revoke role" });
+        }
+    },
+
+    getUserQuota: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        try {
+            const user = await db.getUserById(targetUserId);
+            if (!user) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const [quota, override, grants] = await Promise.all([
+                quotaService.getStatus(targetUserId),
+                db.getQuotaOverride(targetUserId),
+                db.getActiveQuotaGrants(targetUserId)
+            ]);
+            res.json({ quota, override: override || null, grants });
+        } catch (error) {
+            console.error("[Admin] Error fetching quota:", error);
+            res.status(500).json({ error: "Failed to fetch quota" });
+        }
+    },
+
+    setQuotaOverride: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        const limit = parseOptionalPositiveInt(req.body.limit);
+        const windowDays = parseOptionalPositiveInt(req.body.windowDays);
+        if (Number.isNaN(limit)) {
+            return res.status(400).json({ error: "limit must be a non-negative integer, or null for unlimited." });
+        }
+        if (Number.isNaN(windowDays) || windowDays === 0) {
+            return res.status(400).json({ error: "windowDays must be a positive integer, or null for a lifetime limit." });
+        }
+        try {
+            const user = await db.getUserById(targetUserId);
+            if (!user) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const override = await db.setQuotaOverride(targetUserId, { generation_limit: limit, window_days: windowDays, reason: req.body.reason || null, set_by: req.user.userId });
+            console.log(`[Admin] User ID ${req.user.userId} set quota override for user ID ${targetUserId}: limit=${limit}, windowDays=${windowDays}.`);
+            res.json({ message: "Quota override saved.", override, quota: await quotaService.getStatus(targetUserId) });
+        } catch (error) {
+            console.error("[Admin] Error setting quota override:", error);
+            res.status(500).json({ error: "Failed to set quota override" });
+        }
+    },
+
+    clearQuotaOverride: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        try {
+            const removed = await db.deleteQuotaOverride(targetUserId);
+            if (!removed) {
+                return res.status(404).json({ error: "No quota override found for this user." });
+            }
+            res.json({ message: "Quota override removed.", quota: await quotaService.getStatus(targetUserId) });
+        } catch (error) {
+            console.error("[Admin] Error clearing quota override:", error);
+            res.status(500).json({ error: "Failed to clear quota override" });
+        }
+    },
+
+    grantQuota: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        const amount = parseInt(req.body.amount, 10);
+        if (isNaN(amount) || amount <= 0) {
+            return res.status(400).json({ error: "amount must be a positive integer." });
+        }
+        const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+        if (expiresAt && isNaN(expiresAt.getTime())) {
+            return res.status(400).json({ error: "expiresAt must be a valid date." });
+        }
+        try {
+            const user = await db.getUserById(targetUserId);
+            if (!user) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const grant = await db.createQuotaGrant(targetUserId, { amount, reason: req.body.reason || null, granted_by: req.user.userId, expires_at: expiresAt });
+            console.log(`[Admin] User ID ${req.user.userId} granted ${amount} extra generation(s) to user ID ${targetUserId}.`);
+            res.status(201).json({ message: "Quota grant added.", grant, quota: await quotaService.getStatus(targetUserId) });
+        } catch (error) {
+            console.error("[Admin] Error granting quota:", error);
+            res.status(500).json({ error: "Failed to grant quota" });
+        }
+    },
+
+    resetQuota: async (req, res) => {
+        const targetUserId = parseTargetUserId(req, res);
+        if (targetUserId === null) return;
+        try {
+            const user = await db.getUserById(targetUserId);
+            if (!user) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const voided = await quotaService.reset(targetUserId, `reset_by_admin:${req.user.userId}`);
+            res.json({ message: "Quota usage reset.", voidedEntries: voided, quota: await quotaService.getStatus(targetUserId) });
+        } catch (error) {
+            console.error("[Admin] Error resetting quota:", error);
+            res.status(500).json({ error: "Failed to reset quota" });
+        }
+    },
+
+    listSkills: async (req, res) => {
+        res.json({ skills: taxonomy.listSkills() });
+    },
+
+    // New aliases apply to profiles saved from now on and to scoring; run `matches:rebuild` to rescore existing pairs.
+    addSkillAlias: async (req, res) => {
+        const fieldErrors = taxonomy.validateAlias(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Alias is invalid", fields: fieldErrors });
+        }
+        const alias = req.body.alias.trim();
+        const skill = taxonomy.resolve(req.body.skill);
+        try {
+            const created = await db.createSkillAlias({ aliasKey: taxonomy.toKey(alias), alias, skill, createdBy: req.user.userId });
+            if (!created) {
+                return res.status(409).json({ error: "An alias with this name already exists." });
+            }
+            taxonomy.addCustomAlias(created.alias, created.skill);
+            console.log(`[Admin] User ID ${req.user.userId} added skill alias '${alias}' -> '${skill}'.`);
+            res.status(201).json({ message: "Alias added.", alias: created });
+        } catch (error) {
+            console.error("[Admin] Error adding skill alias:", error);
+            res.status(500).json({ error: "Failed to add alias" });
+        }
+    },
+
+    removeSkillAlias: async (req, res) => {
+        try {
+            const removed = await db.deleteSkillAlias(taxonomy.toKey(req.params.alias));
+            if (!removed) {
+                return res.status(404).json({ error: "Custom alias not found. Built-in aliases cannot be removed." });
+            }
+            taxonomy.removeCustomAlias(removed.alias);
+            console.log(`[Admin] User ID ${req.user.userId} removed skill alias '${removed.alias}' -> '${removed.skill}'.`);
+            res.json({ message: "Alias removed.", alias: removed });
+        } catch (error) {
+            console.error("[Admin] Error removing skill alias:", error);
+            res.status(500).json({ error: "Failed to remove alias" });
+        }
+    }
+});
@@ -1,10 +1,23 @@
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const oauthState = require('../services/oauthStateService');
+const rbac = require('../services/rbacService');
+const moderation = require('../services/moderationService');
 
-module.exports = (db) => ({
-  githubAuth: (req, res) => {
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function getRefreshToken(req, sessionService) {
+  return oauthState.readCookie(req, sessionService.REFRESH_COOKIE) || (req.body && req.body.refreshToken) || null;
+}
+
+function getClientMeta(req) {
+  return { userAgent: req.headers['user-agent'], ipAddress: req.ip };
+}
+
+module.exports = (db, tokenVault, sessionService, quotaService) => ({
+  githubAuth: async (req, res) => {
     try {
       const includePrivate = req.query.include_private === 'true';
+      const returnTo = oauthState.sanitizeReturnPath(req.query.return_to);
       const baseScope = 'read:user user:email';
       const privateScope = 'repo';
       const scope = includePrivate ? `${baseScope} ${privateScope}` : baseScope;
@@ -14,8 +27,11 @@ module.exports = (db) => ({
         console.error('[AUTH_INIT] GITHUB_CLIENT_ID or GITHUB_REDIRECT_URI is not set.');
         return res.status(500).send('Server configuration error.');
       }
-      const state = 'some_random_state';
-      const authUrl = `https://github.com/login/oauth/authorize?client_id=${client_id}&redirect_uri=${encodeURIComponent(redirect_uri)}&scope=${encodeURIComponent(scope)}&state=${state}`;
+      const { state, nonce, binding, bindingHash, expiresAt } = oauthState.createState();
+      await db.createOAuthState({ nonce, binding_hash: bindingHash, include_private: includePrivate, return_to: returnTo, expires_at: expiresAt });
+      db.deleteExpiredOAuthStates().catch(err => console.warn('[AUTH_INIT] Failed to purge expired OAuth states:', err.message));
+      res.cookie(oauthState.BINDING_COOKIE, binding, { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'lax', maxAge: oauthState.STATE_TTL_MS, path: '/api/auth' });
+      const authUrl = `https://github.com/login/oauth/authorize?client_id=${client_id}&redirect_uri=${encodeURIComponent(redirect_uri)}&scope=${encodeURIComponent(scope)}&state=${encodeURIComponent(state)}`;
       console.log('[AUTH_INIT] Redirecting user to GitHub.');
       res.redirect(authUrl);
     } catch (error) {
@@ -25,14 +41,28 @@ module.exports = (db) => ({
   },
 
   githubCallback: async (req, res) => {
-    const { code } = req.query;
+    const { code, state } = req.query;
     const FE_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
     console.log('[AUTH_CALLBACK] Received callback from GitHub.');
+    const binding = oauthState.readCookie(req, oauthState.BINDING_COOKIE);
+    res.clearCookie(oauthState.BINDING_COOKIE, { path: '/api/auth' });
+    const verification = oauthState.verifyState(state, binding);
+    if (!verification.valid) {
+      console.warn(`[AUTH_CALLBACK] Rejected OAuth state: ${verification.code}`);
+      return res.redirect(`${FE_URL}/?error=${verification.code}`);
+    }
     if (!code) {
       console.error('[AUTH_CALLBACK] No authorization code received.');
       return res.redirect(`${FE_URL}/?error=authorization_code_missing`);
     }
     try {
+      const storedState = await db.consumeOAuthState(verification.nonce, verification.bindingHash);
+      if (!storedState) {
+        const existing = await db.getOAuthState(verification.nonce);
+        const errorCode = !existing ? 'state_invalid' : existing.consumed_at ? 'state_replayed' : 'state_expired';
+        console.warn(`[AUTH_CALLBACK] Rejected OAuth state: ${errorCode}`);
+        return res.redirect(`${FE_URL}/?error=${errorCode}`);
+      }
       console.log('[AUTH_CALLBACK] Exchanging code for access token...');
       const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', { client_id: process.env.GITHUB_CLIENT_ID, client_secret: process.env.GITHUB_CLIENT_SECRET, code: code }, { headers: { 'Accept': 'application/json' } });
       const accessToken = tokenResponse.data.access_token;
@@ -50,9 +80,23 @@ module.exports = (db) => ({
         user = await db.createUser({ github_id: githubUser.id.toString(), github_username: githubUser.login, github_avatar_url: githubUser.avatar_url, github_profile_url: githubUser.html_url });
         console.log(`[AUTH_CALLBACK] Created new user in DB with ID: ${user.id}`);
       }
-      const token = jwt.sign({ userId: user.id, githubId: user.github_id, username: user.github_username, accessToken: accessToken }, process.env.JWT_SECRET, { expiresIn: '24h' });
-      console.log('[AUTH_CALLBACK] JWT created. Redirecting to frontend.');
-      return res.redirect(`${FE_URL}/auth/callback?token=${token}`);
+      // Only a bootstrap admin whose role was never assigned is promoted, so a demotion sticks.
+      if (!user.role_assigned_at && rbac.isBootstrapAdmin(user.github_id)) {
+        const [promoted] = await db.promoteUsersToAdminByGithubIds([user.github_id]);
+        if (promoted) {
+          user = { ...user, ...promoted };
+          console.log(`[AUTH_CALLBACK] Promoted bootstrap admin user ID ${user.id}.`);
+        }
+      }
+      if (moderation.isSuspended(user)) {
+        console.warn(`[AUTH_CALLBACK] Refused sign-in for suspended user ID ${user.id}.`);
+        return res.redirect(`${FE_URL}/?error=account_suspended`);
+      }
+      await tokenVault.storeToken(user.id, accessToken, tokenResponse.data.scope);
+      const { accessToken: token, refreshToken } = await sessionService.createSession(user, getClientMeta(req));
+      res.cookie(sessionService.REFRESH_COOKIE, refreshToken, sessionService.refreshCookieOptions());
+      console.log('[AUTH_CALLBACK] Session created. Redirecting to frontend.');
+      return res.redirect(`${FE_URL}/auth/callback?token=${token}&privateAccess=${storedState.include_private}&returnTo=${encodeURIComponent(storedState.return_to || '/')}`);
     } catch (err) {
       console.error('[AUTH_CALLBACK] FATAL ERROR during OAuth flow:', err.message);
       if (err.response) console.error('[AUTH_CALLBACK] Error Response Data:', err.response.data);
@@ -66,14 +110,104 @@ module.exports = (db) => ({
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
-      const generationCount = await db.getGenerationCount(user.id);
+      const quota = await quotaService.getStatus(user.id);
       const savedProfile = await db.getUserProfile(user.id);
-      const limit = 3;
-      const canGenerate = generationCount < limit;
-      res.json({ user: { id: user.id, username: user.github_username, avatar_url: user.github_avatar_url, profile_url: user.github_profile_url }, generationCount, hasSavedProfile: !!savedProfile, canGenerate, remainingAttempts: Math.max(0, limit - generationCount) });
+      const githubToken = await tokenVault.getTokenStatus(user.id);
+      res.json({ user: { id: user.id, username: user.github_username, avatar_url: user.github_avatar_url, profile_url: user.github_profile_url, role: user.role, plan: user.plan }, generationCount: quota.used, hasSavedProfile: !!savedProfile, canGenerate: quota.canGenerate, remainingAttempts: quota.remaining, quota, githubTokenStatus: githubToken.status });
     } catch (err) {
       console.error(`[GET_USER] Error fetching user data for user ID ${req.user.userId}:`, err);
       res.status(500).json({ error: 'Failed to get user data' });
     }
+  },
+
+  revokeGithubToken: async (req, res) => {
+    try {
+      const revoked = await tokenVault.revokeToken(req.user.userId);
+      if (!revoked) {
+        return res.status(404).json({ error: 'No active GitHub token to revoke' });
+      }
+      res.json({ success: true, message: 'GitHub access revoked. Sign in with GitHub again to regenerate your profile.' });
+    } catch (err) {
+      console.error(`[REVOKE_TOKEN] Error revoking GitHub token for user ID ${req.user.userId}:`, err);
+      res.status(500).json({ error: 'Failed to revoke GitHub token' });
+    }
+  },
+
+  refresh: async (req, res) => {
+    try {
+      const presented = getRefreshToken(req, sessionService);
+      const result = await sessionService.rotateRefreshToken(presented, getClientMeta(req));
+      if (!result.ok) {
+        res.clearCookie(sessionService.REFRESH_COOKIE, { path: '/api/auth' });
+        return res.status(401).json({ error: 'Could not refresh session', code: result.code });
+      }
+      res.cookie(sessionService.REFRESH_COOKIE, result.refreshToken, sessionService.refreshCookieOptions());
+      // Clients that sent the refresh token in the body (no cookie support) get the rotated one back the same way.
+      const fromBody = !!(req.body && req.body.refreshToken);
+      res.json({ token: result.accessToken, ...(fromBody ? { refreshToken: result.refreshToken } : {}) });
+    } catch (err) {
+      console.error('[REFRESH] Error refreshing session:', err);
+      res.status(500).json({ error: 'Failed to refresh session' });
+    }
+  },
+
+  logout: async (req, res) => {
+    try {
+      let session = await sessionService.findSessionByRefreshToken(getRefreshToken(req, sessionService));
+      if (!session) {
+        // Fall back to the access token so a client without its refresh token can still end the session.
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        if (token) {
+          const payload = await sessionService.verifyAccessToken(token).catch(() => null);
+          if (payload && payload.sid) session = { id: payload.sid, user_id: payload.userId };
+        }
+      }
+      res.clearCookie(sessionService.REFRESH_COOKIE, { path: '/api/auth' });
+      if (session) {
+        await sessionService.revokeSession(session.id, session.user_id, 'logout');
+      }
+      res.json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+      console.error('[LOGOUT] Error ending session:', err);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  },
+
+  listSessions: async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user.userId);
+      res.json({ sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sessionId })) });
+    } catch (err) {
+      console.error(`[SESSIONS] Error listing sessions for user ID ${req.user.userId}:`, err);
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  },
+
+  revokeSession: async (req, res) => {
+    const { sessionId } = req.params;
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format.' });
+    }
+    try {
+      const revoked = await sessionService.revokeSession(sessionId, req.user.userId);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Active session not found' });
+      }
+      res.json({ success: true, message: 'Session revoked', current: sessionId === req.user.sessionId });
+    } catch (err) {
+      console.error(`[SESSIONS] Error revoking session for user ID ${req.user.userId}:`, err);
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  },
+
+  revokeOtherSessions: async (req, res) => {
+    try {
+      const revokedCount = await sessionService.revokeOtherSessions(req.user.userId, req.user.sessionId);
+      res.json({ success: true, revokedCount });
+    } catch (err) {
+      console.error(`[SESSIONS] Error revoking sessions for user ID ${req.user.userId}:`, err);
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
   }
 });
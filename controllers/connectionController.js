@@ -1,5 +1,18 @@
-// The entire module is now a factory function that accepts the 'db' instance.
-module.exports = (db) => ({
+const privacy = require('../services/profilePrivacyService');
+
+// Connection lists show a short profile preview, subject to the other user's privacy settings.
+function profilePreview(row, isConnected) {
+    const settings = privacy.settingsFromRow(row);
+    if (!row.profile_data || !privacy.canViewProfile(settings, { isConnected })) return null;
+    const { technical = {} } = privacy.filterProfile(row.profile_data, settings);
+    return {
+        headline: technical.headline || null,
+        potentialRoles: (technical.potentialRoles || []).slice(0, 2)
+    };
+}
+
+// The entire module is now a factory function that accepts the 'db' instance, the notification service and the connection lifecycle rules.
+module.exports = (db, notifications, lifecycle) => ({
 
     sendRequest: async (req, res) => {
         const requesterId = req.user.userId;
@@ -15,15 +28,48 @@ module.exports = (db) => ({
         if (requesterId === numericAddresseeId) {
             return res.status(400).json({ error: "Cannot connect with yourself." });
         }
+        const { errors: fieldErrors, request } = lifecycle.validateRequest(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Connection request is invalid", fields: fieldErrors });
+        }
 
         try {
+            if (await db.getBlockBetween(requesterId, numericAddresseeId)) {
+                return res.status(403).json({ error: "You cannot send a connection request to this user." });
+            }
             // Use the injected 'db' object for all database operations
             const existingStatus = await db.getConnectionStatus(requesterId, numericAddresseeId);
-            if (existingStatus) {
+            if (existingStatus && !lifecycle.canTransition(existingStatus, 'pending', requesterId)) {
                 return res.status(400).json({ error: `A connection or request already exists with status: ${existingStatus.status}.` });
             }
+            const { canRequest, retryAt } = lifecycle.requestAvailability(existingStatus, requesterId);
+            if (!canRequest) {
+                return res.status(409).json({ error: "This user declined your last request. You can ask again later.", canRequestAfter: retryAt });
+            }
+            // The score that prompted the request, as the requester's suggestions showed it.
+            const score = await db.getMatchScore(requesterId, numericAddresseeId, request.mode);
+            const details = {
+                introMessage: request.introMessage,
+                matchScore: score ? score.score : null,
+                matchMode: score ? request.mode : null
+            };
 
-            const connection = await db.createConnectionRequest(requesterId, numericAddresseeId);
+            // A pair that was declined, cancelled, expired or removed keeps its row; the new request reuses it.
+            // The request limits are checked as part of sending.
+            const { connection, limited } = await lifecycle.sendRequest(requesterId, numericAddresseeId, existingStatus, details);
+            if (limited) {
+                if (limited.retryAt) res.set('Retry-After', String(Math.max(1, Math.ceil((limited.retryAt - Date.now()) / 1000))));
+                return res.status(429).json({ error: limited.error, code: limited.code, limit: limited.limit, retryAt: limited.retryAt });
+            }
+            if (!connection) {
+                return res.status(409).json({ error: "The connection changed while sending the request. Please try again." });
+            }
+            await notifications.notify(numericAddresseeId, 'connection_request', {
+                connectionId: connection.id,
+                userId: requesterId,
+                username: req.user.username,
+                introMessage: connection.intro_message
+            });
             res.status(201).json({ message: "Connection request sent.", connection });
 
         } catch (error) {
@@ -40,7 +86,19 @@ module.exports = (db) => ({
         try {
             // Use the injected 'db' object
             const requests = await db.getPendingRequestsForUser(userId);
-            res.json({ pendingRequests: requests });
+            res.json({
+                pendingRequests: requests.map(r => ({
+                    id: r.id,
+                    requester_id: r.requester_id,
+                    requester_username: r.requester_username,
+                    requester_avatar: r.requester_avatar,
+                    intro_message: r.intro_message,
+                    match_score: r.match_score,
+                    match_mode: r.match_mode,
+                    requested_at: r.requested_at,
+                    profile: profilePreview(r, false)
+                }))
+            });
         } catch (error) {
             console.error("Error fetching pending requests:", error);
             res.status(500).json({ error: "Failed to fetch pending requests" });
@@ -72,11 +130,20 @@ module.exports = (db) => ({
         }
 
         try {
-            // Use the injected 'db' object
-            const connection = await db.acceptConnectionRequest(numericRequesterId, addresseeId);
+            const existing = await db.getBlockBetween(numericRequesterId, addresseeId)
+                ? undefined
+                : await db.getConnectionStatus(numericRequesterId, addresseeId);
+            const connection = existing && existing.requester_id === numericRequesterId && lifecycle.canTransition(existing, 'accepted', addresseeId)
+                ? await db.transitionConnection(existing.id, { fromStatuses: ['pending'], toStatus: 'accepted', actorId: addresseeId })
+                : undefined;
             if (!connection) {
                 return res.status(404).json({ error: "Pending request not found, already actioned, or you are not the addressee." });
             }
+            await notifications.notify(numericRequesterId, 'connection_accepted', {
+                connectionId: connection.id,
+                userId: addresseeId,
+                username: req.user.username
+            });
             res.json({ message: "Connection request accepted.", connection });
         } catch (error) {
             console.error("Error accepting connection request:", error);
@@ -84,6 +151,7 @@ module.exports = (db) => ({
         }
     },
 
+    // The addressee declines a pending request; the requester cancels it. The row is kept with its new state.
     declineOrCancelRequest: async (req, res) => {
         const currentUserId = req.user.userId;
         const connectionId = parseInt(req.params.connectionId, 10);
@@ -93,24 +161,95 @@ module.exports = (db) => ({
         }
 
         try {
-            // Use the injected 'db' object
-            const rowCount = await db.declineOrCancelConnectionRequest(connectionId, currentUserId);
-            if (rowCount === 0) {
+            const existing = await db.getConnectionById(connectionId);
+            const toStatus = existing && existing.requester_id === currentUserId ? 'cancelled' : 'declined';
+            const connection = existing && lifecycle.canTransition(existing, toStatus, currentUserId)
+                ? await db.transitionConnection(connectionId, { fromStatuses: ['pending'], toStatus, actorId: currentUserId })
+                : undefined;
+            if (!connection) {
                 return res.status(404).json({ error: "Pending request not found or you are not authorized to perform this action." });
             }
-            res.json({ message: "Connection request declined/cancelled successfully." });
+            res.json({ message: `Connection request ${toStatus}.`, status: lifecycle.describeForUser(connection, currentUserId) });
         } catch (error) {
             console.error("Error declining/cancelling request:", error);
             res.status(500).json({ error: "Failed to decline/cancel request" });
         }
     },
 
+    // Ends an accepted connection. Either side can do this; the pair's conversation is closed.
+    removeConnection: async (req, res) => {
+        const currentUserId = req.user.userId;
+        const connectionId = parseInt(req.params.connectionId, 10);
+
+        if (isNaN(connectionId)) {
+            return res.status(400).json({ error: "Valid connection ID is required." });
+        }
+
+        try {
+            const existing = await db.getConnectionById(connectionId);
+            const connection = existing && lifecycle.canTransition(existing, 'removed', currentUserId)
+                ? await db.transitionConnection(connectionId, { fromStatuses: ['accepted'], toStatus: 'removed', actorId: currentUserId })
+                : undefined;
+            if (!connection) {
+                return res.status(404).json({ error: "Connection not found or not currently accepted." });
+            }
+            res.json({ message: "Connection removed.", status: lifecycle.describeForUser(connection, currentUserId) });
+        } catch (error) {
+            console.error("Error removing connection:", error);
+            res.status(500).json({ error: "Failed to remove connection" });
+        }
+    },
+
+    // Every state the connection has been through, oldest first, for either of its two users.
+    getHistory: async (req, res) => {
+        const currentUserId = req.user.userId;
+        const connectionId = parseInt(req.params.connectionId, 10);
+
+        if (isNaN(connectionId)) {
+            return res.status(400).json({ error: "Valid connection ID is required." });
+        }
+
+        try {
+            const connection = await db.getConnectionById(connectionId);
+            if (!connection || (connection.requester_id !== currentUserId && connection.addressee_id !== currentUserId)) {
+                return res.status(404).json({ error: "Connection not found." });
+            }
+            const otherUserId = connection.requester_id === currentUserId ? connection.addressee_id : connection.requester_id;
+            if (await db.getBlockBetween(currentUserId, otherUserId)) {
+                return res.status(404).json({ error: "Connection not found." });
+            }
+            const events = await db.getConnectionEvents(connectionId);
+            res.json({
+                status: lifecycle.describeForUser(connection, currentUserId),
+                history: events.map(event => ({
+                    from: event.from_status,
+                    to: event.to_status,
+                    by: event.actor_id === null ? 'system' : (event.actor_id === currentUserId ? 'you' : 'them'),
+                    at: event.created_at
+                }))
+            });
+        } catch (error) {
+            console.error("Error fetching connection history:", error);
+            res.status(500).json({ error: "Failed to fetch connection history" });
+        }
+    },
+
     getActiveConnections: async (req, res) => {
         const userId = req.user.userId;
         try {
             // Use the injected 'db' object
             const connections = await db.getActiveConnections(userId);
-            res.json({ activeConnections: connections });
+            res.json({
+                activeConnections: connections.map(c => ({
+                    id: c.id,
+                    connection_id: c.connection_id,
+                    github_username: c.github_username,
+                    github_avatar_url: c.github_avatar_url,
+                    github_profile_url: c.github_profile_url,
+                    created_at: c.created_at,
+                    profile: profilePreview(c, true)
+                }))
+            });
         } catch (error) {
             console.error("Error fetching active connections:", error);
             res.status(500).json({ error: "Failed to fetch active connections" });
@@ -133,16 +272,19 @@ module.exports = (db) => ({
         }
 
         try {
+            // A block hides the pair from each other: only the blocker is told, and neither side can request.
+            const block = await db.getBlockBetween(currentUserId, viewedUserId);
+            if (block) {
+                const hidden = { status: null, canRequest: false, canRequestAfter: null };
+                return res.json(block.blocker_id === currentUserId ? { ...hidden, blockedByYou: true } : hidden);
+            }
+
             // This reuses the same database function that sendRequest uses to check for existing connections.
             const connection = await db.getConnectionStatus(currentUserId, viewedUserId);
 
-            if (!connection) {
-                // No connection record exists, so the status is null.
-                return res.json({ status: null });
-            }
-
-            // A connection was found, return its status (e.g., 'pending', 'accepted').
-            return res.json({ status: connection.status });
+            // The state as seen from this side: direction, who changed it last, and whether a new request is possible.
+            // With no connection record the status is null.
+            return res.json(lifecycle.describeForUser(connection, currentUserId));
 
         } catch (error) {
             console.error("Error in getStatus controller:", error);
@@ -43,10 +43,14 @@ function createOrQueryFromCvText(rawText) {
 }
 
 
+// Jobs retrieved by each funnel before re-ranking.
+const KEYWORD_CANDIDATES = 10;
+const SEMANTIC_CANDIDATES = 10;
+
 // --- CONTROLLER ---
 
-// The entire module is a factory function that accepts the 'db' instance.
-module.exports = (db) => ({
+// The entire module is a factory function that accepts the 'db' instance and the embedding service.
+module.exports = (db, embeddings) => ({
     // This function remains unchanged as its logic is correct and working.
     uploadUserCv: async (req, res) => {
         if (!req.file) {
@@ -62,6 +66,8 @@ module.exports = (db) => ({
                 return res.status(400).json({ message: 'Could not extract sufficient text from the CV.' });
             }
             const savedCv = await db.saveUserCv(userId, cvText, req.file.originalname);
+            // Job matching falls back to keywords alone if the CV cannot be embedded now.
+            await embeddings.indexCv(userId, cvText).catch(err => console.error(`[CV Upload] Embedding failed for user ${userId}:`, err.message));
             res.status(201).json({
                 message: "CV uploaded and processed successfully.",
                 cv: { originalFilename: savedCv.original_filename, updatedAt: savedCv.updated_at }
@@ -90,21 +96,44 @@ module.exports = (db) => ({
             const cvText = userCv.cv_text;
 
             // --- STEP 1: Get Initial Candidates (The Fast Funnel) ---
+            // Keyword matches and the nearest jobs by embedding are merged, so a job described
+            // in different words than the CV can still be found.
             const orQueryString = createOrQueryFromCvText(cvText);
-            if (orQueryString === '') {
-                return res.json({ message: "Could not extract any relevant keywords from your CV.", matchedJobs: [] });
+            let keywordMatches = [];
+            if (orQueryString !== '') {
+                const searchQuery = `
+                    SELECT id, job_title, company_name, job_url, description_html,
+                           ts_rank(searchable_text, to_tsquery('english', $1)) AS score
+                    FROM jobs WHERE searchable_text @@ to_tsquery('english', $1)
+                    ORDER BY score DESC LIMIT ${KEYWORD_CANDIDATES};
+                `;
+                keywordMatches = (await db.query(searchQuery, [orQueryString])).rows;
+            }
+
+            let similarities = new Map();
+            try {
+                await embeddings.indexCv(userId, cvText);
+                similarities = await embeddings.similarities({ sourceType: 'cv', sourceId: userId, targetType: 'job', limit: SEMANTIC_CANDIDATES });
+                const keywordOnlyIds = keywordMatches.map(job => job.id).filter(id => !similarities.has(id));
+                if (keywordOnlyIds.length > 0) {
+                    const extra = await embeddings.similarities({ sourceType: 'cv', sourceId: userId, targetType: 'job', onlyIds: keywordOnlyIds });
+                    extra.forEach((similarity, id) => similarities.set(id, similarity));
+                }
+            } catch (err) {
+                console.error(`[CV Match] Semantic retrieval failed for user ${userId}, using keywords only:`, err.message);
+                similarities = new Map();
             }
-            const searchQuery = `
-                SELECT id, job_title, company_name, job_url, description_html,
-                       ts_rank(searchable_text, to_tsquery('english', $1)) AS score
-                FROM jobs WHERE searchable_text @@ to_tsquery('english', $1)
-                ORDER BY score DESC LIMIT 10;
-            `;
-            const initialResults = await db.query(searchQuery, [orQueryString]);
-            const initialMatches = initialResults.rows;
+
+            const keywordIds = new Set(keywordMatches.map(job => job.id));
+            const semanticOnlyIds = [...similarities.keys()].filter(id => !keywordIds.has(id));
+            const semanticOnlyJobs = semanticOnlyIds.length > 0 ? await db.getJobsByIds(semanticOnlyIds) : [];
+            const initialMatches = [...keywordMatches, ...semanticOnlyJobs.map(job => ({ ...job, score: 0 }))];
 
             if (initialMatches.length === 0) {
-                return res.json({ message: "No initial text-based matches found.", matchedJobs: [] });
+                return res.json({
+                    message: orQueryString === '' ? "Could not extract any relevant keywords from your CV." : "No initial text-based matches found.",
+                    matchedJobs: []
+                });
             }
 
             // --- STEP 2: Get AI Score for Each Candidate (The Deep Analysis) ---
@@ -115,19 +144,24 @@ module.exports = (db) => ({
             const aiResults = await Promise.all(analysisPromises);
 
             // --- STEP 3: Calculate Blended Score and Re-Rank (The Final Result) ---
-            const pgWeight = 0.3; // 30% weight for the keyword match score
+            // Without embeddings the keyword score carries the full 30%; with them it is split evenly with cosine similarity.
+            const semantic = similarities.size > 0;
+            const pgWeight = semantic ? 0.15 : 0.3; // weight for the keyword match score
+            const semanticWeight = semantic ? 0.15 : 0; // weight for the embedding similarity
             const aiWeight = 0.7; // 70% weight for the AI's fundamental understanding score
-            const maxPgScore = initialMatches[0].score > 0 ? initialMatches[0].score : 1; // Avoid division by zero
+            const maxPgScore = Math.max(...initialMatches.map(job => job.score)) || 1; // Avoid division by zero
 
             const rerankedJobs = initialMatches.map((job, index) => {
                 const aiScore = aiResults[index].aiScore;
                 // Normalize the keyword score to a 0-1 scale
                 const normalizedPgScore = job.score / maxPgScore;
+                const semanticScore = Math.max(0, similarities.get(job.id) || 0);
                 // Calculate the final blended score
-                const finalScore = (normalizedPgScore * pgWeight) + ((aiScore / 100) * aiWeight);
+                const finalScore = (normalizedPgScore * pgWeight) + (semanticScore * semanticWeight) + ((aiScore / 100) * aiWeight);
 
                 return {
                     ...job,
+                    semanticSimilarity: semantic ? semanticScore : null,
                     aiAnalysis: {
                         score: aiScore,
                         reason: aiResults[index].reason
@@ -4,8 +4,8 @@ const path = require('path');
 
 // REMOVED: const db = require('../services/databaseService');
 
-// The entire module is now a factory function that accepts the 'db' instance.
-module.exports = (db) => ({
+// The entire module is now a factory function that accepts the 'db' instance and the embedding service.
+module.exports = (db, embeddings) => ({
 
     getAllJobs: async (req, res) => {
         try {
@@ -31,6 +31,11 @@ module.exports = (db) => ({
             console.log(`[Importer] Import complete. Result:`, result);
             res.status(200).json({ message: "Import process completed successfully.", details: result });
 
+            // New and changed descriptions are embedded after responding; this can take a while with a remote provider.
+            embeddings.backfill('job')
+                .then(summary => console.log(`[Importer] Embedded ${summary.embedded} job(s), ${summary.skipped} unchanged.`))
+                .catch(err => console.error(`[Importer] Job embedding failed:`, err.message));
+
         } catch (error) {
             console.error(`[Importer] Failed to import jobs:`, error);
             res.status(500).json({ message: "Failed to import jobs.", error: error.message });
@@ -0,0 +1,202 @@
+// controllers/messageController.js
+const messaging = require('../services/messagingService');
+
+const NOTIFICATION_PREVIEW_LENGTH = 140;
+
+// Loads the conversation named in the URL if the current user takes part in it; otherwise responds and returns null.
+async function loadConversation(db, req, res) {
+    const conversationId = parseInt(req.params.conversationId, 10);
+    if (isNaN(conversationId)) {
+        res.status(400).json({ error: "Invalid conversation ID format." });
+        return null;
+    }
+    const conversation = await db.getConversationForUser(conversationId, req.user.userId);
+    if (!conversation) {
+        res.status(404).json({ error: "Conversation not found." });
+        return null;
+    }
+    return conversation;
+}
+
+// `read` tells the sender whether the recipient has seen their message, and the recipient whether they have.
+function toMessage(row, currentUserId, { ownReadId, otherReadId }) {
+    const isOwn = row.sender_id === currentUserId;
+    return {
+        id: row.id,
+        sender_id: row.sender_id,
+        body: row.body,
+        deleted: row.deleted_at !== null,
+        created_at: row.created_at,
+        read: row.id <= (isOwn ? otherReadId : ownReadId)
+    };
+}
+
+// The entire module is a factory function that accepts the 'db' instance and the notification service.
+module.exports = (db, notifications) => ({
+
+    listConversations: async (req, res) => {
+        try {
+            const rows = await db.getConversationsForUser(req.user.userId);
+            res.json({
+                conversations: rows.map(row => ({
+                    id: row.id,
+                    other_user: { id: row.other_user_id, github_username: row.github_username, github_avatar_url: row.github_avatar_url },
+                    last_message: row.last_message_id ? {
+                        id: row.last_message_id,
+                        sender_id: row.last_message_sender_id,
+                        body: row.last_message_body,
+                        created_at: row.last_message_created_at
+                    } : null,
+                    unread_count: row.unread_count,
+                    closed: row.closed_at !== null,
+                    created_at: row.created_at
+                }))
+            });
+        } catch (error) {
+            console.error("Error listing conversations:", error);
+            res.status(500).json({ error: "Failed to list conversations" });
+        }
+    },
+
+    // Opens (or returns the existing) conversation with an accepted connection.
+    startConversation: async (req, res) => {
+        const currentUserId = req.user.userId;
+        const otherUserId = parseInt(req.body && req.body.userId, 10);
+        if (isNaN(otherUserId)) {
+            return res.status(400).json({ error: "User ID must be a number." });
+        }
+        if (otherUserId === currentUserId) {
+            return res.status(400).json({ error: "You cannot message yourself." });
+        }
+        try {
+            const connection = await db.getConnectionStatus(currentUserId, otherUserId);
+            if (!connection || connection.status !== 'accepted') {
+                return res.status(403).json({ error: "You can only message your connections." });
+            }
+            const conversation = await db.openConversation(currentUserId, otherUserId);
+            res.status(conversation.created ? 201 : 200).json({
+                conversation: { id: conversation.id, other_user_id: otherUserId, closed: false, created_at: conversation.created_at }
+            });
+        } catch (error) {
+            console.error("Error starting conversation:", error);
+            res.status(500).json({ error: "Failed to start conversation" });
+        }
+    },
+
+    getMessages: async (req, res) => {
+        const { errors, options } = messaging.parseHistoryQuery(req.query);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: "Invalid message history query", fields: errors });
+        }
+        try {
+            const conversation = await loadConversation(db, req, res);
+            if (!conversation) return;
+
+            const rows = await db.getMessages(conversation.id, options);
+            const page = rows.slice(0, options.limit);
+            const ownRead = await db.getConversationRead(conversation.id, req.user.userId);
+            const otherRead = await db.getConversationRead(conversation.id, conversation.other_user_id);
+            const readIds = {
+                ownReadId: ownRead ? ownRead.last_read_message_id : 0,
+                otherReadId: otherRead ? otherRead.last_read_message_id : 0
+            };
+            const hasMore = rows.length > options.limit;
+
+            res.json({
+                conversation: { id: conversation.id, other_user_id: conversation.other_user_id, closed: conversation.closed_at !== null },
+                messages: page.map(row => toMessage(row, req.user.userId, readIds)),
+                readReceipt: otherRead ? { last_read_message_id: otherRead.last_read_message_id, read_at: otherRead.read_at } : null,
+                pagination: {
+                    limit: options.limit,
+                    hasMore,
+                    nextBefore: hasMore ? page[page.length - 1].id : null
+                }
+            });
+        } catch (error) {
+            console.error("Error fetching messages:", error);
+            res.status(500).json({ error: "Failed to fetch messages" });
+        }
+    },
+
+    sendMessage: async (req, res) => {
+        const { errors, body } = messaging.validateMessage(req.body);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: "Message is invalid", fields: errors });
+        }
+        try {
+            const conversation = await loadConversation(db, req, res);
+            if (!conversation) return;
+
+            // A conversation closes when the connection is removed; the connection is checked too in case it changed since.
+            const connection = await db.getConnectionStatus(req.user.userId, conversation.other_user_id);
+            if (conversation.closed_at !== null || !connection || connection.status !== 'accepted') {
+                return res.status(409).json({ error: "This conversation is closed because you are no longer connected." });
+            }
+
+            const message = await db.createMessage(conversation.id, req.user.userId, body);
+            console.log(`[Messaging] User ${req.user.userId} sent message ${message.id} in conversation ${conversation.id}.`);
+            await notifications.notify(conversation.other_user_id, 'message', {
+                conversationId: conversation.id,
+                messageId: message.id,
+                userId: req.user.userId,
+                username: req.user.username,
+                preview: body.slice(0, NOTIFICATION_PREVIEW_LENGTH)
+            });
+            res.status(201).json({ message: toMessage(message, req.user.userId, { ownReadId: message.id, otherReadId: 0 }) });
+        } catch (error) {
+            console.error("Error sending message:", error);
+            res.status(500).json({ error: "Failed to send message" });
+        }
+    },
+
+    // Marks the conversation read up to `messageId`, or entirely when it is omitted.
+    markRead: async (req, res) => {
+        const rawMessageId = req.body && req.body.messageId;
+        const upToMessageId = rawMessageId === undefined || rawMessageId === null ? null : parseInt(rawMessageId, 10);
+        if (Number.isNaN(upToMessageId)) {
+            return res.status(400).json({ error: "Message ID must be a number." });
+        }
+        try {
+            const conversation = await loadConversation(db, req, res);
+            if (!conversation) return;
+
+            const read = await db.markConversationRead(conversation.id, req.user.userId, upToMessageId);
+            res.json({ conversationId: conversation.id, last_read_message_id: read.last_read_message_id, read_at: read.read_at });
+        } catch (error) {
+            console.error("Error marking conversation read:", error);
+            res.status(500).json({ error: "Failed to mark conversation as read" });
+        }
+    },
+
+    // Soft delete: the message stays in the history for both participants without its body.
+    deleteMessage: async (req, res) => {
+        const messageId = parseInt(req.params.messageId, 10);
+        if (isNaN(messageId)) {
+            return res.status(400).json({ error: "Invalid message ID format." });
+        }
+        try {
+            const deleted = await db.softDeleteMessage(messageId, req.user.userId);
+            if (!deleted) {
+                return res.status(404).json({ error: "Message not found, already deleted, or not sent by you." });
+            }
+            res.json({ message: "Message deleted.", id: deleted.id, conversationId: deleted.conversation_id });
+        } catch (error) {
+            console.error("Error deleting message:", error);
+            res.status(500).json({ error: "Failed to delete message" });
+        }
+    },
+
+    // Cheap enough to poll: the total and the conversations that have unread messages.
+    getUnreadCounts: async (req, res) => {
+        try {
+            const rows = await db.getUnreadMessageCounts(req.user.userId);
+            res.json({
+                total: rows.reduce((sum, row) => sum + row.unread_count, 0),
+                conversations: rows
+            });
+        } catch (error) {
+            console.error("Error fetching unread counts:", error);
+            res.status(500).json({ error: "Failed to fetch unread counts" });
+        }
+    }
+});
@@ -0,0 +1,272 @@
+// controllers/moderationController.js
+const moderation = require('../services/moderationService');
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+function parseTargetUserId(value, res) {
+    const targetUserId = parseInt(value, 10);
+    if (isNaN(targetUserId)) {
+        res.status(400).json({ error: "Invalid user ID format." });
+        return null;
+    }
+    return targetUserId;
+}
+
+function parseLimit(value) {
+    if (value === undefined) return DEFAULT_PAGE_LIMIT;
+    const limit = parseInt(value, 10);
+    return isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT ? null : limit;
+}
+
+// The entire module is a factory function that accepts the 'db' instance.
+module.exports = (db) => ({
+
+    // --- Blocking (any user) ---
+
+    listBlockedUsers: async (req, res) => {
+        try {
+            res.json({ blocked: await db.getBlockedUsers(req.user.userId) });
+        } catch (error) {
+            console.error("Error listing blocked users:", error);
+            res.status(500).json({ error: "Failed to list blocked users" });
+        }
+    },
+
+    // Blocking also ends whatever connection the pair had: a pending request is declined or cancelled,
+    // an accepted connection is removed (which closes the conversation).
+    blockUser: async (req, res) => {
+        const currentUserId = req.user.userId;
+        const blockedId = parseTargetUserId(req.body && req.body.userId, res);
+        if (blockedId === null) return;
+        if (blockedId === currentUserId) {
+            return res.status(400).json({ error: "You cannot block yourself." });
+        }
+        try {
+            const target = await db.getUserById(blockedId);
+            if (!target) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const created = await db.blockUser(currentUserId, blockedId);
+
+            const connection = await db.getConnectionStatus(currentUserId, blockedId);
+            if (connection && connection.status === 'pending') {
+                const toStatus = connection.requester_id === currentUserId ? 'cancelled' : 'declined';
+                await db.transitionConnection(connection.id, { fromStatuses: ['pending'], toStatus, actorId: currentUserId });
+            } else if (connection && connection.status === 'accepted') {
+                await db.transitionConnection(connection.id, { fromStatuses: ['accepted'], toStatus: 'removed', actorId: currentUserId });
+            }
+
+            console.log(`[Moderation] User ${currentUserId} blocked user ${blockedId}.`);
+            res.status(created ? 201 : 200).json({ message: created ? "User blocked." : "User was already blocked." });
+        } catch (error) {
+            console.error("Error blocking user:", error);
+            res.status(500).json({ error: "Failed to block user" });
+        }
+    },
+
+    unblockUser: async (req, res) => {
+        const blockedId = parseTargetUserId(req.params.userId, res);
+        if (blockedId === null) return;
+        try {
+            const removed = await db.unblockUser(req.user.userId, blockedId);
+            if (!removed) {
+                return res.status(404).json({ error: "You have not blocked this user." });
+            }
+            res.json({ message: "User unblocked. Previous connections are not restored." });
+        } catch (error) {
+            console.error("Error unblocking user:", error);
+            res.status(500).json({ error: "Failed to unblock user" });
+        }
+    },
+
+    // --- Reporting (any user) ---
+
+    reportUser: async (req, res) => {
+        const reporterId = req.user.userId;
+        const reportedId = parseTargetUserId(req.body && req.body.userId, res);
+        if (reportedId === null) return;
+        if (reportedId === reporterId) {
+            return res.status(400).json({ error: "You cannot report yourself." });
+        }
+        const fieldErrors = moderation.validateReport(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Report is invalid", fields: fieldErrors });
+        }
+        try {
+            const target = await db.getUserById(reportedId);
+            if (!target) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const report = await db.createUserReport({
+                reporterId,
+                reportedId,
+                category: req.body.category,
+                details: typeof req.body.details === 'string' ? req.body.details.trim() || null : null
+            });
+            console.log(`[Moderation] User ${reporterId} reported user ${reportedId} (${report.category}), report ${report.id}.`);
+            res.status(201).json({ message: "Thanks for the report. A moderator will review it.", report });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: "You already have an open report about this user." });
+            }
+            console.error("Error reporting user:", error);
+            res.status(500).json({ error: "Failed to submit report" });
+        }
+    },
+
+    // --- Moderation queue (moderators) ---
+
+    listReports: async (req, res) => {
+        const status = req.query.status || 'open';
+        const limit = parseLimit(req.query.limit);
+        const afterId = req.query.after === undefined ? null : parseInt(req.query.after, 10);
+        const fieldErrors = {};
+        if (!moderation.REPORT_STATUSES.includes(status)) fieldErrors.status = `must be one of ${moderation.REPORT_STATUSES.join(', ')}`;
+        if (limit === null) fieldErrors.limit = `must be between 1 and ${MAX_PAGE_LIMIT}`;
+        if (Number.isNaN(afterId)) fieldErrors.after = 'must be a report ID';
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Invalid reports query", fields: fieldErrors });
+        }
+        try {
+            const rows = await db.getUserReports({ status, limit, afterId });
+            const reports = rows.slice(0, limit);
+            const hasMore = rows.length > limit;
+            res.json({
+                reports,
+                pagination: { limit, hasMore, nextAfter: hasMore ? reports[reports.length - 1].id : null }
+            });
+        } catch (error) {
+            console.error("[Moderation] Error listing reports:", error);
+            res.status(500).json({ error: "Failed to list reports" });
+        }
+    },
+
+    // A report with the reported user's other reports and recent moderation history, for context.
+    getReport: async (req, res) => {
+        const reportId = parseInt(req.params.reportId, 10);
+        if (isNaN(reportId)) {
+            return res.status(400).json({ error: "Invalid report ID format." });
+        }
+        try {
+            const report = await db.getUserReportById(reportId);
+            if (!report) {
+                return res.status(404).json({ error: "Report not found." });
+            }
+            const otherReports = (await db.getUserReportsAgainst(report.reported_id)).filter(other => other.id !== report.id);
+            const actions = await db.getModerationActions({ targetUserId: report.reported_id, limit: DEFAULT_PAGE_LIMIT });
+            res.json({
+                report,
+                reportedUser: {
+                    id: report.reported_id,
+                    github_username: report.reported_username,
+                    suspended: moderation.isSuspended({ suspended_at: report.reported_suspended_at, suspended_until: report.reported_suspended_until })
+                },
+                otherReports,
+                recentActions: actions.slice(0, DEFAULT_PAGE_LIMIT)
+            });
+        } catch (error) {
+            console.error("[Moderation] Error getting report:", error);
+            res.status(500).json({ error: "Failed to get report" });
+        }
+    },
+
+    resolveReport: async (req, res) => {
+        const reportId = parseInt(req.params.reportId, 10);
+        if (isNaN(reportId)) {
+            return res.status(400).json({ error: "Invalid report ID format." });
+        }
+        const fieldErrors = moderation.validateResolution(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Resolution is invalid", fields: fieldErrors });
+        }
+        try {
+            const report = await db.resolveUserReport(reportId, req.user.userId, { status: req.body.resolution, note: req.body.note || null });
+            if (!report) {
+                return res.status(404).json({ error: "Open report not found." });
+            }
+            console.log(`[Moderation] Moderator ${req.user.userId} marked report ${reportId} as '${report.status}'.`);
+            res.json({ message: "Report resolved.", report });
+        } catch (error) {
+            console.error("[Moderation] Error resolving report:", error);
+            res.status(500).json({ error: "Failed to resolve report" });
+        }
+    },
+
+    // Suspends an account, indefinitely or for `days`, and signs it out everywhere.
+    suspendUser: async (req, res) => {
+        const targetUserId = parseTargetUserId(req.params.userId, res);
+        if (targetUserId === null) return;
+        if (targetUserId === req.user.userId) {
+            return res.status(400).json({ error: "You cannot suspend yourself." });
+        }
+        const fieldErrors = moderation.validateSuspension(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Suspension is invalid", fields: fieldErrors });
+        }
+        const reportId = req.body.reportId === undefined || req.body.reportId === null ? null : parseInt(req.body.reportId, 10);
+        if (Number.isNaN(reportId)) {
+            return res.status(400).json({ error: "Suspension is invalid", fields: { reportId: 'must be a report ID' } });
+        }
+        try {
+            const target = await db.getUserById(targetUserId);
+            if (!target) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            if (!moderation.canBeSuspended(target)) {
+                return res.status(409).json({ error: "Moderators and admins cannot be suspended. Revoke their role first." });
+            }
+            const until = req.body.days ? new Date(Date.now() + req.body.days * 24 * 60 * 60 * 1000) : null;
+            const user = await db.suspendUser(targetUserId, req.user.userId, { reason: req.body.reason.trim(), until, reportId });
+            const revoked = await db.revokeAuthSessionsForUser(targetUserId, null, 'account_suspended');
+            console.log(`[Moderation] Moderator ${req.user.userId} suspended user ${targetUserId} ${until ? `until ${until.toISOString()}` : 'indefinitely'}; revoked ${revoked} session(s).`);
+            res.json({ message: "User suspended.", user });
+        } catch (error) {
+            console.error("[Moderation] Error suspending user:", error);
+            res.status(500).json({ error: "Failed to suspend user" });
+        }
+    },
+
+    unsuspendUser: async (req, res) => {
+        const targetUserId = parseTargetUserId(req.params.userId, res);
+        if (targetUserId === null) return;
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() || null : null;
+        try {
+            const user = await db.unsuspendUser(targetUserId, req.user.userId, { reason });
+            if (!user) {
+                return res.status(404).json({ error: "User not found or not suspended." });
+            }
+            console.log(`[Moderation] Moderator ${req.user.userId} lifted the suspension of user ${targetUserId}.`);
+            res.json({ message: "Suspension lifted.", user });
+        } catch (error) {
+            console.error("[Moderation] Error lifting suspension:", error);
+            res.status(500).json({ error: "Failed to lift suspension" });
+        }
+    },
+
+    // The audit trail of moderation actions, newest first; ?userId= narrows it to one user.
+    listActions: async (req, res) => {
+        const limit = parseLimit(req.query.limit);
+        const targetUserId = req.query.userId === undefined ? null : parseInt(req.query.userId, 10);
+        const beforeId = req.query.before === undefined ? null : parseInt(req.query.before, 10);
+        const fieldErrors = {};
+        if (limit === null) fieldErrors.limit = `must be between 1 and ${MAX_PAGE_LIMIT}`;
+        if (Number.isNaN(targetUserId)) fieldErrors.userId = 'must be a user ID';
+        if (Number.isNaN(beforeId)) fieldErrors.before = 'must be an action ID';
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Invalid audit trail query", fields: fieldErrors });
+        }
+        try {
+            const rows = await db.getModerationActions({ targetUserId, limit, beforeId });
+            const actions = rows.slice(0, limit);
+            const hasMore = rows.length > limit;
+            res.json({
+                actions,
+                pagination: { limit, hasMore, nextBefore: hasMore ? actions[actions.length - 1].id : null }
+            });
+        } catch (error) {
+            console.error("[Moderation] Error listing moderation actions:", error);
+            res.status(500).json({ error: "Failed to list moderation actions" });
+        }
+    }
+});
@@ -0,0 +1,131 @@
+// controllers/notificationController.js
+
+// Open streams check their session this often, and end once it is revoked or expires.
+const STREAM_HEARTBEAT_MS = 25000;
+
+// The entire module is a factory function that accepts the 'db' instance, the notification service and the session store.
+module.exports = (db, notifications, sessionService) => ({
+
+    listNotifications: async (req, res) => {
+        const { errors, options } = notifications.parseInboxQuery(req.query);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: "Invalid notifications query", fields: errors });
+        }
+        try {
+            const rows = await db.getNotifications(req.user.userId, options);
+            const page = rows.slice(0, options.limit);
+            const hasMore = rows.length > options.limit;
+            res.json({
+                notifications: page.map(notifications.serializeNotification),
+                unreadCount: await db.countUnreadNotifications(req.user.userId),
+                pagination: {
+                    limit: options.limit,
+                    hasMore,
+                    nextBefore: hasMore ? page[page.length - 1].id : null
+                }
+            });
+        } catch (error) {
+            console.error("Error listing notifications:", error);
+            res.status(500).json({ error: "Failed to list notifications" });
+        }
+    },
+
+    // Marks the notifications in `ids` read, or all of them when `ids` is omitted.
+    markRead: async (req, res) => {
+        const ids = req.body && req.body.ids;
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(id) || id <= 0))) {
+            return res.status(400).json({ error: "Notification IDs are invalid", fields: { ids: 'must be a non-empty array of notification IDs, or omitted to mark all read' } });
+        }
+        try {
+            const updated = await db.markNotificationsRead(req.user.userId, ids || null);
+            res.json({ updated, unreadCount: await db.countUnreadNotifications(req.user.userId) });
+        } catch (error) {
+            console.error("Error marking notifications read:", error);
+            res.status(500).json({ error: "Failed to mark notifications as read" });
+        }
+    },
+
+    markOneRead: async (req, res) => {
+        const notificationId = parseInt(req.params.notificationId, 10);
+        if (isNaN(notificationId)) {
+            return res.status(400).json({ error: "Invalid notification ID format." });
+        }
+        try {
+            const updated = await db.markNotificationsRead(req.user.userId, [notificationId]);
+            res.json({ updated, unreadCount: await db.countUnreadNotifications(req.user.userId) });
+        } catch (error) {
+            console.error("Error marking notification read:", error);
+            res.status(500).json({ error: "Failed to mark notification as read" });
+        }
+    },
+
+    getPreferences: async (req, res) => {
+        try {
+            res.json({ preferences: await notifications.getPreferences(req.user.userId), types: notifications.TYPES });
+        } catch (error) {
+            console.error("Error getting notification preferences:", error);
+            res.status(500).json({ error: "Failed to get notification preferences" });
+        }
+    },
+
+    updatePreferences: async (req, res) => {
+        const fieldErrors = notifications.validatePreferences(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Notification preferences are invalid", fields: fieldErrors });
+        }
+        try {
+            const preferences = await notifications.updatePreferences(req.user.userId, req.body);
+            res.json({ message: "Notification preferences updated.", preferences });
+        } catch (error) {
+            console.error("Error updating notification preferences:", error);
+            res.status(500).json({ error: "Failed to update notification preferences" });
+        }
+    },
+
+    // Server-sent events: a 'ready' event with the unread count, then one 'notification' event per new notification.
+    // A reconnecting client's Last-Event-ID resumes after the last notification it received. When the session
+    // ends (logout, revocation, suspension) a 'session_ended' event is sent and the stream closes.
+    streamNotifications: async (req, res) => {
+        const userId = req.user.userId;
+        const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+        let unreadCount;
+        let afterId;
+        try {
+            unreadCount = await db.countUnreadNotifications(userId);
+            afterId = Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : await db.getLatestNotificationId(userId);
+        } catch (error) {
+            console.error("Error opening notification stream:", error);
+            return res.status(500).json({ error: "Failed to open notification stream" });
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+        res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+
+        let heartbeat = null;
+        let closed = false;
+        const unsubscribe = notifications.subscribe(userId, afterId, (notification) => {
+            res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notifications.serializeNotification(notification))}\n\n`);
+        });
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            unsubscribe();
+            clearInterval(heartbeat);
+            res.end();
+        };
+        // Comment lines keep proxies from closing an idle stream.
+        heartbeat = setInterval(async () => {
+            try {
+                if (!(await sessionService.isSessionActive(req.user.sessionId))) {
+                    if (!closed) res.write(`event: session_ended\ndata: ${JSON.stringify({ code: 'session_revoked' })}\n\n`);
+                    return close();
+                }
+            } catch (error) {
+                console.warn(`[Notifications] Failed to check the session of user ${userId}'s stream:`, error.message);
+            }
+            if (!closed) res.write(': keep-alive\n\n');
+        }, STREAM_HEARTBEAT_MS);
+        req.on('close', close);
+    }
+});
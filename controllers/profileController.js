@@ -1,46 +1,120 @@
-const profileService = require('../services/profileService');
+const { diffProfiles } = require('../services/profileDiffService');
+const profileSchema = require('../services/profileSchemaService');
+const privacy = require('../services/profilePrivacyService');
+const taxonomy = require('../services/skillTaxonomyService');
+const moderation = require('../services/moderationService');
 
-// The entire module is now a factory function that accepts the 'db' instance.
-module.exports = (db) => ({
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function describeQuotaLimit(quota) {
+    const period = quota.windowDays ? ` in the last ${quota.windowDays} days` : '';
+    const reset = quota.resetsAt ? ` Your next attempt becomes available on ${new Date(quota.resetsAt).toISOString()}.` : '';
+    return `You have used all ${quota.limit + quota.bonus} profile generations${period}.${reset}`;
+}
+
+// The entire module is now a factory function that accepts the 'db' instance and the services it coordinates.
+module.exports = (db, tokenVault, quotaService, generationJobs, matchIndex) => ({
 
     generateProfile: async (req, res) => {
         try {
-            const { userId, accessToken } = req.user;
-            const generationCount = await db.getGenerationCount(userId);
-            const savedProfile = await db.getUserProfile(userId);
-            const effectiveLimit = savedProfile ? 3 : 2;
+            const { userId } = req.user;
+            const quota = await quotaService.getStatus(userId);
 
-            if (generationCount >= effectiveLimit) {
-                const message = savedProfile
-                    ? 'You have reached the maximum of 3 profile generations. Delete your saved profile to get 1 attempt back.'
-                    : 'You have reached the generation limit. Save a profile to continue using the service.';
-                return res.status(403).json({ error: 'Generation limit reached', message });
+            if (!quota.canGenerate) {
+                return res.status(403).json({ error: 'Generation limit reached', message: describeQuotaLimit(quota), quota });
             }
 
-            const structuredProfile = await profileService.generateStructuredProfile(accessToken);
-            await db.incrementGenerationCount(userId);
-            const newCount = generationCount + 1;
-
-            let autoSaved = false;
-            const shouldAutoSave = newCount === 3 || (!savedProfile && newCount === effectiveLimit);
+            if (!(await tokenVault.getToken(userId))) {
+                return res.status(401).json({ error: 'GitHub authorization required', code: 'github_reauth_required', message: 'Please sign in with GitHub again to generate a profile.' });
+            }
 
-            if (shouldAutoSave) {
-                await db.saveUserProfile(userId, structuredProfile);
-                autoSaved = true;
+            const { job, conflict } = await generationJobs.enqueue(userId);
+            if (conflict) {
+                return res.status(409).json({ error: 'A profile generation is already in progress', job: generationJobs.serializeJob(conflict) });
             }
 
-            res.json({
-                profile: structuredProfile,
-                generationCount: newCount,
-                canGenerate: newCount < (savedProfile || autoSaved ? 3 : 2),
-                autoSaved,
-                message: autoSaved ? 'Profile has been automatically saved!' : null
+            res.status(202).json({
+                message: 'Profile generation started.',
+                job: generationJobs.serializeJob(job),
+                statusUrl: `/api/profile/generate/jobs/${job.id}`,
+                eventsUrl: `/api/profile/generate/jobs/${job.id}/events`
             });
 
         } catch (err) {
             console.error('Profile generation error:', err);
-            res.status(500).json({ error: 'Failed to generate profile' });
+            res.status(500).json({ error: 'Failed to start profile generation' });
+        }
+    },
+
+    listGenerationJobs: async (req, res) => {
+        try {
+            const jobs = await generationJobs.listJobs(req.user.userId);
+            res.json({ jobs: jobs.map(generationJobs.serializeJob) });
+        } catch (err) {
+            console.error('List generation jobs error:', err);
+            res.status(500).json({ error: 'Failed to list generation jobs' });
+        }
+    },
+
+    getGenerationJob: async (req, res) => {
+        const { jobId } = req.params;
+        if (!UUID_PATTERN.test(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID format.' });
         }
+        try {
+            const job = await generationJobs.getJob(jobId, req.user.userId);
+            if (!job) {
+                return res.status(404).json({ error: 'Generation job not found' });
+            }
+            res.json({ job: generationJobs.serializeJob(job) });
+        } catch (err) {
+            console.error('Get generation job error:', err);
+            res.status(500).json({ error: 'Failed to get generation job' });
+        }
+    },
+
+    streamGenerationJob: async (req, res) => {
+        const { jobId } = req.params;
+        if (!UUID_PATTERN.test(jobId)) {
+            return res.status(400).json({ error: 'Invalid job ID format.' });
+        }
+        let job;
+        try {
+            job = await generationJobs.getJob(jobId, req.user.userId);
+        } catch (err) {
+            console.error('Stream generation job error:', err);
+            return res.status(500).json({ error: 'Failed to get generation job' });
+        }
+        if (!job) {
+            return res.status(404).json({ error: 'Generation job not found' });
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+
+        let unsubscribe = () => {};
+        let heartbeat = null;
+        const close = () => {
+            unsubscribe();
+            clearInterval(heartbeat);
+            res.end();
+        };
+        const send = (update) => {
+            res.write(`event: progress\ndata: ${JSON.stringify(generationJobs.serializeJob(update))}\n\n`);
+            if (generationJobs.isTerminal(update)) {
+                res.write(`event: done\ndata: ${JSON.stringify({ status: update.status })}\n\n`);
+                close();
+            }
+        };
+
+        send(job);
+        if (generationJobs.isTerminal(job)) return;
+
+        // Updates arrive from this process or, when the job runs on another instance, from polling the job row.
+        unsubscribe = generationJobs.subscribe(jobId, send, job);
+        // Comment lines keep proxies from closing an idle stream.
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+        req.on('close', close);
     },
 
     saveProfile: async (req, res) => {
@@ -52,8 +126,24 @@ module.exports = (db) => ({
                 return res.status(400).json({ error: 'Profile data is required' });
             }
 
-            await db.saveUserProfile(userId, profileData);
-            res.json({ success: true, message: 'Profile saved successfully' });
+            const fieldErrors = profileSchema.validateProfile(profileData);
+            if (Object.keys(fieldErrors).length > 0) {
+                return res.status(400).json({ error: 'Profile data is invalid', fields: fieldErrors });
+            }
+
+            // GitHub-derived fields always come from the active version, whatever the client sent. Before the
+            // first save there is none, so the latest generation (which only the server writes) is used instead.
+            const trusted = await db.getActiveProfileVersion(userId) || await db.getLatestGeneratedProfileVersion(userId);
+            const toSave = taxonomy.normalizeProfile(profileSchema.preserveProtectedFields(profileData, trusted && trusted.profile_data));
+            // Saving a freshly generated profile must not drop questionnaire answers saved earlier.
+            const current = await db.getUserProfile(userId);
+            if (!toSave.business && current && current.profile_data.business) {
+                toSave.business = current.profile_data.business;
+            }
+
+            const saved = await db.saveUserProfile(userId, toSave, 'manual_edit');
+            matchIndex.scheduleRecompute(userId);
+            res.json({ success: true, message: 'Profile saved successfully', versionNumber: saved.version_number });
 
         } catch (err) {
             console.error('Save profile error:', err);
@@ -61,6 +151,35 @@ module.exports = (db) => ({
         }
     },
 
+    updateProfile: async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const fieldErrors = profileSchema.validatePatch(req.body);
+            if (Object.keys(fieldErrors).length > 0) {
+                return res.status(400).json({ error: 'Profile update is invalid', fields: fieldErrors });
+            }
+
+            const savedProfile = await db.getUserProfile(userId);
+            if (!savedProfile) {
+                return res.status(404).json({ error: 'No saved profile found to update' });
+            }
+
+            const updated = taxonomy.normalizeProfile(profileSchema.applyPatch(savedProfile.profile_data, req.body));
+            // A patch can start a section the profile did not have, so the result must still be complete.
+            const profileErrors = profileSchema.validateProfile(updated);
+            if (Object.keys(profileErrors).length > 0) {
+                return res.status(400).json({ error: 'Profile update is invalid', fields: profileErrors });
+            }
+            const saved = await db.saveUserProfile(userId, updated, 'manual_edit');
+            matchIndex.scheduleRecompute(userId);
+            res.json({ success: true, message: 'Profile updated successfully', versionNumber: saved.version_number, profile: privacy.stripInternalFields(saved.profile_data) });
+
+        } catch (err) {
+            console.error('Update profile error:', err);
+            res.status(500).json({ error: 'Failed to update profile' });
+        }
+    },
+
     getSavedProfile: async (req, res) => {
         try {
             const { userId } = req.user;
@@ -70,7 +189,7 @@ module.exports = (db) => ({
                 return res.status(404).json({ error: 'No saved profile found' });
             }
 
-            res.json({ profile: savedProfile.profile_data });
+            res.json({ profile: privacy.stripInternalFields(savedProfile.profile_data) });
 
         } catch (err) {
             console.error('Get saved profile error:', err);
@@ -87,11 +206,11 @@ module.exports = (db) => ({
             }
 
             await db.deleteUserProfile(userId);
-            await db.decrementGenerationCount(userId);
+            matchIndex.scheduleRecompute(userId);
 
             res.json({
                 success: true,
-                message: 'Profile deleted successfully. You have gained 1 generation attempt back.'
+                message: 'Profile deleted successfully.'
             });
 
         } catch (err) {
@@ -100,6 +219,161 @@ module.exports = (db) => ({
         }
     },
 
+    listProfileVersions: async (req, res) => {
+        try {
+            const versions = await db.getProfileVersions(req.user.userId);
+            res.json({
+                versions: versions.map(v => ({
+                    versionNumber: v.version_number,
+                    source: v.source,
+                    restoredFrom: v.restored_from,
+                    createdAt: v.created_at,
+                    active: !!v.is_active
+                }))
+            });
+        } catch (err) {
+            console.error('List profile versions error:', err);
+            res.status(500).json({ error: 'Failed to list profile versions' });
+        }
+    },
+
+    getProfileVersion: async (req, res) => {
+        const versionNumber = parseInt(req.params.versionNumber, 10);
+        if (isNaN(versionNumber)) {
+            return res.status(400).json({ error: 'Invalid version number.' });
+        }
+        try {
+            const version = await db.getProfileVersion(req.user.userId, versionNumber);
+            if (!version) {
+                return res.status(404).json({ error: 'Profile version not found' });
+            }
+            res.json({ versionNumber: version.version_number, source: version.source, createdAt: version.created_at, profile: privacy.stripInternalFields(version.profile_data) });
+        } catch (err) {
+            console.error('Get profile version error:', err);
+            res.status(500).json({ error: 'Failed to get profile version' });
+        }
+    },
+
+    diffProfileVersions: async (req, res) => {
+        const from = parseInt(req.query.from, 10);
+        const to = parseInt(req.query.to, 10);
+        if (isNaN(from) || isNaN(to)) {
+            return res.status(400).json({ error: "Both 'from' and 'to' version numbers are required." });
+        }
+        try {
+            const [fromVersion, toVersion] = await Promise.all([
+                db.getProfileVersion(req.user.userId, from),
+                db.getProfileVersion(req.user.userId, to)
+            ]);
+            if (!fromVersion || !toVersion) {
+                return res.status(404).json({ error: 'Profile version not found' });
+            }
+            res.json({ from, to, changes: diffProfiles(privacy.stripInternalFields(fromVersion.profile_data), privacy.stripInternalFields(toVersion.profile_data)) });
+        } catch (err) {
+            console.error('Diff profile versions error:', err);
+            res.status(500).json({ error: 'Failed to diff profile versions' });
+        }
+    },
+
+    restoreProfileVersion: async (req, res) => {
+        const versionNumber = parseInt(req.params.versionNumber, 10);
+        if (isNaN(versionNumber)) {
+            return res.status(400).json({ error: 'Invalid version number.' });
+        }
+        try {
+            const restored = await db.restoreProfileVersion(req.user.userId, versionNumber);
+            if (!restored) {
+                return res.status(404).json({ error: 'Profile version not found' });
+            }
+            matchIndex.scheduleRecompute(req.user.userId);
+            res.json({ success: true, message: `Version ${versionNumber} restored as the active profile.`, versionNumber: restored.version_number, profile: privacy.stripInternalFields(restored.profile_data) });
+        } catch (err) {
+            console.error('Restore profile version error:', err);
+            res.status(500).json({ error: 'Failed to restore profile version' });
+        }
+    },
+
+    getQuestionnaire: async (req, res) => {
+        try {
+            const savedProfile = await db.getUserProfile(req.user.userId);
+            res.json({
+                questions: profileSchema.EDITABLE_FIELDS.business,
+                answers: (savedProfile && savedProfile.profile_data.business) || null
+            });
+        } catch (err) {
+            console.error('Get questionnaire error:', err);
+            res.status(500).json({ error: 'Failed to get questionnaire' });
+        }
+    },
+
+    submitQuestionnaire: async (req, res) => {
+        const { userId } = req.user;
+        const fieldErrors = profileSchema.validateQuestionnaire(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: 'Questionnaire answers are invalid', fields: fieldErrors });
+        }
+        try {
+            const savedProfile = await db.getUserProfile(userId);
+            let base = savedProfile && savedProfile.profile_data;
+            if (!base) {
+                // Users without a generated profile start from their GitHub account details.
+                const user = await db.getUserById(userId);
+                base = { personal: { login: user.github_username, name: null, bio: null, avatar_url: user.github_avatar_url, html_url: user.github_profile_url } };
+            }
+            const saved = await db.saveUserProfile(userId, { ...base, business: req.body }, 'questionnaire');
+            matchIndex.scheduleRecompute(userId);
+            res.json({ success: true, message: 'Questionnaire saved to your profile.', versionNumber: saved.version_number, profile: privacy.stripInternalFields(saved.profile_data) });
+        } catch (err) {
+            console.error('Submit questionnaire error:', err);
+            res.status(500).json({ error: 'Failed to save questionnaire' });
+        }
+    },
+
+    deleteQuestionnaire: async (req, res) => {
+        const { userId } = req.user;
+        try {
+            const savedProfile = await db.getUserProfile(userId);
+            if (!savedProfile || !savedProfile.profile_data.business) {
+                return res.status(404).json({ error: 'No questionnaire answers found' });
+            }
+            const { business, ...rest } = savedProfile.profile_data;
+            if (profileSchema.profileTypes(rest).length === 0) {
+                return res.status(409).json({ error: 'The questionnaire is the only section of your profile. Delete the profile instead.' });
+            }
+            const saved = await db.saveUserProfile(userId, rest, 'manual_edit');
+            matchIndex.scheduleRecompute(userId);
+            res.json({ success: true, message: 'Questionnaire answers removed from your profile.', versionNumber: saved.version_number });
+        } catch (err) {
+            console.error('Delete questionnaire error:', err);
+            res.status(500).json({ error: 'Failed to remove questionnaire answers' });
+        }
+    },
+
+    getPrivacySettings: async (req, res) => {
+        try {
+            const settings = privacy.settingsFromRow(await db.getProfilePrivacy(req.user.userId));
+            res.json({ ...settings, visibilityLevels: privacy.VISIBILITY_LEVELS, hideableFields: privacy.HIDEABLE_FIELDS });
+        } catch (err) {
+            console.error('Get privacy settings error:', err);
+            res.status(500).json({ error: 'Failed to get privacy settings' });
+        }
+    },
+
+    updatePrivacySettings: async (req, res) => {
+        const { visibility, hiddenFields } = req.body || {};
+        const fieldErrors = privacy.validateSettings({ visibility, hiddenFields });
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: 'Privacy settings are invalid', fields: fieldErrors });
+        }
+        try {
+            const row = await db.setProfilePrivacy(req.user.userId, { visibility, hiddenFields: hiddenFields && [...new Set(hiddenFields)] });
+            res.json({ success: true, ...privacy.settingsFromRow(row) });
+        } catch (err) {
+            console.error('Update privacy settings error:', err);
+            res.status(500).json({ error: 'Failed to update privacy settings' });
+        }
+    },
+
     getUserPublicProfile: async (req, res) => {
         try {
             const userIdToView = parseInt(req.params.userId, 10);
@@ -112,6 +386,20 @@ module.exports = (db) => ({
                 return res.status(404).json({ error: 'User not found.' });
             }
 
+            const currentUserId = req.user.userId;
+            const isOwner = currentUserId === userIdToView;
+            // Blocked pairs and suspended accounts look the same as missing users.
+            if (!isOwner && (moderation.isSuspended(userBasicInfo) || await db.getBlockBetween(currentUserId, userIdToView))) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+            const settings = privacy.settingsFromRow(userBasicInfo);
+            if (!isOwner && settings.visibility === 'connections') {
+                const connection = await db.getConnectionStatus(currentUserId, userIdToView);
+                if (!privacy.canViewProfile(settings, { isConnected: !!connection && connection.status === 'accepted' })) {
+                    return res.status(403).json({ error: 'This profile is only visible to connections.' });
+                }
+            }
+
             const userProfileRow = await db.getUserProfile(userIdToView);
 
             // FIXED: Consistent response structure using 'id' property
@@ -127,14 +415,17 @@ module.exports = (db) => ({
             if (!userProfileRow || !userProfileRow.profile_data) {
                 return res.json({
                     user: userResponse,
-                    profile: null 
+                    profile: null,
+                    profileTypes: []
                 });
             }
 
             // Return user with profile data
+            const visibleProfile = privacy.filterProfile(userProfileRow.profile_data, settings, { isOwner });
             res.json({
                 user: userResponse,
-                profile: userProfileRow.profile_data
+                profile: visibleProfile,
+                profileTypes: profileSchema.profileTypes(visibleProfile)
             });
 
         } catch (err) {
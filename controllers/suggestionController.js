@@ -1,191 +1,61 @@
 // controllers/suggestionController.js
+const privacy = require('../services/profilePrivacyService');
+const scoring = require('../services/matchScoringService');
+const matchPreferences = require('../services/matchPreferencesService');
+const suggestionQuery = require('../services/suggestionQueryService');
+const taxonomy = require('../services/skillTaxonomyService');
+const suggestionFeedback = require('../services/suggestionFeedbackService');
 
-// Helper function to calculate Jaccard for array similarity
-function calculateJaccardIndex(arr1, arr2) {
-    if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) return 0;
-    const set1 = new Set(arr1.map(item => String(item).toLowerCase().trim()));
-    const set2 = new Set(arr2.map(item => String(item).toLowerCase().trim()));
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
-    return union.size === 0 ? 0 : intersection.size / union.size;
-}
-
-// Helper function to calculate language statistics similarity
-function calculateLanguageStatsSimilarity(stats1, stats2) {
-    if (!stats1 || !stats2) return 0;
-    
-    const allLanguages = new Set([...Object.keys(stats1), ...Object.keys(stats2)]);
-    let totalDifference = 0;
-    let maxPossibleDifference = 0;
-    
-    for (const lang of allLanguages) {
-        const percent1 = parseFloat(stats1[lang] || 0);
-        const percent2 = parseFloat(stats2[lang] || 0);
-        const difference = Math.abs(percent1 - percent2);
-        totalDifference += difference;
-        maxPossibleDifference += Math.max(percent1, percent2);
+// Stores one piece of feedback on a suggested user, capturing the suggestion's score breakdown so
+// the user's feedback can later be turned into weight adjustments.
+async function recordFeedback(db, req, res, { action, reason = null, note = null, expiresAt = null }) {
+    const currentUserId = req.user.userId;
+    const candidateId = parseInt(req.params.candidateId, 10);
+    const mode = (req.body && req.body.mode) || 'similar';
+    if (isNaN(candidateId)) {
+        return res.status(400).json({ error: "Invalid user ID format." });
     }
-    
-    if (maxPossibleDifference === 0) return 0;
-    return 1 - (totalDifference / (maxPossibleDifference * 2));
-}
-
-// Helper function to calculate experience level compatibility
-function calculateExperienceLevelSimilarity(exp1, exp2) {
-    const experienceLevels = {
-        'junior': 1,
-        'entry': 1,
-        'mid': 2,
-        'intermediate': 2,
-        'senior': 3,
-        'lead': 4,
-        'principal': 4,
-        'staff': 4,
-        'expert': 5,
-        'n/a': 0
-    };
-    
-    const getExperienceLevel = (exp) => {
-        if (!exp || typeof exp !== 'string') return 0;
-        const expLower = exp.toLowerCase();
-        for (const [key, level] of Object.entries(experienceLevels)) {
-            if (expLower.includes(key)) return level;
+    if (candidateId === currentUserId) {
+        return res.status(400).json({ error: "You cannot give feedback on yourself." });
+    }
+    if (!scoring.MATCH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode '${mode}'. Use one of: ${scoring.MATCH_MODES.join(', ')}.` });
+    }
+    try {
+        const candidate = await db.getUserById(candidateId);
+        if (!candidate) {
+            return res.status(404).json({ error: "User not found." });
         }
-        return 0;
-    };
-    
-    const level1 = getExperienceLevel(exp1);
-    const level2 = getExperienceLevel(exp2);
-    
-    if (level1 === 0 || level2 === 0) return 0.5; // Neutral if unknown
-    
-    const difference = Math.abs(level1 - level2);
-    const maxDifference = 4; // Max difference between junior and expert
-    
-    return 1 - (difference / maxDifference);
-}
-
-// Helper function to calculate repository activity similarity
-function calculateRepoActivitySimilarity(repoCount1, repoCount2) {
-    if (!repoCount1 || !repoCount2) return 0;
-    
-    const minCount = Math.min(repoCount1, repoCount2);
-    const maxCount = Math.max(repoCount1, repoCount2);
-    
-    if (maxCount === 0) return 1; // Both have no repos
-    
-    return minCount / maxCount;
+        const score = await db.getMatchScore(currentUserId, candidateId, mode);
+        const feedback = await db.saveSuggestionFeedback(currentUserId, candidateId, {
+            action, reason, note, mode, expiresAt,
+            breakdown: score ? score.breakdown : null
+        });
+        res.json({ message: FEEDBACK_MESSAGES[action](expiresAt), feedback });
+    } catch (error) {
+        console.error(`Error saving '${action}' feedback:`, error);
+        res.status(500).json({ error: "Failed to save feedback" });
+    }
 }
 
-// Helper function to calculate text similarity using basic keyword matching
-function calculateTextSimilarity(text1, text2) {
-    if (!text1 || !text2) return 0;
-    
-    const getKeywords = (text) => {
-        const commonWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'this', 'that', 'these', 'those']);
-        return text.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !commonWords.has(word))
-            .slice(0, 50); // Limit to avoid performance issues
-    };
-    
-    const keywords1 = getKeywords(text1);
-    const keywords2 = getKeywords(text2);
-    
-    return calculateJaccardIndex(keywords1, keywords2);
-}
+const FEEDBACK_MESSAGES = {
+    dismissed: expiresAt => (expiresAt ? `Suggestion snoozed until ${expiresAt.toISOString()}.` : "Suggestion dismissed."),
+    bookmarked: () => "Suggestion bookmarked.",
+    not_relevant: () => "Thanks, this will be used to improve your suggestions."
+};
 
-// Main matching algorithm with comprehensive scoring
-function calculateDetailedMatchScore(currentProfile, matchProfile) {
-    const scores = {};
-    let totalWeight = 0;
-    
-    // 1. Technical Skills Similarity (Weight: 25%)
-    const skillsScore = calculateJaccardIndex(
-        currentProfile.keyStrengths || [],
-        matchProfile.keyStrengths || []
-    );
-    scores.technicalSkills = skillsScore;
-    totalWeight += 0.25;
-    
-    // 2. Technology Stack Similarity (Weight: 20%)
-    const techScore = calculateJaccardIndex(
-        currentProfile.identifiedTechnologies || [],
-        matchProfile.identifiedTechnologies || []
-    );
-    scores.technologyStack = techScore;
-    totalWeight += 0.20;
-    
-    // 3. Programming Language Similarity (Weight: 15%)
-    const langScore = calculateLanguageStatsSimilarity(
-        currentProfile.languageStats || {},
-        matchProfile.languageStats || {}
-    );
-    scores.programmingLanguages = langScore;
-    totalWeight += 0.15;
-    
-    // 4. Role Compatibility (Weight: 15%)
-    const roleScore = calculateJaccardIndex(
-        currentProfile.potentialRoles || [],
-        matchProfile.potentialRoles || []
-    );
-    scores.roleCompatibility = roleScore;
-    totalWeight += 0.15;
-    
-    // 5. Architectural Concepts Similarity (Weight: 10%)
-    const archScore = calculateJaccardIndex(
-        currentProfile.architecturalConcepts || [],
-        matchProfile.architecturalConcepts || []
-    );
-    scores.architecturalConcepts = archScore;
-    totalWeight += 0.10;
-    
-    // 6. Experience Level Compatibility (Weight: 10%)
-    const expScore = calculateExperienceLevelSimilarity(
-        currentProfile.estimatedExperience,
-        matchProfile.estimatedExperience
-    );
-    scores.experienceLevel = expScore;
-    totalWeight += 0.10;
-    
-    // 7. Repository Activity Similarity (Weight: 3%)
-    const repoScore = calculateRepoActivitySimilarity(
-        currentProfile.repoCount,
-        matchProfile.repoCount
-    );
-    scores.repositoryActivity = repoScore;
-    totalWeight += 0.03;
-    
-    // 8. Project Insights Similarity (Weight: 2%)
-    const projectInsightsText1 = (currentProfile.projectInsights || []).join(' ');
-    const projectInsightsText2 = (matchProfile.projectInsights || []).join(' ');
-    const projectScore = calculateTextSimilarity(projectInsightsText1, projectInsightsText2);
-    scores.projectInsights = projectScore;
-    totalWeight += 0.02;
-    
-    // Calculate weighted final score
-    const finalScore = (
-        scores.technicalSkills * 0.25 +
-        scores.technologyStack * 0.20 +
-        scores.programmingLanguages * 0.15 +
-        scores.roleCompatibility * 0.15 +
-        scores.architecturalConcepts * 0.10 +
-        scores.experienceLevel * 0.10 +
-        scores.repositoryActivity * 0.03 +
-        scores.projectInsights * 0.02
-    ) / totalWeight;
-    
-    return {
-        finalScore: Math.max(0, Math.min(1, finalScore)), // Ensure score is between 0 and 1
-        breakdown: scores
-    };
-}
-
-// The entire module is now a factory function that accepts the 'db' instance.
-module.exports = (db) => ({
+// The entire module is now a factory function that accepts the 'db' instance, the match-score index and the explanation service.
+module.exports = (db, matchIndex, matchExplanations) => ({
     getSuggestions: async (req, res) => {
         const currentUserId = req.user.userId;
+        const mode = req.query.mode || 'similar';
+        if (!scoring.MATCH_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Unknown mode '${mode}'. Use one of: ${scoring.MATCH_MODES.join(', ')}.` });
+        }
+        const { errors: queryErrors, options } = suggestionQuery.parseSuggestionQuery(req.query);
+        if (Object.keys(queryErrors).length > 0) {
+            return res.status(400).json({ error: "Invalid suggestions query", fields: queryErrors });
+        }
         
         try {
             // 1. Get the current user's saved profile using the injected 'db' object
@@ -196,103 +66,150 @@ module.exports = (db) => ({
                     message: "Please save your profile to get suggestions." 
                 });
             }
-            const currentUserProfile = currentUserProfileRow.profile_data.technical;
-            
-            // 2. Get all other users with saved profiles using the injected 'db' object
-            const allUsersWithProfilesResult = await db.query(
-                `SELECT u.id as user_id, u.github_username, u.github_avatar_url, u.github_profile_url, sp.profile_data
-                 FROM users u
-                 JOIN saved_profiles sp ON u.id = sp.user_id
-                 WHERE u.id != $1 AND sp.profile_data IS NOT NULL;`,
-                [currentUserId]
-            );
-            const potentialMatches = allUsersWithProfilesResult.rows;
+            const currentUserProfile = currentUserProfileRow.profile_data;
+            if (scoring.getMatchableSections(currentUserProfile).length === 0) {
+                return res.json({
+                    suggestions: [],
+                    message: "Your profile has no analysed technical section or questionnaire answers yet, so it cannot be matched."
+                });
+            }
+            const currentTechnical = currentUserProfile.technical || {};
             
-            // 3. Get existing connections/requests using the injected 'db' object
-            const activeConnections = await db.getActiveConnections(currentUserId);
-            const pendingSentRequests = await db.getSentRequestsByUser(currentUserId);
-            const pendingReceivedRequests = await db.getPendingRequestsForUser(currentUserId);
+            // 2. Load the user's matching preferences (weights and hard filters) and the weight adjustments learned from their feedback
+            const preferences = matchPreferences.fromRow(await db.getMatchingPreferences(currentUserId));
+            const learnedMultipliers = suggestionFeedback.learnWeightMultipliers(await db.getSuggestionFeedback(currentUserId), mode);
+            const customWeights = matchPreferences.hasCustomWeights(preferences) || Object.keys(learnedMultipliers).length > 0;
+            const minScore = options.minScore !== null ? Math.max(preferences.minScore, options.minScore) : preferences.minScore;
             
-            const existingInteractionUserIds = new Set();
-            activeConnections.forEach(c => existingInteractionUserIds.add(c.id));
-            pendingSentRequests.forEach(r => existingInteractionUserIds.add(r.addressee_id));
-            pendingReceivedRequests.forEach(r => existingInteractionUserIds.add(r.requester_id));
+            // 3. Rank precomputed scores in the database: weights, hard filters, sorting and the cursor are all applied
+            //    in the query. Existing connections, pending requests, excluded users and users the current user has
+            //    given feedback on are left out. Filters see only fields the candidate has not hidden.
+            await matchIndex.ensureIndexed(currentUserId);
+            const queryOptions = {
+                mode,
+                algorithmVersion: scoring.ALGORITHM_VERSION,
+                minScore,
+                excludeUserIds: preferences.excludedUserIds,
+                weights: customWeights ? scoring.effectiveWeights(preferences.weights, learnedMultipliers) : null,
+                semanticWeight: scoring.SEMANTIC_WEIGHT,
+                filters: suggestionQuery.buildRankingFilters(preferences, options),
+                sort: options.sort,
+                experienceKeywords: scoring.EXPERIENCE_KEYWORDS
+            };
+            const candidates = await db.getRankedMatchScores(currentUserId, {
+                ...queryOptions,
+                // One extra row tells us whether another page follows.
+                limit: options.limit + 1,
+                after: options.cursorKey
+            });
+            const totalCandidates = await db.countMatchCandidates(currentUserId, mode, scoring.ALGORITHM_VERSION);
             
-            // 4. Calculate detailed scores and filter
-            const suggestions = [];
-            const minScoreThreshold = 0.15; // 15% minimum match score
+            // 4. The totals are computed over the whole listing; past the last page they come from a fresh query.
+            const totalsRow = candidates[0] || (options.cursorKey ? (await db.getRankedMatchScores(currentUserId, { ...queryOptions, limit: 1 }))[0] : null);
+            const total = totalsRow ? parseInt(totalsRow.qualified_count, 10) : 0;
+            const averageScore = totalsRow ? parseFloat(totalsRow.average_score) : 0;
+            const pageCandidates = candidates.slice(0, options.limit).map(match => {
+                const settings = privacy.settingsFromRow(match);
+                return {
+                    match,
+                    details: match.details || {},
+                    visibleProfile: privacy.filterProfile(match.profile_data, settings),
+                    // Scores were computed on the full profile; dimensions drawn from hidden fields would reveal them.
+                    breakdown: scoring.visibleBreakdown(match.breakdown, settings.hiddenFields),
+                    score: match.score
+                };
+            });
+            const hasMore = candidates.length > options.limit;
+            const lastCandidate = pageCandidates[pageCandidates.length - 1];
+            const nextCursor = hasMore && lastCandidate
+                ? suggestionQuery.encodeCursor(options.sort, lastCandidate.match.sort_key)
+                : null;
             
-            for (const potentialMatch of potentialMatches) {
-                if (existingInteractionUserIds.has(potentialMatch.user_id)) {
-                    continue;
-                }
+            // 5. Shape each suggestion, showing only fields the candidate has not hidden
+            const topSuggestions = pageCandidates.map(({ match, details, visibleProfile, breakdown, score }) => {
+                const matchTechnical = visibleProfile.technical || {};
+                const matchBusiness = visibleProfile.business || {};
+                const matchStrength = suggestionQuery.getMatchStrength(score);
                 
-                const matchProfile = potentialMatch.profile_data;
-                if (!matchProfile || !matchProfile.technical || matchProfile.technical.analysisStatus === 'failed') {
-                    continue;
-                }
+                // Find top matching areas
+                const topMatchingAreas = Object.entries(breakdown)
+                    .sort(([,a], [,b]) => b - a)
+                    .slice(0, 3)
+                    .map(([area, score]) => ({
+                        area: area.replace(/([A-Z])/g, ' $1').trim(),
+                        score: Math.round(score * 100)
+                    }));
                 
-                const matchTechnical = matchProfile.technical;
-                const scoreResult = calculateDetailedMatchScore(currentUserProfile, matchTechnical);
-                
-                if (scoreResult.finalScore >= minScoreThreshold) {
-                    // Determine match strength category
-                    let matchStrength = 'Low';
-                    if (scoreResult.finalScore >= 0.7) matchStrength = 'Excellent';
-                    else if (scoreResult.finalScore >= 0.5) matchStrength = 'High';
-                    else if (scoreResult.finalScore >= 0.3) matchStrength = 'Medium';
-                    
-                    // Find top matching areas
-                    const topMatchingAreas = Object.entries(scoreResult.breakdown)
-                        .sort(([,a], [,b]) => b - a)
-                        .slice(0, 3)
-                        .map(([area, score]) => ({
-                            area: area.replace(/([A-Z])/g, ' $1').trim(),
-                            score: Math.round(score * 100)
-                        }));
-                    
-                    suggestions.push({
-                        user_id: potentialMatch.user_id,
-                        github_username: potentialMatch.github_username,
-                        github_avatar_url: potentialMatch.github_avatar_url,
-                        github_profile_url: potentialMatch.github_profile_url,
-                        headline: matchTechnical.headline || "No headline available",
-                        keyStrengths: (matchTechnical.keyStrengths || []).slice(0, 3),
-                        potentialRoles: (matchTechnical.potentialRoles || []).slice(0, 2),
-                        matchScore: Math.round(scoreResult.finalScore * 100), // Convert to percentage
-                        matchStrength: matchStrength,
-                        topMatchingAreas: topMatchingAreas,
-                        commonTechnologies: (currentUserProfile.identifiedTechnologies || [])
-                            .filter(tech => (matchTechnical.identifiedTechnologies || [])
-                                .map(t => t.toLowerCase())
-                                .includes(tech.toLowerCase()))
-                            .slice(0, 5),
-                        estimatedExperience: matchTechnical.estimatedExperience || "N/A",
-                        scoreBreakdown: Object.fromEntries(
-                            Object.entries(scoreResult.breakdown).map(([key, value]) => 
-                                [key, Math.round(value * 100)]
-                            )
+                const suggestion = {
+                    user_id: match.user_id,
+                    github_username: match.github_username,
+                    github_avatar_url: match.github_avatar_url,
+                    github_profile_url: match.github_profile_url,
+                    profileTypes: scoring.getMatchableSections(visibleProfile),
+                    // Profiles with no section in common are scored on how they complement each other instead.
+                    matchedOn: details.scoredAs ? [] : (details.sections || []),
+                    scoredAs: details.scoredAs || mode,
+                    headline: matchTechnical.headline || matchBusiness.headline || "No headline available",
+                    keyStrengths: (matchTechnical.keyStrengths || []).slice(0, 3),
+                    potentialRoles: (matchTechnical.potentialRoles || []).slice(0, 2),
+                    primaryFocus: matchBusiness.primaryFocus || null,
+                    domainExpertise: (matchBusiness.domainExpertise || []).slice(0, 3),
+                    commitment: matchBusiness.commitment || null,
+                    matchScore: Math.round(score * 100), // Convert to percentage
+                    matchStrength: matchStrength,
+                    topMatchingAreas: topMatchingAreas,
+                    commonTechnologies: (currentTechnical.identifiedTechnologies || [])
+                        .filter(tech => (matchTechnical.identifiedTechnologies || [])
+                            .map(taxonomy.canonicalKey)
+                            .includes(taxonomy.canonicalKey(tech)))
+                        .slice(0, 5),
+                    estimatedExperience: matchTechnical.estimatedExperience || "N/A",
+                    scoreBreakdown: Object.fromEntries(
+                        Object.entries(breakdown).map(([key, value]) => 
+                            [key, Math.round(value * 100)]
                         )
-                    });
+                    )
+                };
+                // The stored complementarity was worked out from the full profile, so it is recomputed from what the
+                // candidate lets us show; otherwise candidateAreas and gapsFilled would reveal hidden fields.
+                const visibleComplement = details.complementarity
+                    ? scoring.scoreProfiles(currentUserProfile, visibleProfile, 'complementary')
+                    : null;
+                if (visibleComplement) {
+                    suggestion.complementarity = {
+                        ...visibleComplement.complementarity,
+                        reasons: scoring.describeGapsFilled(visibleComplement.complementarity)
+                    };
                 }
-            }
-            
-            // 5. Sort by match score (descending) and limit
-            suggestions.sort((a, b) => b.matchScore - a.matchScore);
-            const topSuggestions = suggestions.slice(0, 20);
+                return suggestion;
+            });
             
-            // 6. Add statistics
+            // 6. Add statistics; qualifiedMatches always equals pagination.total
             const stats = {
-                totalCandidates: potentialMatches.length,
-                qualifiedMatches: suggestions.length,
-                averageMatchScore: suggestions.length > 0 
-                    ? Math.round(suggestions.reduce((sum, s) => sum + s.matchScore, 0) / suggestions.length)
-                    : 0,
+                totalCandidates,
+                qualifiedMatches: total,
+                averageMatchScore: Math.round(averageScore * 100),
                 topSuggestions: topSuggestions.length
             };
             
             res.json({ 
+                mode,
+                preferences: { ...preferences, learnedMultipliers },
+                filters: {
+                    technologies: options.technologies,
+                    roles: options.roles,
+                    strengths: options.strengths,
+                    minScore: Math.round(minScore * 100)
+                },
                 suggestions: topSuggestions,
+                pagination: {
+                    sort: options.sort,
+                    limit: options.limit,
+                    total,
+                    returned: topSuggestions.length,
+                    hasMore,
+                    nextCursor
+                },
                 stats: stats,
                 message: topSuggestions.length === 0 
                     ? "No suitable matches found. Try updating your profile with more technologies and skills."
@@ -305,7 +222,181 @@ module.exports = (db) => ({
         }
     },
     
+    getBookmarks: async (req, res) => {
+        const mode = req.query.mode || 'similar';
+        if (!scoring.MATCH_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Unknown mode '${mode}'. Use one of: ${scoring.MATCH_MODES.join(', ')}.` });
+        }
+        try {
+            const rows = await db.getBookmarkedSuggestions(req.user.userId, mode, scoring.ALGORITHM_VERSION);
+            const bookmarks = rows.map(row => {
+                const visibleProfile = privacy.filterProfile(row.profile_data, privacy.settingsFromRow(row));
+                const technical = visibleProfile.technical || {};
+                const business = visibleProfile.business || {};
+                return {
+                    user_id: row.user_id,
+                    github_username: row.github_username,
+                    github_avatar_url: row.github_avatar_url,
+                    github_profile_url: row.github_profile_url,
+                    headline: technical.headline || business.headline || "No headline available",
+                    matchScore: row.score === null ? null : Math.round(row.score * 100),
+                    matchStrength: row.score === null ? null : suggestionQuery.getMatchStrength(row.score),
+                    bookmarkedAt: row.bookmarked_at
+                };
+            });
+            res.json({ mode, bookmarks });
+        } catch (error) {
+            console.error("Error getting bookmarked suggestions:", error);
+            res.status(500).json({ error: "Failed to get bookmarks" });
+        }
+    },
+
+    getHiddenSuggestions: async (req, res) => {
+        try {
+            const hidden = await db.getHiddenSuggestions(req.user.userId);
+            res.json({ hidden });
+        } catch (error) {
+            console.error("Error getting hidden suggestions:", error);
+            res.status(500).json({ error: "Failed to get hidden suggestions" });
+        }
+    },
+
+    dismissSuggestion: async (req, res) => {
+        const fieldErrors = suggestionFeedback.validateDismiss(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Dismissal is invalid", fields: fieldErrors });
+        }
+        const days = req.body && req.body.days;
+        const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+        await recordFeedback(db, req, res, { action: 'dismissed', expiresAt });
+    },
+
+    bookmarkSuggestion: async (req, res) => {
+        await recordFeedback(db, req, res, { action: 'bookmarked' });
+    },
+
+    markSuggestionNotRelevant: async (req, res) => {
+        const fieldErrors = suggestionFeedback.validateNotRelevant(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Feedback is invalid", fields: fieldErrors });
+        }
+        await recordFeedback(db, req, res, { action: 'not_relevant', reason: req.body.reason, note: req.body.note || null });
+    },
+
+    // Undoes a dismissal, snooze, bookmark or "not relevant" mark; the user can be suggested again.
+    clearSuggestionFeedback: async (req, res) => {
+        const candidateId = parseInt(req.params.candidateId, 10);
+        if (isNaN(candidateId)) {
+            return res.status(400).json({ error: "Invalid user ID format." });
+        }
+        try {
+            const removed = await db.deleteSuggestionFeedback(req.user.userId, candidateId);
+            if (!removed) {
+                return res.status(404).json({ error: "No feedback found for this user." });
+            }
+            res.json({ message: "Feedback removed. This user can be suggested again." });
+        } catch (error) {
+            console.error("Error clearing suggestion feedback:", error);
+            res.status(500).json({ error: "Failed to remove feedback" });
+        }
+    },
+
+    // A short narrative on why the candidate matches, citing only what the candidate's privacy settings let the reader see.
+    getMatchExplanation: async (req, res) => {
+        const currentUserId = req.user.userId;
+        const candidateId = parseInt(req.params.candidateId, 10);
+        if (isNaN(candidateId)) {
+            return res.status(400).json({ error: "Invalid user ID format." });
+        }
+        if (candidateId === currentUserId) {
+            return res.status(400).json({ error: "You cannot get a match explanation for yourself." });
+        }
+        try {
+            const candidate = await db.getUserById(candidateId);
+            if (!candidate || await db.getBlockBetween(currentUserId, candidateId)) {
+                return res.status(404).json({ error: "User not found." });
+            }
+            const settings = privacy.settingsFromRow(candidate);
+            if (settings.visibility === 'connections') {
+                const connection = await db.getConnectionStatus(currentUserId, candidateId);
+                if (!privacy.canViewProfile(settings, { isConnected: !!connection && connection.status === 'accepted' })) {
+                    return res.status(403).json({ error: "This profile is only visible to connections." });
+                }
+            }
+
+            const currentUserProfileRow = await db.getUserProfile(currentUserId);
+            if (!currentUserProfileRow || !currentUserProfileRow.profile_data) {
+                return res.status(400).json({ error: "Please generate and save your profile first." });
+            }
+            const candidateProfileRow = await db.getUserProfile(candidateId);
+            if (!candidateProfileRow || !candidateProfileRow.profile_data) {
+                return res.status(404).json({ error: "This user has no profile to compare against." });
+            }
+
+            const explanation = await matchExplanations.getExplanation(
+                { userId: currentUserId, versionId: currentUserProfileRow.active_version_id, profile: currentUserProfileRow.profile_data },
+                { userId: candidateId, versionId: candidateProfileRow.active_version_id, profile: privacy.filterProfile(candidateProfileRow.profile_data, settings) }
+            );
+            if (explanation.limited) {
+                const { limited } = explanation;
+                res.set('Retry-After', String(Math.max(1, Math.ceil((limited.retryAt - Date.now()) / 1000))));
+                return res.status(429).json({ error: limited.error, limit: limited.limit, retryAt: limited.retryAt });
+            }
+            res.json({ candidateId, ...explanation });
+        } catch (error) {
+            console.error("Error explaining match:", error);
+            res.status(500).json({ error: "Failed to explain match" });
+        }
+    },
+
+    getPreferences: async (req, res) => {
+        try {
+            const preferences = matchPreferences.fromRow(await db.getMatchingPreferences(req.user.userId));
+            const feedback = await db.getSuggestionFeedback(req.user.userId);
+            const learnedMultipliers = Object.fromEntries(scoring.MATCH_MODES.map(mode => [mode, suggestionFeedback.learnWeightMultipliers(feedback, mode)]));
+            res.json({ preferences, learnedMultipliers, defaultWeights: scoring.DEFAULT_WEIGHTS, experienceLevels: scoring.EXPERIENCE_LEVELS });
+        } catch (error) {
+            console.error("Error getting matching preferences:", error);
+            res.status(500).json({ error: "Failed to get matching preferences" });
+        }
+    },
+
+    // Replaces all preferences; omitted fields fall back to their defaults.
+    updatePreferences: async (req, res) => {
+        const fieldErrors = matchPreferences.validatePreferences(req.body);
+        if (Object.keys(fieldErrors).length > 0) {
+            return res.status(400).json({ error: "Matching preferences are invalid", fields: fieldErrors });
+        }
+        const { DEFAULT_PREFERENCES } = matchPreferences;
+        const body = req.body;
+        try {
+            const row = await db.saveMatchingPreferences(req.user.userId, {
+                weights: body.weights || DEFAULT_PREFERENCES.weights,
+                minScore: body.minScore !== undefined ? body.minScore : null,
+                requiredTechnologies: body.requiredTechnologies || [],
+                requiredRoles: body.requiredRoles || [],
+                experienceRange: { min: (body.experienceRange && body.experienceRange.min) || null, max: (body.experienceRange && body.experienceRange.max) || null },
+                excludedUserIds: [...new Set(body.excludedUserIds || [])]
+            });
+            res.json({ message: "Matching preferences saved.", preferences: matchPreferences.fromRow(row) });
+        } catch (error) {
+            console.error("Error saving matching preferences:", error);
+            res.status(500).json({ error: "Failed to save matching preferences" });
+        }
+    },
+
+    resetPreferences: async (req, res) => {
+        try {
+            await db.deleteMatchingPreferences(req.user.userId);
+            res.json({ message: "Matching preferences reset to defaults.", preferences: matchPreferences.fromRow(null) });
+        } catch (error) {
+            console.error("Error resetting matching preferences:", error);
+            res.status(500).json({ error: "Failed to reset matching preferences" });
+        }
+    },
+    
     // Export helper functions for testing
-    calculateJaccardIndex,
-    calculateDetailedMatchScore
+    calculateJaccardIndex: scoring.calculateJaccardIndex,
+    calculateDetailedMatchScore: scoring.calculateDetailedMatchScore,
+    calculateComplementaryMatchScore: scoring.calculateComplementaryMatchScore
 });
@@ -1,34 +1,51 @@
 // middleware/authMiddleware.js
-const jwt = require('jsonwebtoken');
 
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (token == null) {
-        return res.status(401).json({ message: 'Authentication token is required.' });
-    }
+// The middleware is a factory so it can check tokens against the injected session store.
+module.exports = (sessionService) => {
+    const authenticate = (allowQueryToken) => async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        let token = authHeader && authHeader.split(' ')[1];
+        if (!token && allowQueryToken && typeof req.query.access_token === 'string') {
+            token = req.query.access_token;
+        }
 
-    const secret = process.env.JWT_SECRET;
-    if (!secret) {
-        console.error('[FATAL AUTH] JWT_SECRET environment variable is not set.');
-    }
+        if (token == null) {
+            return res.status(401).json({ message: 'Authentication token is required.' });
+        }
 
-    jwt.verify(token, secret || 'your-insecure-fallback-key', (err, userPayload) => {
-        if (err) {
+        let userPayload;
+        try {
+            userPayload = await sessionService.verifyAccessToken(token);
+        } catch (err) {
             console.warn(`[AUTH] Token verification failed: ${err.message}`);
             return res.status(403).json({ message: 'Token is invalid or has expired. Please log in again.' });
         }
 
-        // --- ENHANCED LOGGING ---
-        console.log(`[AUTH] Token verified. Payload attached to req.user:`, userPayload);
+        try {
+            // Tokens issued before sessions existed carry no 'sid' and cannot be revoked, so they are refused.
+            const sessionActive = await sessionService.isSessionActive(userPayload.sid);
+            if (!sessionActive) {
+                console.warn(`[AUTH] Rejected token for user ID ${userPayload.userId}: session is revoked or expired.`);
+                return res.status(401).json({ message: 'Your session has ended. Please log in again.', code: 'session_revoked' });
+            }
+        } catch (err) {
+            console.error('[AUTH] Failed to check session state:', err);
+            return res.status(500).json({ message: 'Failed to verify session.' });
+        }
 
-        req.user = userPayload;
+        console.log(`[AUTH] Token verified for user ID ${userPayload.userId}.`);
+
+        req.user = { ...userPayload, sessionId: userPayload.sid };
         next();
-    });
-};
+    };
+
+    const authenticateToken = authenticate(false);
 
-module.exports = {
-    authenticateToken,
-    ensureAuthenticated: authenticateToken
+    return {
+        authenticateToken,
+        ensureAuthenticated: authenticateToken,
+        // For EventSource streams, which cannot set an Authorization header. Only use on GET routes
+        // that return a stream, since query strings end up in access logs.
+        authenticateStream: authenticate(true)
+    };
 };
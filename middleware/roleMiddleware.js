@@ -0,0 +1,36 @@
+// middleware/roleMiddleware.js
+const rbac = require('../services/rbacService');
+
+// Factory so the role is read fresh from the injected 'db' on every request;
+// a grant or revoke takes effect without waiting for the user's token to expire.
+// Must run after authMiddleware.authenticateToken.
+module.exports = (db) => {
+    const loadRole = async (req) => {
+        if (req.user.role) return req.user.role;
+        const user = await db.getUserById(req.user.userId);
+        req.user.role = user ? user.role : null;
+        return req.user.role;
+    };
+
+    const guard = (isAllowed, describe) => async (req, res, next) => {
+        if (!req.user || !req.user.userId) {
+            return res.status(401).json({ message: 'Authentication token is required.' });
+        }
+        try {
+            const role = await loadRole(req);
+            if (!isAllowed(role)) {
+                console.warn(`[RBAC] User ID ${req.user.userId} (role: ${role}) denied: requires ${describe}.`);
+                return res.status(403).json({ error: 'Forbidden', message: `This action requires ${describe}.` });
+            }
+            next();
+        } catch (err) {
+            console.error('[RBAC] Failed to load user role:', err);
+            res.status(500).json({ error: 'Failed to verify permissions' });
+        }
+    };
+
+    return {
+        requireRole: (role) => guard(actual => rbac.hasRole(actual, role), `the '${role}' role`),
+        requirePermission: (permission) => guard(actual => rbac.hasPermission(actual, permission), `the '${permission}' permission`)
+    };
+};
@@ -0,0 +1,13 @@
+-- 0001_baseline: drops the entire application schema. Only useful on a disposable database.
+
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS auth_sessions;
+DROP TABLE IF EXISTS github_tokens;
+DROP TABLE IF EXISTS oauth_states;
+DROP TABLE IF EXISTS user_cvs;
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS connections;
+DROP TABLE IF EXISTS saved_profiles;
+DROP TABLE IF EXISTS profile_generations;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
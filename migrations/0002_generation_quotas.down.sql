@@ -0,0 +1,23 @@
+-- 0002_generation_quotas (rollback): restores profile_generations from the ledger.
+
+CREATE TABLE IF NOT EXISTS profile_generations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  generation_count INTEGER DEFAULT 0,
+  last_generated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_profile_generations_updated_at') THEN CREATE TRIGGER update_profile_generations_updated_at BEFORE UPDATE ON profile_generations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;
+
+INSERT INTO profile_generations (user_id, generation_count, last_generated_at)
+SELECT user_id, SUM(amount), MAX(created_at)
+FROM generation_usage
+WHERE voided_at IS NULL
+GROUP BY user_id
+ON CONFLICT (user_id) DO NOTHING;
+
+DROP TABLE IF EXISTS quota_grants;
+DROP TABLE IF EXISTS quota_overrides;
+DROP TABLE IF EXISTS generation_usage;
+ALTER TABLE users DROP COLUMN IF EXISTS plan;
@@ -0,0 +1,47 @@
+-- 0002_generation_quotas: replaces the lifetime generation_count with a usage ledger,
+-- per-user plans, admin overrides and bonus grants.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free';
+
+CREATE TABLE IF NOT EXISTS generation_usage (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL DEFAULT 'generation',
+  amount INTEGER NOT NULL DEFAULT 1 CHECK (amount > 0),
+  metadata JSONB,
+  voided_at TIMESTAMPTZ,
+  voided_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_generation_usage_user_created ON generation_usage(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS quota_overrides (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  generation_limit INTEGER CHECK (generation_limit IS NULL OR generation_limit >= 0),
+  window_days INTEGER CHECK (window_days IS NULL OR window_days > 0),
+  reason TEXT,
+  set_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TRIGGER update_quota_overrides_updated_at BEFORE UPDATE ON quota_overrides FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS quota_grants (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_quota_grants_user_id ON quota_grants(user_id);
+
+-- Carry existing counts over as a single ledger entry at the time of the last generation,
+-- so they age out of the rolling window naturally.
+INSERT INTO generation_usage (user_id, kind, amount, metadata, created_at)
+SELECT user_id, 'generation', generation_count, '{"migratedFrom": "profile_generations"}'::jsonb, COALESCE(last_generated_at, updated_at, NOW())
+FROM profile_generations
+WHERE generation_count > 0;
+
+DROP TABLE IF EXISTS profile_generations;
@@ -0,0 +1,3 @@
+-- 0003_profile_generation_jobs (rollback)
+
+DROP TABLE IF EXISTS profile_generation_jobs;
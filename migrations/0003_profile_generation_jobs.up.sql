@@ -0,0 +1,22 @@
+-- 0003_profile_generation_jobs: persisted background jobs for profile generation.
+
+CREATE TABLE IF NOT EXISTS profile_generation_jobs (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  stage VARCHAR(30) NOT NULL DEFAULT 'queued',
+  progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+  stage_detail JSONB,
+  result JSONB,
+  error_code TEXT,
+  error_message TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TRIGGER update_profile_generation_jobs_updated_at BEFORE UPDATE ON profile_generation_jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE INDEX IF NOT EXISTS idx_profile_generation_jobs_user_created ON profile_generation_jobs(user_id, created_at DESC);
+-- At most one unfinished job per user.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_profile_generation_jobs_active_user ON profile_generation_jobs(user_id) WHERE status IN ('queued', 'running');
@@ -0,0 +1,4 @@
+-- 0004_profile_versions (rollback): saved_profiles keeps the active profile; history is dropped.
+
+ALTER TABLE saved_profiles DROP COLUMN IF EXISTS active_version_id;
+DROP TABLE IF EXISTS profile_versions;
@@ -0,0 +1,22 @@
+-- 0004_profile_versions: keeps every generated or saved profile instead of overwriting saved_profiles.
+
+CREATE TABLE IF NOT EXISTS profile_versions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('ai_generated', 'manual_edit', 'auto_save', 'restore', 'migrated')),
+  restored_from INTEGER,
+  profile_data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_profile_versions_user_version UNIQUE (user_id, version_number)
+);
+
+ALTER TABLE saved_profiles ADD COLUMN IF NOT EXISTS active_version_id INTEGER REFERENCES profile_versions(id) ON DELETE SET NULL;
+
+-- Existing saved profiles become version 1 of their owner's history.
+INSERT INTO profile_versions (user_id, version_number, source, profile_data, created_at)
+SELECT user_id, 1, 'migrated', profile_data, updated_at FROM saved_profiles;
+
+UPDATE saved_profiles sp SET active_version_id = pv.id
+FROM profile_versions pv
+WHERE pv.user_id = sp.user_id AND pv.version_number = 1;
@@ -0,0 +1,5 @@
+-- 0005_profile_privacy (rollback): every profile becomes public again.
+
+DROP INDEX IF EXISTS idx_users_profile_visibility;
+ALTER TABLE users DROP COLUMN IF EXISTS hidden_profile_fields;
+ALTER TABLE users DROP COLUMN IF EXISTS profile_visibility;
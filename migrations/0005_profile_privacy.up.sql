@@ -0,0 +1,7 @@
+-- 0005_profile_privacy: per-user profile visibility and fields hidden from other users.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_visibility VARCHAR(20) NOT NULL DEFAULT 'public'
+  CHECK (profile_visibility IN ('public', 'connections', 'unlisted'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS hidden_profile_fields TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_users_profile_visibility ON users(profile_visibility);
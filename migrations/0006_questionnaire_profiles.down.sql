@@ -0,0 +1,6 @@
+-- 0006_questionnaire_profiles (rollback): questionnaire versions are relabelled as manual edits.
+
+UPDATE profile_versions SET source = 'manual_edit' WHERE source = 'questionnaire';
+ALTER TABLE profile_versions DROP CONSTRAINT IF EXISTS profile_versions_source_check;
+ALTER TABLE profile_versions ADD CONSTRAINT profile_versions_source_check
+  CHECK (source IN ('ai_generated', 'manual_edit', 'auto_save', 'restore', 'migrated'));
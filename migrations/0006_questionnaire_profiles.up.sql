@@ -0,0 +1,5 @@
+-- 0006_questionnaire_profiles: profiles can now be written by the business questionnaire.
+
+ALTER TABLE profile_versions DROP CONSTRAINT IF EXISTS profile_versions_source_check;
+ALTER TABLE profile_versions ADD CONSTRAINT profile_versions_source_check
+  CHECK (source IN ('ai_generated', 'manual_edit', 'auto_save', 'restore', 'migrated', 'questionnaire'));
@@ -0,0 +1,4 @@
+-- 0007_match_scores (rollback): suggestions fall back to scoring on every request.
+
+DROP TABLE IF EXISTS match_index_state;
+DROP TABLE IF EXISTS match_scores;
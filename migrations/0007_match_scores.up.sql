@@ -0,0 +1,24 @@
+-- 0007_match_scores: precomputed pairwise match scores read by the suggestions endpoint.
+-- Scores are directional (user_id is the viewer), because complementary scoring is not symmetric.
+
+CREATE TABLE IF NOT EXISTS match_scores (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  candidate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode VARCHAR(20) NOT NULL CHECK (mode IN ('similar', 'complementary')),
+  score REAL NOT NULL,
+  breakdown JSONB NOT NULL,
+  details JSONB,
+  algorithm_version INTEGER NOT NULL,
+  computed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, candidate_id, mode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_scores_ranking ON match_scores(user_id, mode, algorithm_version, score DESC);
+CREATE INDEX IF NOT EXISTS idx_match_scores_candidate ON match_scores(candidate_id);
+
+-- Records that a user's outgoing scores are complete for an algorithm version.
+CREATE TABLE IF NOT EXISTS match_index_state (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  algorithm_version INTEGER NOT NULL,
+  computed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
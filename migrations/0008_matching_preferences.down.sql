@@ -0,0 +1,3 @@
+-- 0008_matching_preferences (rollback): everyone goes back to the default weights and threshold.
+
+DROP TABLE IF EXISTS matching_preferences;
@@ -0,0 +1,18 @@
+-- 0008_matching_preferences: per-user weights and hard filters applied when reading suggestions.
+
+CREATE TABLE IF NOT EXISTS matching_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  weights JSONB NOT NULL DEFAULT '{}',
+  min_score REAL CHECK (min_score IS NULL OR (min_score >= 0 AND min_score <= 1)),
+  required_technologies TEXT[] NOT NULL DEFAULT '{}',
+  required_roles TEXT[] NOT NULL DEFAULT '{}',
+  experience_min VARCHAR(20),
+  experience_max VARCHAR(20),
+  excluded_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_matching_preferences_updated_at
+BEFORE UPDATE ON matching_preferences
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
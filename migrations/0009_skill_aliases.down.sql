@@ -0,0 +1,3 @@
+-- 0009_skill_aliases (rollback): only the built-in aliases remain. Profiles saved with normalized names keep them.
+
+DROP TABLE IF EXISTS skill_aliases;
@@ -0,0 +1,9 @@
+-- 0009_skill_aliases: aliases added by admins on top of the built-in skill taxonomy.
+
+CREATE TABLE IF NOT EXISTS skill_aliases (
+  alias_key VARCHAR(100) PRIMARY KEY,
+  alias VARCHAR(100) NOT NULL,
+  skill VARCHAR(100) NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
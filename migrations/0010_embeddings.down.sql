@@ -0,0 +1,4 @@
+-- 0010_embeddings (rollback): matching falls back to keyword and structured scores only.
+-- The vector extension is left installed in case anything else uses it.
+
+DROP TABLE IF EXISTS embeddings;
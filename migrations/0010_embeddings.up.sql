@@ -0,0 +1,19 @@
+-- 0010_embeddings: vector embeddings of profiles, CVs and job descriptions for semantic matching.
+-- Requires the pgvector extension to be installed on the Postgres server.
+-- The column has no fixed dimension so the embedding provider can change; vectors are only ever
+-- compared with others from the same model.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS embeddings (
+  owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('profile', 'cv', 'job')),
+  -- saved_profiles.user_id, user_cvs.user_id or jobs.id depending on owner_type
+  owner_id INTEGER NOT NULL,
+  model VARCHAR(200) NOT NULL,
+  embedding vector NOT NULL,
+  content_hash CHAR(64) NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (owner_type, owner_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings (owner_type, model);
@@ -0,0 +1,3 @@
+-- 0011_suggestion_feedback (rollback): dismissed and bookmarked users return to the suggestions.
+
+DROP TABLE IF EXISTS suggestion_feedback;
@@ -0,0 +1,27 @@
+-- 0011_suggestion_feedback: dismissals, snoozes, bookmarks and "not relevant" marks on suggestions.
+-- One row per (user, candidate); a new action replaces the previous one.
+
+CREATE TABLE IF NOT EXISTS suggestion_feedback (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  candidate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('dismissed', 'bookmarked', 'not_relevant')),
+  reason VARCHAR(20),
+  note TEXT,
+  -- The suggestion as it was scored when the feedback was given; used to learn dimension weights.
+  mode VARCHAR(20) NOT NULL CHECK (mode IN ('similar', 'complementary')),
+  breakdown JSONB,
+  -- Set for snoozes: the candidate can be suggested again after this time.
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, candidate_id),
+  CONSTRAINT chk_feedback_not_self CHECK (user_id <> candidate_id),
+  CONSTRAINT chk_feedback_reason CHECK ((action = 'not_relevant') = (reason IS NOT NULL)),
+  CONSTRAINT chk_feedback_expiry CHECK (expires_at IS NULL OR action = 'dismissed')
+);
+
+CREATE INDEX IF NOT EXISTS idx_suggestion_feedback_action ON suggestion_feedback (user_id, action);
+
+CREATE TRIGGER update_suggestion_feedback_updated_at
+BEFORE UPDATE ON suggestion_feedback
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- 0012_match_explanations (rollback): explanations are regenerated on demand if the table comes back.
+
+DROP TABLE IF EXISTS match_explanations;
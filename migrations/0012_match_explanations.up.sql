@@ -0,0 +1,14 @@
+-- 0012_match_explanations: cached LLM narratives on why two users match, one per (reader, candidate).
+-- A row is only reused while both profile versions it was written for are still the active ones.
+
+CREATE TABLE IF NOT EXISTS match_explanations (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  candidate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_version_id INTEGER NOT NULL REFERENCES profile_versions(id) ON DELETE CASCADE,
+  candidate_version_id INTEGER NOT NULL REFERENCES profile_versions(id) ON DELETE CASCADE,
+  facts_hash CHAR(64) NOT NULL,
+  narrative TEXT NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, candidate_id)
+);
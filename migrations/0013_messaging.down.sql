@@ -0,0 +1,5 @@
+-- 0013_messaging (rollback): drops all conversations and messages.
+
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS conversation_reads;
+DROP TABLE IF EXISTS conversations;
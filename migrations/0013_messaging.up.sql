@@ -0,0 +1,42 @@
+-- 0013_messaging: direct messages between users with an accepted connection.
+-- One conversation per pair of users, stored with the lower user ID first so the pair is unique.
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id SERIAL PRIMARY KEY,
+  user_low_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_high_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  last_message_at TIMESTAMPTZ,
+  -- Set when the connection is removed: history stays readable but no new messages can be sent.
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uq_conversation_pair UNIQUE (user_low_id, user_high_id),
+  CONSTRAINT chk_conversation_order CHECK (user_low_id < user_high_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_high_user ON conversations (user_high_id);
+
+-- Per-participant read position; the other participant's row doubles as the read receipt.
+CREATE TABLE IF NOT EXISTS conversation_reads (
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  last_read_message_id INTEGER NOT NULL DEFAULT 0,
+  read_at TIMESTAMPTZ,
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  -- Soft delete: the row keeps its place in the history, the body is no longer returned.
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (conversation_id, id DESC);
+
+CREATE TRIGGER update_conversations_updated_at
+BEFORE UPDATE ON conversations
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- 0014_notifications (rollback): drops the inbox and everyone's notification preferences.
+
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS notifications;
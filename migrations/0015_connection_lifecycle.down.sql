@@ -0,0 +1,9 @@
+-- 0015_connection_lifecycle (rollback): rows in the new end states are deleted, as they were before.
+
+DROP TABLE IF EXISTS connection_events;
+DELETE FROM connections WHERE status NOT IN ('pending', 'accepted');
+ALTER TABLE connections DROP CONSTRAINT IF EXISTS chk_connection_status;
+DROP INDEX IF EXISTS idx_connections_pending;
+DROP INDEX IF EXISTS uq_connection_unordered_pair;
+ALTER TABLE connections DROP COLUMN IF EXISTS status_changed_by;
+ALTER TABLE connections DROP COLUMN IF EXISTS status_changed_at;
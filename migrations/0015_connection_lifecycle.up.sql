@@ -0,0 +1,37 @@
+-- 0015_connection_lifecycle: connections keep their row through every state instead of being deleted,
+-- and each transition is recorded in connection_events.
+
+-- One row per pair of users, whichever way round; a new request after a decline reuses the pair's row.
+-- Pairs that already have rows in both directions keep the older one.
+DELETE FROM connections c USING connections d
+WHERE LEAST(c.requester_id, c.addressee_id) = LEAST(d.requester_id, d.addressee_id)
+  AND GREATEST(c.requester_id, c.addressee_id) = GREATEST(d.requester_id, d.addressee_id)
+  AND c.id > d.id;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_connection_unordered_pair ON connections (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+-- NULL when the system made the change (expiry).
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS status_changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+UPDATE connections SET status_changed_at = COALESCE(updated_at, created_at),
+  status_changed_by = CASE WHEN status = 'accepted' THEN addressee_id ELSE requester_id END
+WHERE status_changed_by IS NULL;
+
+DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_connection_status') THEN ALTER TABLE connections ADD CONSTRAINT chk_connection_status CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired', 'removed')); END IF; END $$;
+
+CREATE INDEX IF NOT EXISTS idx_connections_pending ON connections (status_changed_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS connection_events (
+  id SERIAL PRIMARY KEY,
+  connection_id INTEGER NOT NULL REFERENCES connections(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_connection_events_connection ON connection_events (connection_id, id);
+
+-- Existing rows start their history with the state they are in.
+INSERT INTO connection_events (connection_id, from_status, to_status, actor_id, created_at)
+SELECT c.id, NULL, c.status, c.status_changed_by, c.status_changed_at FROM connections c
+WHERE NOT EXISTS (SELECT 1 FROM connection_events e WHERE e.connection_id = c.id);
@@ -0,0 +1,6 @@
+-- 0016_connection_intros (rollback): intro notes and prompting scores are lost.
+
+DROP INDEX IF EXISTS idx_connection_events_requests;
+ALTER TABLE connections DROP COLUMN IF EXISTS match_mode;
+ALTER TABLE connections DROP COLUMN IF EXISTS match_score;
+ALTER TABLE connections DROP COLUMN IF EXISTS intro_message;
@@ -0,0 +1,9 @@
+-- 0016_connection_intros: an optional intro note on connection requests, and the match score that prompted them.
+
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS intro_message TEXT;
+-- Copied from match_scores when the request is sent; NULL if the pair had no stored score.
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS match_score REAL;
+ALTER TABLE connections ADD COLUMN IF NOT EXISTS match_mode VARCHAR(20);
+
+-- Daily request limits count a user's recent requests from the history.
+CREATE INDEX IF NOT EXISTS idx_connection_events_requests ON connection_events (actor_id, created_at) WHERE to_status = 'pending';
@@ -0,0 +1,8 @@
+-- 0017_moderation (rollback): blocks, reports, suspensions and the audit trail are dropped.
+
+DROP TABLE IF EXISTS moderation_actions;
+ALTER TABLE users DROP COLUMN IF EXISTS suspension_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_until;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_at;
+DROP TABLE IF EXISTS user_reports;
+DROP TABLE IF EXISTS user_blocks;
@@ -0,0 +1,55 @@
+-- 0017_moderation: user blocks, abuse reports, account suspensions and the moderation audit trail.
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (blocker_id, blocked_id),
+  CONSTRAINT chk_block_not_self CHECK (blocker_id <> blocked_id)
+);
+
+-- Blocks hide both users from each other, so lookups go both ways.
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks (blocked_id);
+
+CREATE TABLE IF NOT EXISTS user_reports (
+  id SERIAL PRIMARY KEY,
+  reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reported_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(30) NOT NULL CHECK (category IN ('spam', 'harassment', 'impersonation', 'inappropriate_content', 'scam', 'other')),
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'actioned')),
+  resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_report_not_self CHECK (reporter_id <> reported_id)
+);
+
+-- A reporter has at most one open report per user; the queue is read oldest first.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_user_reports_open ON user_reports (reporter_id, reported_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_user_reports_queue ON user_reports (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_reports_reported ON user_reports (reported_id);
+
+CREATE TRIGGER update_user_reports_updated_at
+BEFORE UPDATE ON user_reports
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A suspension is active while suspended_at is set and suspended_until is NULL (indefinite) or in the future.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+-- Append-only record of every moderator action.
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id SERIAL PRIMARY KEY,
+  moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  report_id INTEGER REFERENCES user_reports(id) ON DELETE SET NULL,
+  action VARCHAR(30) NOT NULL CHECK (action IN ('suspend', 'unsuspend', 'dismiss_report', 'action_report')),
+  reason TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions (target_user_id, id DESC);
@@ -0,0 +1,3 @@
+-- 0018_match_index_staleness (rollback): pending changes are forgotten until the next recompute.
+
+ALTER TABLE match_index_state DROP COLUMN IF EXISTS stale_changes;
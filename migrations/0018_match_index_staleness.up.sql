@@ -0,0 +1,5 @@
+-- 0018_match_index_staleness: profile changes waiting for a recompute are recorded in the database, so every
+-- instance sees that a user's scores are stale, not only the one whose in-memory queue holds the recompute.
+
+-- Changes since the scores were computed; a recompute subtracts the changes it saw when it started.
+ALTER TABLE match_index_state ADD COLUMN IF NOT EXISTS stale_changes INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- 0019_quota_grant_usage (rollback): grants go back to adding to every window while active.
+
+ALTER TABLE generation_usage DROP COLUMN IF EXISTS grant_id;
+ALTER TABLE quota_grants DROP CONSTRAINT IF EXISTS chk_quota_grant_used;
+ALTER TABLE quota_grants DROP COLUMN IF EXISTS used;
@@ -0,0 +1,8 @@
+-- 0019_quota_grant_usage: bonus grants are used up by the generations they pay for, instead of adding to
+-- every window's allowance for as long as they are active.
+
+ALTER TABLE quota_grants ADD COLUMN IF NOT EXISTS used INTEGER NOT NULL DEFAULT 0;
+DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_quota_grant_used') THEN ALTER TABLE quota_grants ADD CONSTRAINT chk_quota_grant_used CHECK (used >= 0 AND used <= amount); END IF; END $$;
+
+-- The grant a generation was charged to; NULL when it counted against the plan's limit.
+ALTER TABLE generation_usage ADD COLUMN IF NOT EXISTS grant_id INTEGER REFERENCES quota_grants(id) ON DELETE SET NULL;
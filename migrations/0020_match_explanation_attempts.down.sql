@@ -0,0 +1,7 @@
+-- 0020_match_explanation_attempts (rollback): cached fallbacks and explanations without a version are dropped.
+
+DROP INDEX IF EXISTS idx_match_explanations_user_created;
+DELETE FROM match_explanations WHERE source <> 'ai' OR user_version_id IS NULL OR candidate_version_id IS NULL;
+ALTER TABLE match_explanations DROP COLUMN IF EXISTS source;
+ALTER TABLE match_explanations ALTER COLUMN candidate_version_id SET NOT NULL;
+ALTER TABLE match_explanations ALTER COLUMN user_version_id SET NOT NULL;
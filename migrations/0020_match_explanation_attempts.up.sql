@@ -0,0 +1,11 @@
+-- 0020_match_explanation_attempts: every explanation the LLM was asked for is cached, including template
+-- fallbacks after a failed call and pairs where a profile has no active version yet, and the cache doubles
+-- as the record of recent LLM calls for the per-user limit.
+
+-- NULL when the profile had no active version; the facts hash still guards reuse.
+ALTER TABLE match_explanations ALTER COLUMN user_version_id DROP NOT NULL;
+ALTER TABLE match_explanations ALTER COLUMN candidate_version_id DROP NOT NULL;
+-- 'template' rows record a failed LLM call and are reused only for a short while before the LLM is tried again.
+ALTER TABLE match_explanations ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'ai';
+
+CREATE INDEX IF NOT EXISTS idx_match_explanations_user_created ON match_explanations (user_id, created_at);
@@ -0,0 +1,3 @@
+-- 0021_role_assignments (rollback): bootstrap admins are promoted again on every startup and login.
+
+ALTER TABLE users DROP COLUMN IF EXISTS role_assigned_at;
@@ -0,0 +1,6 @@
+-- 0021_role_assignments: records when a user's role was last set, by an admin or by bootstrap promotion.
+-- Bootstrap admins are only promoted while this is NULL, so demoting one sticks.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role_assigned_at TIMESTAMPTZ;
+-- Elevated roles held today were assigned deliberately.
+UPDATE users SET role_assigned_at = COALESCE(updated_at, created_at, NOW()) WHERE role <> 'user' AND role_assigned_at IS NULL;
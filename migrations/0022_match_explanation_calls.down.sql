@@ -0,0 +1,4 @@
+-- 0022_match_explanation_calls (rollback): the call history is lost.
+
+CREATE INDEX IF NOT EXISTS idx_match_explanations_user_created ON match_explanations (user_id, created_at);
+DROP TABLE IF EXISTS match_explanation_calls;
@@ -0,0 +1,13 @@
+-- 0022_match_explanation_calls: one row per LLM call made for a match explanation, never updated or deleted
+-- with the cache, so the per-user hourly limit counts every call. Replaces counting cached rows (0020), which
+-- counted a pair once however often it was regenerated.
+
+CREATE TABLE IF NOT EXISTS match_explanation_calls (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  candidate_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_explanation_calls_user_created ON match_explanation_calls (user_id, created_at);
+DROP INDEX IF EXISTS idx_match_explanations_user_created;
@@ -0,0 +1,16 @@
+-- 0023_embeddings_float_arrays (rollback): vectors go back to pgvector's vector type, which needs the extension.
+-- The per-model HNSW indexes depend on the float array column and are dropped with the conversion.
+
+DO $$
+DECLARE
+  idx RECORD;
+BEGIN
+  FOR idx IN SELECT indexname FROM pg_indexes WHERE tablename = 'embeddings' AND indexname LIKE 'idx_embeddings_ann_%' LOOP
+    EXECUTE format('DROP INDEX IF EXISTS %I', idx.indexname);
+  END LOOP;
+END $$;
+DROP FUNCTION IF EXISTS ensure_embedding_ann_index(TEXT, TEXT, INTEGER);
+
+ALTER TABLE embeddings DROP CONSTRAINT IF EXISTS chk_embeddings_dimensions;
+ALTER TABLE embeddings DROP COLUMN IF EXISTS dimensions;
+ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector USING embedding::real[]::vector;
@@ -0,0 +1,43 @@
+-- 0023_embeddings_float_arrays: vectors are stored as plain float8 arrays with their dimension, so embeddings
+-- work on any Postgres. When the pgvector extension is available, ensure_embedding_ann_index() builds an HNSW
+-- index per owner type and model for nearest-neighbour search; without it, searches fall back to an exact scan.
+
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'vector') THEN
+    CREATE EXTENSION IF NOT EXISTS vector;
+  END IF;
+END $$;
+
+-- 0010 created the column as pgvector's dimensionless vector type. The conversion goes through EXECUTE so the
+-- cast is only resolved on databases where the column (and so the extension) exists.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = 'embeddings' AND column_name = 'embedding' AND udt_name = 'vector') THEN
+    EXECUTE 'ALTER TABLE embeddings ALTER COLUMN embedding TYPE DOUBLE PRECISION[] USING embedding::real[]::double precision[]';
+  END IF;
+END $$;
+
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS dimensions INTEGER;
+UPDATE embeddings SET dimensions = array_length(embedding, 1) WHERE dimensions IS NULL;
+ALTER TABLE embeddings ALTER COLUMN dimensions SET NOT NULL;
+DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_embeddings_dimensions') THEN ALTER TABLE embeddings ADD CONSTRAINT chk_embeddings_dimensions CHECK (dimensions > 0 AND array_length(embedding, 1) = dimensions); END IF; END $$;
+
+-- The index expression casts to a fixed-dimension vector, which HNSW requires, and is partial on the model
+-- so rows of other dimensions never reach the cast. Returns whether an index is (now) in place.
+CREATE OR REPLACE FUNCTION ensure_embedding_ann_index(p_owner_type TEXT, p_model TEXT, p_dimensions INTEGER) RETURNS BOOLEAN AS $$
+DECLARE
+  index_name TEXT := 'idx_embeddings_ann_' || substr(md5(p_owner_type || ':' || p_model), 1, 16);
+BEGIN
+  -- pgvector's HNSW index supports up to 2000 dimensions.
+  IF NOT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'vector') OR p_dimensions IS NULL OR p_dimensions < 1 OR p_dimensions > 2000 THEN
+    RETURN FALSE;
+  END IF;
+  EXECUTE format(
+    'CREATE INDEX IF NOT EXISTS %I ON embeddings USING hnsw ((embedding::vector(%s)) vector_cosine_ops) WHERE owner_type = %L AND model = %L',
+    index_name, p_dimensions, p_owner_type, p_model
+  );
+  RETURN TRUE;
+EXCEPTION WHEN unique_violation OR duplicate_table THEN
+  -- Another instance created it at the same moment.
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1 @@
+-- 0024_connection_pair_dedup (rollback): nothing to undo; removed duplicate rows are not restored.
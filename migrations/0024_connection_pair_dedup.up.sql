@@ -0,0 +1,16 @@
+-- 0024_connection_pair_dedup: when a pair of users has rows in both directions, keep an accepted row over a
+-- pending one over any other, and the newest among rows in the same state.
+-- 0015 already deduplicated by keeping the older row before building uq_connection_unordered_pair, so on
+-- databases past 0015 this finds nothing to delete; the rows 0015 removed cannot be recovered.
+
+DELETE FROM connections WHERE id IN (
+  SELECT id FROM (
+    SELECT id, ROW_NUMBER() OVER (
+      PARTITION BY LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id)
+      ORDER BY CASE status WHEN 'accepted' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END,
+        COALESCE(updated_at, created_at) DESC NULLS LAST, id DESC
+    ) AS keep_rank
+    FROM connections
+  ) ranked
+  WHERE keep_rank > 1
+);
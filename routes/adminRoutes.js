@@ -0,0 +1,33 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+
+// The entire module is a factory function that accepts its dependencies.
+module.exports = (adminController, authMiddleware, roleMiddleware) => {
+
+    // --- Role Routes ---
+    const canManageRoles = [authMiddleware.authenticateToken, roleMiddleware.requirePermission('roles:manage')];
+
+    router.get('/users', canManageRoles, adminController.listPrivilegedUsers);
+    router.put('/users/:userId/role', canManageRoles, adminController.grantRole);
+    router.delete('/users/:userId/role', canManageRoles, adminController.revokeRole);
+
+    // --- Generation Quota Routes ---
+    const canManageQuotas = [authMiddleware.authenticateToken, roleMiddleware.requirePermission('quotas:manage')];
+
+    router.get('/users/:userId/quota', canManageQuotas, adminController.getUserQuota);
+    router.put('/users/:userId/quota', canManageQuotas, adminController.setQuotaOverride);
+    router.delete('/users/:userId/quota', canManageQuotas, adminController.clearQuotaOverride);
+    router.post('/users/:userId/quota/grants', canManageQuotas, adminController.grantQuota);
+    router.post('/users/:userId/quota/reset', canManageQuotas, adminController.resetQuota);
+
+    // --- Skill Taxonomy Routes ---
+    const canManageTaxonomy = [authMiddleware.authenticateToken, roleMiddleware.requirePermission('taxonomy:manage')];
+
+    router.get('/skills', canManageTaxonomy, adminController.listSkills);
+    router.post('/skills/aliases', canManageTaxonomy, adminController.addSkillAlias);
+    router.delete('/skills/aliases/:alias', canManageTaxonomy, adminController.removeSkillAlias);
+
+    // Return the configured router to be used by server.js
+    return router;
+};
@@ -5,5 +5,11 @@ module.exports = (authController, authMiddleware) => {
   router.get('/github', authController.githubAuth);
   router.get('/github/callback', authController.githubCallback);
   router.get('/user', authMiddleware.authenticateToken, authController.getUser);
+  router.delete('/github/token', authMiddleware.authenticateToken, authController.revokeGithubToken);
+  router.post('/refresh', authController.refresh);
+  router.post('/logout', authController.logout);
+  router.get('/sessions', authMiddleware.authenticateToken, authController.listSessions);
+  router.delete('/sessions', authMiddleware.authenticateToken, authController.revokeOtherSessions);
+  router.delete('/sessions/:sessionId', authMiddleware.authenticateToken, authController.revokeSession);
   return router;
 };
@@ -0,0 +1,22 @@
+// routes/messageRoutes.js
+const express = require('express');
+const router = express.Router();
+
+// The entire module is a factory function that accepts its dependencies.
+module.exports = (messageController, authMiddleware) => {
+
+    // --- Conversation Routes ---
+    // Base path for these will be /api/messages/...
+    router.get('/conversations', authMiddleware.authenticateToken, messageController.listConversations);
+    router.post('/conversations', authMiddleware.authenticateToken, messageController.startConversation);
+    router.get('/conversations/:conversationId/messages', authMiddleware.authenticateToken, messageController.getMessages);
+    router.post('/conversations/:conversationId/messages', authMiddleware.authenticateToken, messageController.sendMessage);
+    router.post('/conversations/:conversationId/read', authMiddleware.authenticateToken, messageController.markRead);
+
+    // --- Message Routes ---
+    router.get('/unread', authMiddleware.authenticateToken, messageController.getUnreadCounts);
+    router.delete('/:messageId', authMiddleware.authenticateToken, messageController.deleteMessage);
+
+    // Return the configured router to be used by server.js
+    return router;
+};
@@ -0,0 +1,27 @@
+// routes/moderationRoutes.js
+const express = require('express');
+const router = express.Router();
+
+// The entire module is a factory function that accepts its dependencies.
+module.exports = (moderationController, authMiddleware, roleMiddleware) => {
+
+    // --- Block and Report Routes ---
+    // Available to every signed-in user. Base path for these will be /api/moderation/...
+    router.get('/blocks', authMiddleware.authenticateToken, moderationController.listBlockedUsers);
+    router.post('/blocks', authMiddleware.authenticateToken, moderationController.blockUser);
+    router.delete('/blocks/:userId', authMiddleware.authenticateToken, moderationController.unblockUser);
+    router.post('/reports', authMiddleware.authenticateToken, moderationController.reportUser);
+
+    // --- Moderation Queue Routes ---
+    const canModerate = [authMiddleware.authenticateToken, roleMiddleware.requirePermission('moderation:review')];
+
+    router.get('/reports', canModerate, moderationController.listReports);
+    router.get('/reports/:reportId', canModerate, moderationController.getReport);
+    router.post('/reports/:reportId/resolve', canModerate, moderationController.resolveReport);
+    router.post('/users/:userId/suspension', canModerate, moderationController.suspendUser);
+    router.delete('/users/:userId/suspension', canModerate, moderationController.unsuspendUser);
+    router.get('/actions', canModerate, moderationController.listActions);
+
+    // Return the configured router to be used by server.js
+    return router;
+};
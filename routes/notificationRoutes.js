@@ -0,0 +1,20 @@
+// routes/notificationRoutes.js
+const express = require('express');
+const router = express.Router();
+
+// The entire module is a factory function that accepts its dependencies.
+module.exports = (notificationController, authMiddleware) => {
+
+    // --- Notification Routes ---
+    // Base path for these will be /api/notifications/...
+    router.get('/', authMiddleware.authenticateToken, notificationController.listNotifications);
+    router.post('/read', authMiddleware.authenticateToken, notificationController.markRead);
+    router.get('/preferences', authMiddleware.authenticateToken, notificationController.getPreferences);
+    router.put('/preferences', authMiddleware.authenticateToken, notificationController.updatePreferences);
+    // EventSource cannot set headers, so the stream also accepts the access token as ?access_token=.
+    router.get('/stream', authMiddleware.authenticateStream, notificationController.streamNotifications);
+    router.post('/:notificationId/read', authMiddleware.authenticateToken, notificationController.markOneRead);
+
+    // Return the configured router to be used by server.js
+    return router;
+};
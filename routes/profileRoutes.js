@@ -7,12 +7,41 @@ module.exports = (profileController, suggestionController, connectionController,
     // --- Profile Routes ---
     // All routes use the injected 'authMiddleware' and controllers.
     router.post('/generate', authMiddleware.authenticateToken, profileController.generateProfile);
+    router.get('/generate/jobs', authMiddleware.authenticateToken, profileController.listGenerationJobs);
+    router.get('/generate/jobs/:jobId', authMiddleware.authenticateToken, profileController.getGenerationJob);
+    router.get('/generate/jobs/:jobId/events', authMiddleware.authenticateStream, profileController.streamGenerationJob);
     router.post('/save', authMiddleware.authenticateToken, profileController.saveProfile);
     router.get('/saved', authMiddleware.authenticateToken, profileController.getSavedProfile);
+    router.patch('/saved', authMiddleware.authenticateToken, profileController.updateProfile);
     router.delete('/saved', authMiddleware.authenticateToken, profileController.deleteProfile);
 
+    // --- Questionnaire Routes ---
+    router.get('/questionnaire', authMiddleware.authenticateToken, profileController.getQuestionnaire);
+    router.put('/questionnaire', authMiddleware.authenticateToken, profileController.submitQuestionnaire);
+    router.delete('/questionnaire', authMiddleware.authenticateToken, profileController.deleteQuestionnaire);
+
+    // --- Privacy Routes ---
+    router.get('/privacy', authMiddleware.authenticateToken, profileController.getPrivacySettings);
+    router.put('/privacy', authMiddleware.authenticateToken, profileController.updatePrivacySettings);
+
+    // --- Profile Version Routes ---
+    router.get('/versions', authMiddleware.authenticateToken, profileController.listProfileVersions);
+    router.get('/versions/diff', authMiddleware.authenticateToken, profileController.diffProfileVersions);
+    router.get('/versions/:versionNumber', authMiddleware.authenticateToken, profileController.getProfileVersion);
+    router.post('/versions/:versionNumber/restore', authMiddleware.authenticateToken, profileController.restoreProfileVersion);
+
     // --- Suggestion Routes ---
     router.get('/suggestions', authMiddleware.authenticateToken, suggestionController.getSuggestions);
+    router.get('/suggestions/preferences', authMiddleware.authenticateToken, suggestionController.getPreferences);
+    router.put('/suggestions/preferences', authMiddleware.authenticateToken, suggestionController.updatePreferences);
+    router.delete('/suggestions/preferences', authMiddleware.authenticateToken, suggestionController.resetPreferences);
+    router.get('/suggestions/bookmarks', authMiddleware.authenticateToken, suggestionController.getBookmarks);
+    router.get('/suggestions/hidden', authMiddleware.authenticateToken, suggestionController.getHiddenSuggestions);
+    router.post('/suggestions/:candidateId/dismiss', authMiddleware.authenticateToken, suggestionController.dismissSuggestion);
+    router.post('/suggestions/:candidateId/bookmark', authMiddleware.authenticateToken, suggestionController.bookmarkSuggestion);
+    router.post('/suggestions/:candidateId/not-relevant', authMiddleware.authenticateToken, suggestionController.markSuggestionNotRelevant);
+    router.delete('/suggestions/:candidateId/feedback', authMiddleware.authenticateToken, suggestionController.clearSuggestionFeedback);
+    router.get('/suggestions/:candidateId/explanation', authMiddleware.authenticateToken, suggestionController.getMatchExplanation);
 
     // --- Connection Routes ---
     // Base path for these will be /api/profile/connections/...
@@ -22,6 +51,8 @@ module.exports = (profileController, suggestionController, connectionController,
     router.post('/connections/accept', authMiddleware.authenticateToken, connectionController.acceptRequest);
     router.delete('/connections/:connectionId/decline', authMiddleware.authenticateToken, connectionController.declineOrCancelRequest);
     router.get('/connections/active', authMiddleware.authenticateToken, connectionController.getActiveConnections);
+    router.delete('/connections/:connectionId', authMiddleware.authenticateToken, connectionController.removeConnection);
+    router.get('/connections/:connectionId/history', authMiddleware.authenticateToken, connectionController.getHistory);
 
     // --- ADDED ROUTE ---
     // Handles the frontend's request to check the connection status with another user.
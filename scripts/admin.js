@@ -0,0 +1,226 @@
+// scripts/admin.js
+// Postgres maintenance CLI built on the shared DatabaseService.
+// Every command accepts --dry-run to report what it would do without writing anything.
+//
+// Usage:
+//   node scripts/admin.js attempts:reset <username> [--dry-run]
+//   node scripts/admin.js attempts:set <username> <count> [--dry-run]
+//   node scripts/admin.js users:list [--limit <n>]
+//   node scripts/admin.js users:purge <username> [--dry-run]
+//   node scripts/admin.js jobs:import [<path-to-xlsx>] [--dry-run]
+//   node scripts/admin.js db:wipe [--force] [--dry-run]
+//   node scripts/admin.js db:seed [--dry-run]
+//   node scripts/admin.js tokens:rotate [--dry-run]
+//   node scripts/admin.js matches:rebuild [--dry-run]
+//   node scripts/admin.js embeddings:backfill [profile|cv|job] [--dry-run]
+const path = require('path');
+const db = require('../services/databaseService');
+const createTokenVault = require('../services/tokenVaultService');
+const createQuotaService = require('../services/quotaService');
+const createMatchIndexService = require('../services/matchIndexService');
+const createEmbeddingService = require('../services/embeddingService');
+const { ALGORITHM_VERSION } = require('../services/matchScoringService');
+const skillTaxonomy = require('../services/skillTaxonomyService');
+
+const DEFAULT_JOBS_FILE = path.resolve(__dirname, '..', 'data', 'xpress_jobs_puppeteer.xlsx');
+
+const SEED_USERS = [
+    {
+        github_id: 'seed-1001', github_username: 'seed-frontend-dev',
+        technical: {
+            analysisStatus: 'success', headline: 'Frontend engineer focused on React product UIs',
+            coFounderSummary: 'Builds polished web apps quickly and enjoys working with users.',
+            keyStrengths: ['UI development', 'Prototyping', 'Design systems'], potentialRoles: ['Frontend Lead', 'CTO'],
+            projectInsights: [{ name: 'shop-ui', highlight: 'Component library used across three apps' }],
+            identifiedTechnologies: ['React', 'TypeScript', 'Next.js', 'Tailwind CSS'], architecturalConcepts: ['SPA', 'Component-driven design'],
+            estimatedExperience: 'Mid-level (3-5 years)', languageStats: { TypeScript: '70.00', CSS: '20.00', JavaScript: '10.00' }, repoCount: 12
+        }
+    },
+    {
+        github_id: 'seed-1002', github_username: 'seed-backend-dev',
+        technical: {
+            analysisStatus: 'success', headline: 'Backend engineer building APIs and data pipelines',
+            coFounderSummary: 'Comfortable owning infrastructure and scaling services.',
+            keyStrengths: ['API design', 'Databases', 'DevOps'], potentialRoles: ['Backend Lead', 'CTO'],
+            projectInsights: [{ name: 'ingest', highlight: 'Event pipeline processing 1M events/day' }],
+            identifiedTechnologies: ['Node.js', 'PostgreSQL', 'Docker', 'Express'], architecturalConcepts: ['Microservices', 'REST'],
+            estimatedExperience: 'Senior (5+ years)', languageStats: { JavaScript: '60.00', Go: '30.00', Shell: '10.00' }, repoCount: 20
+        }
+    },
+    {
+        github_id: 'seed-1003', github_username: 'seed-ml-dev',
+        technical: {
+            analysisStatus: 'success', headline: 'ML engineer shipping recommendation models',
+            coFounderSummary: 'Turns data into product features and likes fast experiments.',
+            keyStrengths: ['Machine learning', 'Data analysis', 'Python'], potentialRoles: ['ML Engineer', 'Data Lead'],
+            projectInsights: [{ name: 'recs', highlight: 'Collaborative filtering service' }],
+            identifiedTechnologies: ['Python', 'PyTorch', 'FastAPI', 'PostgreSQL'], architecturalConcepts: ['Batch processing', 'REST'],
+            estimatedExperience: 'Junior (1-2 years)', languageStats: { Python: '85.00', 'Jupyter Notebook': '15.00' }, repoCount: 8
+        }
+    }
+];
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            if (next !== undefined && !next.startsWith('--') && name === 'limit') {
+                flags[name] = next;
+                i++;
+            } else {
+                flags[name] = true;
+            }
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+async function requireUser(username) {
+    if (!username) throw new Error('A GitHub username is required.');
+    const user = await db.getUserByUsername(username);
+    if (!user) throw new Error(`User "${username}" not found.`);
+    return user;
+}
+
+const commands = {
+    'attempts:reset': async ([username], { dryRun }) => {
+        const user = await requireUser(username);
+        const quotas = createQuotaService(db);
+        const { used } = await quotas.getStatus(user.id);
+        if (dryRun) return console.log(`[dry-run] Would reset ${user.github_username} (ID ${user.id}) from ${used} to 0 generation attempts in the current window.`);
+        await quotas.reset(user.id, 'admin_cli_reset');
+        console.log(`Reset ${user.github_username} (ID ${user.id}) from ${used} to 0 generation attempts in the current window.`);
+    },
+
+    'attempts:set': async ([username, countArg], { dryRun }) => {
+        const count = parseInt(countArg, 10);
+        if (isNaN(count) || count < 0) throw new Error('Count must be a non-negative integer.');
+        const user = await requireUser(username);
+        const quotas = createQuotaService(db);
+        const { used } = await quotas.getStatus(user.id);
+        if (dryRun) return console.log(`[dry-run] Would set ${user.github_username} (ID ${user.id}) from ${used} to ${count} generation attempts in the current window.`);
+        await quotas.setUsed(user.id, count, 'admin_cli_set');
+        console.log(`Set ${user.github_username} (ID ${user.id}) from ${used} to ${count} generation attempts in the current window.`);
+    },
+
+    'users:list': async (args, { flags }) => {
+        const limit = parseInt(flags.limit, 10) || 50;
+        const users = await db.listUsers(limit);
+        console.table(users.map(u => ({ id: u.id, username: u.github_username, role: u.role, generations: u.generation_count, profile: u.has_profile, joined: new Date(u.created_at).toISOString().slice(0, 10) })));
+    },
+
+    'users:purge': async ([username], { dryRun }) => {
+        const user = await requireUser(username);
+        if (dryRun) return console.log(`[dry-run] Would delete ${user.github_username} (ID ${user.id}) and everything owned by them (profile, CV, embeddings, connections, sessions, tokens).`);
+        await db.deleteUser(user.id);
+        console.log(`Deleted ${user.github_username} (ID ${user.id}) and all dependent rows.`);
+    },
+
+    'jobs:import': async ([filePath], { dryRun }) => {
+        const resolved = path.resolve(filePath || DEFAULT_JOBS_FILE);
+        const result = await db.importJobsFromExcel(resolved, { dryRun });
+        console.log(`${dryRun ? '[dry-run] ' : ''}${result.message} Inserted: ${result.insertedCount}, updated: ${result.updatedCount}.`);
+        if (dryRun) return;
+        const embedded = await createEmbeddingService(db).backfill('job');
+        console.log(`Embedded ${embedded.embedded} job description(s), ${embedded.skipped} unchanged.`);
+    },
+
+    'db:wipe': async (args, { dryRun, flags }) => {
+        if (process.env.NODE_ENV === 'production' && !flags.force) {
+            throw new Error('Refusing to wipe a production database without --force.');
+        }
+        const counts = await db.getApplicationTableCounts();
+        if (dryRun) {
+            console.log('[dry-run] Would truncate these tables (row counts):');
+            return console.table(counts);
+        }
+        const tableCount = await db.truncateApplicationTables();
+        console.log(`Truncated ${tableCount} tables. Schema and migration history were kept.`);
+    },
+
+    'db:seed': async (args, { dryRun }) => {
+        if (!dryRun) skillTaxonomy.setCustomAliases(await db.getSkillAliases());
+        for (const seed of SEED_USERS) {
+            const existing = await db.getUserByGithubId(seed.github_id);
+            if (dryRun) {
+                console.log(`[dry-run] Would ${existing ? 'update' : 'create'} seed user ${seed.github_username} with a saved profile.`);
+                continue;
+            }
+            const user = existing || await db.createUser({ github_id: seed.github_id, github_username: seed.github_username, github_avatar_url: null, github_profile_url: `https://github.com/${seed.github_username}` });
+            await db.saveUserProfile(user.id, { personal: { login: seed.github_username, name: seed.github_username, bio: null }, technical: seed.technical }, 'manual_edit');
+            await createMatchIndexService(db, createEmbeddingService(db)).recomputeForUser(user.id);
+            console.log(`Seeded ${seed.github_username} (ID ${user.id}).`);
+        }
+    },
+
+    'tokens:rotate': async (args, { dryRun }) => {
+        if (dryRun) {
+            const activeKeyId = (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')[0].split(':')[0];
+            const rows = await db.getGithubTokensNotUsingKey(activeKeyId);
+            return console.log(`[dry-run] Would re-encrypt ${rows.length} token(s) under key "${activeKeyId}".`);
+        }
+        const result = await createTokenVault(db).rotateKeys();
+        console.log(`Rotated ${result.rotated} token(s), skipped ${result.skipped} changed since read, ${result.failed} failure(s).`);
+        if (result.failed > 0) process.exitCode = 1;
+    },
+
+    'matches:rebuild': async (args, { dryRun }) => {
+        const summary = await db.getMatchIndexSummary(ALGORITHM_VERSION);
+        if (dryRun) {
+            return console.log(`[dry-run] Would rescore ${summary.profiles} profile(s) with algorithm v${ALGORITHM_VERSION}. Currently ${summary.indexed_users} user(s) indexed at this version, ${summary.scores} score(s) stored, ${summary.stale_scores} from older versions.`);
+        }
+        // Scores must see the same aliases as the server.
+        skillTaxonomy.setCustomAliases(await db.getSkillAliases());
+        const embeddings = createEmbeddingService(db);
+        const embedded = await embeddings.backfill('profile');
+        console.log(`Embedded ${embedded.embedded} profile(s) with ${embeddings.model}, ${embedded.skipped} unchanged.`);
+        await embeddings.prepareSearch();
+        const result = await createMatchIndexService(db, embeddings).rebuild({
+            onProgress: (done, total) => {
+                if (done % 100 === 0 || done === total) console.log(`Rescored ${done}/${total} users...`);
+            }
+        });
+        console.log(`Rebuilt match index (algorithm v${ALGORITHM_VERSION}): ${result.users} user(s), ${result.scores} score(s), ${result.removed} stale score(s) removed.`);
+    },
+
+    'embeddings:backfill': async (ownerTypes, { dryRun }) => {
+        const embeddings = createEmbeddingService(db);
+        for (const ownerType of ownerTypes.length > 0 ? ownerTypes : ['profile', 'cv', 'job']) {
+            const result = await embeddings.backfill(ownerType, {
+                dryRun,
+                onProgress: (done, total) => {
+                    if (done % 160 === 0 || done === total) console.log(`Embedded ${done}/${total} ${ownerType}(s)...`);
+                }
+            });
+            console.log(`${dryRun ? '[dry-run] Would embed' : 'Embedded'} ${result.embedded} of ${result.total} ${ownerType}(s) with ${embeddings.model}; ${result.skipped} already up to date.`);
+        }
+    }
+};
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const handler = commands[command];
+    if (!handler) {
+        console.error(`Unknown command "${command || ''}". Available: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+    }
+    const { positional, flags } = parseArgs(rest);
+    // Schema changes belong to `npm run migrate`; an admin command (especially a dry run) must not apply them.
+    process.env.SKIP_MIGRATIONS_ON_BOOT = 'true';
+    await db.connect();
+    try {
+        await handler(positional, { dryRun: !!flags['dry-run'], flags });
+    } finally {
+        await db.pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Admin command failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+// scripts/migrate.js
+// Usage:
+//   node scripts/migrate.js up [--to <version>] [--dry-run]
+//   node scripts/migrate.js down [--steps <n>] [--dry-run]
+//   node scripts/migrate.js status
+//   node scripts/migrate.js create <name>
+require('dotenv').config();
+const { Pool } = require('pg');
+const migrationService = require('../services/migrationService');
+
+function getFlag(args, name) {
+    const idx = args.indexOf(name);
+    return idx === -1 ? undefined : args[idx + 1];
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    if (command === 'create') {
+        const files = migrationService.createMigration(args[0]);
+        console.log(`Created:\n  ${files.up}\n  ${files.down}`);
+        return;
+    }
+
+    if (!process.env.DATABASE_URL) {
+        throw new Error("DATABASE_URL environment variable is not set.");
+    }
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    try {
+        if (command === 'up') {
+            const to = getFlag(args, '--to');
+            const applied = await migrationService.migrate(pool, { to: to === undefined ? undefined : parseInt(to, 10), dryRun });
+            console.log(applied.length ? `${dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s).` : 'Already up to date.');
+        } else if (command === 'down') {
+            const steps = parseInt(getFlag(args, '--steps') || '1', 10);
+            const reverted = await migrationService.rollback(pool, { steps, dryRun });
+            console.log(`${dryRun ? 'Would roll back' : 'Rolled back'} ${reverted.length} migration(s).`);
+        } else if (command === 'status') {
+            const rows = await migrationService.status(pool);
+            for (const row of rows) {
+                const state = row.applied ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+                const notes = [row.modified && 'MODIFIED SINCE APPLIED', row.missingFile && 'FILE MISSING'].filter(Boolean).join(', ');
+                console.log(`${String(row.version).padStart(4, '0')}_${row.name}  ${state}${notes ? `  (${notes})` : ''}`);
+            }
+        } else {
+            console.error('Unknown command. Use one of: up, down, status, create.');
+            process.exitCode = 1;
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration command failed:', err.message);
+    process.exit(1);
+});
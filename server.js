@@ -9,7 +9,19 @@ const fs = require('fs');
 
 // --- 1. Import the Singleton DB Instance and all Module Factories ---
 const db = require('./services/databaseService');
-const authMiddleware = require('./middleware/authMiddleware');
+const createAuthMiddleware = require('./middleware/authMiddleware');
+const createRoleMiddleware = require('./middleware/roleMiddleware');
+const rbac = require('./services/rbacService');
+const skillTaxonomy = require('./services/skillTaxonomyService');
+const createTokenVault = require('./services/tokenVaultService');
+const createSessionService = require('./services/sessionService');
+const createQuotaService = require('./services/quotaService');
+const createGenerationJobService = require('./services/generationJobService');
+const createMatchIndexService = require('./services/matchIndexService');
+const createEmbeddingService = require('./services/embeddingService');
+const createMatchExplanationService = require('./services/matchExplanationService');
+const createNotificationService = require('./services/notificationService');
+const createConnectionLifecycle = require('./services/connectionLifecycleService');
 
 const createAuthController = require('./controllers/authController');
 const createProfileController = require('./controllers/profileController');
@@ -17,11 +29,19 @@ const createSuggestionController = require('./controllers/suggestionController')
 const createConnectionController = require('./controllers/connectionController');
 const createJobController = require('./controllers/jobController');
 const createCvController = require('./controllers/cvController');
+const createAdminController = require('./controllers/adminController');
+const createMessageController = require('./controllers/messageController');
+const createNotificationController = require('./controllers/notificationController');
+const createModerationController = require('./controllers/moderationController');
 
 const createAuthRoutes = require('./routes/authRoutes');
 const createProfileRoutes = require('./routes/profileRoutes');
 const createJobRoutes = require('./routes/jobRoutes');
 const createCvRoutes = require('./routes/cvRoutes');
+const createAdminRoutes = require('./routes/adminRoutes');
+const createMessageRoutes = require('./routes/messageRoutes');
+const createNotificationRoutes = require('./routes/notificationRoutes');
+const createModerationRoutes = require('./routes/moderationRoutes');
 
 // --- INITIAL SETUP ---
 dotenv.config();
@@ -48,6 +68,7 @@ if (portStringFromEnv) {
 // --- MIDDLEWARE CONFIGURATION (Unchanged) ---
 const corsOptions = {
     origin: process.env.FRONTEND_URL || "*",
+    credentials: true, // The refresh token travels in an httpOnly cookie
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -75,21 +96,59 @@ async function startServer() {
         }
         console.log('[STARTUP] Database initialization complete.');
 
+        // Promote configured bootstrap admins who have signed up and whose role was never assigned.
+        const promotedAdmins = await db.promoteUsersToAdminByGithubIds(rbac.getBootstrapAdminGithubIds());
+        promotedAdmins.forEach(u => console.log(`[STARTUP] Promoted bootstrap admin: ${u.github_username} (ID ${u.id})`));
+
+        // Admin-added skill aliases extend the built-in taxonomy used for normalization and matching. They are
+        // reloaded every minute, since another instance may have added or removed some.
+        const skillAliases = await db.getSkillAliases();
+        skillTaxonomy.setCustomAliases(skillAliases);
+        console.log(`[STARTUP] Loaded ${skillAliases.length} custom skill alias(es).`);
+        setInterval(() => {
+            db.getSkillAliases()
+                .then(rows => skillTaxonomy.setCustomAliases(rows))
+                .catch(err => console.error('[Skill Taxonomy] Failed to reload custom aliases:', err.message));
+        }, 60 * 1000).unref();
+
         // --- 3. Create controllers by INJECTING the 'db' instance. ---
         console.log('[STARTUP] Initializing controllers...');
-        const authController = createAuthController(db);
-        const profileController = createProfileController(db);
-        const suggestionController = createSuggestionController(db);
-        const connectionController = createConnectionController(db);
-        const jobController = createJobController(db);
-        const cvController = createCvController(db);
+        const tokenVault = createTokenVault(db);
+        const sessionService = createSessionService(db);
+        const quotaService = createQuotaService(db);
+        const embeddings = createEmbeddingService(db);
+        console.log(`[STARTUP] Embedding model: ${embeddings.model}`);
+        const indexedSearch = await embeddings.prepareSearch()
+            .catch(err => { console.error('[STARTUP] Could not build embedding indexes:', err.message); return false; });
+        console.log(`[STARTUP] Embedding search: ${indexedSearch ? 'pgvector HNSW index' : 'exact scan'}`);
+        const matchIndex = createMatchIndexService(db, embeddings);
+        const matchExplanations = createMatchExplanationService(db);
+        const notifications = createNotificationService(db);
+        const connectionLifecycle = createConnectionLifecycle(db);
+        const generationJobs = createGenerationJobService(db, tokenVault, quotaService, matchIndex, notifications);
+        const authMiddleware = createAuthMiddleware(sessionService);
+        const roleMiddleware = createRoleMiddleware(db);
+        const authController = createAuthController(db, tokenVault, sessionService, quotaService);
+        const profileController = createProfileController(db, tokenVault, quotaService, generationJobs, matchIndex);
+        const suggestionController = createSuggestionController(db, matchIndex, matchExplanations);
+        const connectionController = createConnectionController(db, notifications, connectionLifecycle);
+        const jobController = createJobController(db, embeddings);
+        const cvController = createCvController(db, embeddings);
+        const adminController = createAdminController(db, quotaService);
+        const messageController = createMessageController(db, notifications);
+        const notificationController = createNotificationController(db, notifications, sessionService);
+        const moderationController = createModerationController(db);
 
         // --- 4. Mount routes by INJECTING controllers and middleware. ---
         console.log("[STARTUP] Mounting API routes...");
         app.use('/api/auth', createAuthRoutes(authController, authMiddleware));
         app.use('/api/profile', createProfileRoutes(profileController, suggestionController, connectionController, authMiddleware));
-        app.use('/api/jobs', createJobRoutes(jobController, authMiddleware));
+        app.use('/api/jobs', createJobRoutes(jobController, authMiddleware, roleMiddleware));
         app.use('/api/cv', createCvRoutes(cvController, authMiddleware));
+        app.use('/api/admin', createAdminRoutes(adminController, authMiddleware, roleMiddleware));
+        app.use('/api/messages', createMessageRoutes(messageController, authMiddleware));
+        app.use('/api/notifications', createNotificationRoutes(notificationController, authMiddleware));
+        app.use('/api/moderation', createModerationRoutes(moderationController, authMiddleware, roleMiddleware));
         console.log("[INFO] All API routes mounted successfully.");
 
         // --- HEALTH CHECK ENDPOINT ---
@@ -101,6 +160,11 @@ async function startServer() {
             });
         });
 
+        // Resume profile generation jobs interrupted by the previous shutdown.
+        await generationJobs.start();
+        // Expire connection requests left pending too long, now and periodically.
+        await connectionLifecycle.start();
+
         // --- 5. Start the Express server only after everything is configured. ---
         const host = '0.0.0.0';
         app.listen(portToListenOn, host, () => {
@@ -0,0 +1,187 @@
+// services/connectionLifecycleService.js
+// The states a connection moves through, who may move it, and the timing rules around requests and expiry.
+const scoring = require('./matchScoringService');
+
+const STATES = ['pending', 'accepted', 'declined', 'cancelled', 'expired', 'removed'];
+// States from which either user may send a new request, reusing the pair's row.
+const CLOSED_STATES = ['declined', 'cancelled', 'expired', 'removed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a declined requester waits before asking the same person again.
+const REQUEST_COOLDOWN_DAYS = parseInt(process.env.CONNECTION_REQUEST_COOLDOWN_DAYS, 10) || 30;
+// Pending requests nobody acts on expire after this long.
+const PENDING_EXPIRY_DAYS = parseInt(process.env.CONNECTION_REQUEST_EXPIRY_DAYS, 10) || 30;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Anti-spam limits on outgoing requests.
+const MAX_PENDING_REQUESTS = parseInt(process.env.CONNECTION_MAX_PENDING_REQUESTS, 10) || 25;
+const MAX_REQUESTS_PER_DAY = parseInt(process.env.CONNECTION_MAX_REQUESTS_PER_DAY, 10) || 15;
+const MAX_INTRO_LENGTH = 500;
+
+// Target state -> who may make the transition, per current state. 'system' transitions are never made by a user.
+const TRANSITIONS = {
+  pending: { accepted: 'addressee', declined: 'addressee', cancelled: 'requester', expired: 'system' },
+  accepted: { removed: 'participant' }
+};
+for (const state of CLOSED_STATES) TRANSITIONS[state] = { pending: 'participant' };
+
+function roleOf(connection, userId) {
+  if (connection.requester_id === userId) return 'requester';
+  if (connection.addressee_id === userId) return 'addressee';
+  return null;
+}
+
+/**
+ * Whether the user may move the connection to `toStatus` from its current state. Ignores the re-request cooldown.
+ * @param {object} connection - connections row.
+ * @param {string} toStatus
+ * @param {number} userId
+ * @returns {boolean}
+ */
+function canTransition(connection, toStatus, userId) {
+  const allowed = (TRANSITIONS[connection.status] || {})[toStatus];
+  const role = roleOf(connection, userId);
+  if (!allowed || !role) return false;
+  return allowed === 'participant' || allowed === role;
+}
+
+/**
+ * Whether the user may send a new request on this pair, and if not yet, when.
+ * @param {object|undefined} connection - the pair's connections row, if any.
+ * @param {number} userId
+ * @param {Date} [now]
+ * @returns {{ canRequest: boolean, retryAt: Date|null }}
+ */
+function requestAvailability(connection, userId, now = new Date()) {
+  if (!connection) return { canRequest: true, retryAt: null };
+  if (!CLOSED_STATES.includes(connection.status)) return { canRequest: false, retryAt: null };
+  // Only the person who was declined waits; the one who declined can change their mind at any time.
+  if (connection.status === 'declined' && connection.requester_id === userId) {
+    const retryAt = new Date(new Date(connection.status_changed_at).getTime() + REQUEST_COOLDOWN_DAYS * DAY_MS);
+    if (retryAt > now) return { canRequest: false, retryAt };
+  }
+  return { canRequest: true, retryAt: null };
+}
+
+/**
+ * The connection's state as seen by one of its two users.
+ * @param {object|undefined} connection
+ * @param {number} userId
+ * @returns {object}
+ */
+function describeForUser(connection, userId) {
+  const { canRequest, retryAt } = requestAvailability(connection, userId);
+  if (!connection) return { status: null, canRequest, canRequestAfter: null };
+
+  let changedBy = null;
+  if (connection.status_changed_by === userId) changedBy = 'you';
+  else if (connection.status_changed_by) changedBy = 'them';
+
+  return {
+    status: connection.status,
+    connectionId: connection.id,
+    direction: connection.requester_id === userId ? 'outgoing' : 'incoming',
+    changedAt: connection.status_changed_at,
+    changedBy,
+    expiresAt: connection.status === 'pending'
+      ? new Date(new Date(connection.status_changed_at).getTime() + PENDING_EXPIRY_DAYS * DAY_MS)
+      : null,
+    canRequest,
+    canRequestAfter: retryAt
+  };
+}
+
+/**
+ * Validates the optional parts of a connection request body.
+ * @returns {{ errors: Object<string, string>, request: { introMessage: string|null, mode: string } }}
+ */
+function validateRequest(body) {
+  const errors = {};
+  const request = { introMessage: null, mode: 'similar' };
+  const { message, mode } = body || {};
+  if (message !== undefined && message !== null) {
+    if (typeof message !== 'string' || message.trim().length > MAX_INTRO_LENGTH) {
+      errors.message = `must be a string of at most ${MAX_INTRO_LENGTH} characters`;
+    } else {
+      request.introMessage = message.trim() || null;
+    }
+  }
+  if (mode !== undefined) {
+    if (!scoring.MATCH_MODES.includes(mode)) errors.mode = `must be one of ${scoring.MATCH_MODES.join(', ')}`;
+    else request.mode = mode;
+  }
+  return { errors, request };
+}
+
+/**
+ * The outgoing request limit the user has reached, if any.
+ * @param {{ pending: number, recentCount: number, recentOldest: Date|null }} activity - Pending requests, and
+ *   requests sent in the last 24 hours with the oldest one's time.
+ * @returns {{ code: string, error: string, limit: number, retryAt: Date|null }|null} null when under both limits.
+ */
+function requestLimitFor({ pending, recentCount, recentOldest }) {
+  if (pending >= MAX_PENDING_REQUESTS) {
+    return {
+      code: 'pending_limit',
+      error: `You have ${pending} requests waiting for an answer. Wait for some to be answered, or cancel some, before sending more.`,
+      limit: MAX_PENDING_REQUESTS,
+      retryAt: null
+    };
+  }
+  if (recentCount >= MAX_REQUESTS_PER_DAY) {
+    return {
+      code: 'daily_limit',
+      error: `You can send at most ${MAX_REQUESTS_PER_DAY} connection requests per day.`,
+      limit: MAX_REQUESTS_PER_DAY,
+      retryAt: new Date(new Date(recentOldest).getTime() + DAY_MS)
+    };
+  }
+  return null;
+}
+
+// Factory for sending requests and the expiry sweep, which share the injected 'db' instance.
+module.exports = (db) => {
+  let sweepTimer = null;
+
+  const expireStaleRequests = async () => {
+    const expired = await db.expireStaleConnectionRequests(PENDING_EXPIRY_DAYS);
+    if (expired.length > 0) {
+      console.log(`[Connections] Expired ${expired.length} pending request(s) older than ${PENDING_EXPIRY_DAYS} days.`);
+    }
+    return expired;
+  };
+
+  return {
+    STATES,
+    canTransition,
+    requestAvailability,
+    describeForUser,
+    validateRequest,
+    expireStaleRequests,
+
+    /**
+     * Sends a request from `requesterId`, reusing `existing` (the pair's closed row) if there is one. The outgoing
+     * request limits are checked in the same transaction, so parallel requests cannot slip past them.
+     * @returns {Promise<{ connection?: object, limited?: { code: string, error: string, limit: number, retryAt: Date|null } }>}
+     *   Neither when the pair's row changed in the meantime.
+     */
+    sendRequest: (requesterId, addresseeId, existing, request) => db.sendConnectionRequest(requesterId, addresseeId, {
+      connectionId: existing ? existing.id : null,
+      fromStatus: existing ? existing.status : null,
+      request,
+      hours: 24,
+      getLimit: requestLimitFor
+    }),
+
+    /**
+     * Expires stale requests now and then once an hour.
+     */
+    start: async () => {
+      await expireStaleRequests();
+      if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+          expireStaleRequests().catch(err => console.error('[Connections] Expiry sweep failed:', err.message));
+        }, EXPIRY_SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+      }
+    }
+  };
+};
@@ -2,6 +2,7 @@
 const { Pool } = require('pg');
 const ExcelJS = require('exceljs');
 const fs = require('fs');
+const migrationService = require('./migrationService');
 require('dotenv').config();
 
 class DatabaseService {
@@ -35,32 +36,16 @@ class DatabaseService {
   }
 
   async initializeDatabase() {
-    console.log("[DB Service] Initializing database schema...");
-    const schemasAndSetup = [
-      `CREATE TABLE IF NOT EXISTS users (id SERIAL PRIMARY KEY, github_id TEXT UNIQUE NOT NULL, github_username TEXT NOT NULL, github_avatar_url TEXT, github_profile_url TEXT, created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP);`,
-      `CREATE TABLE IF NOT EXISTS profile_generations (id SERIAL PRIMARY KEY, user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE, generation_count INTEGER DEFAULT 0, last_generated_at TIMESTAMPTZ, created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP);`,
-      `CREATE TABLE IF NOT EXISTS saved_profiles (id SERIAL PRIMARY KEY, user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE, profile_data JSONB NOT NULL, created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP);`,
-      `CREATE TABLE IF NOT EXISTS connections (id SERIAL PRIMARY KEY, requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, addressee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, status VARCHAR(20) NOT NULL DEFAULT 'pending', created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, CONSTRAINT uq_connection_pair UNIQUE (requester_id, addressee_id), CONSTRAINT chk_no_self_connect CHECK (requester_id <> addressee_id));`,
-      `CREATE TABLE IF NOT EXISTS jobs (id SERIAL PRIMARY KEY, job_title TEXT NOT NULL, company_name TEXT, job_url TEXT UNIQUE NOT NULL, description_html TEXT, searchable_text tsvector, created_at TIMESTAMPTZ DEFAULT NOW());`,
-      `CREATE TABLE IF NOT EXISTS user_cvs (id SERIAL PRIMARY KEY, user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE, cv_text TEXT NOT NULL, original_filename TEXT, created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP, updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP);`,
-      `CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = NOW(); RETURN NEW; END; $$ language 'plpgsql';`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_users_updated_at') THEN CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_profile_generations_updated_at') THEN CREATE TRIGGER update_profile_generations_updated_at BEFORE UPDATE ON profile_generations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_saved_profiles_updated_at') THEN CREATE TRIGGER update_saved_profiles_updated_at BEFORE UPDATE ON saved_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_connections_updated_at') THEN CREATE TRIGGER update_connections_updated_at BEFORE UPDATE ON connections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_user_cvs_updated_at') THEN CREATE TRIGGER update_user_cvs_updated_at BEFORE UPDATE ON user_cvs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_class c WHERE c.relname = 'idx_connections_requester_id') THEN CREATE INDEX idx_connections_requester_id ON connections(requester_id); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_class c WHERE c.relname = 'idx_connections_addressee_id') THEN CREATE INDEX idx_connections_addressee_id ON connections(addressee_id); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_class c WHERE c.relname = 'idx_connections_status') THEN CREATE INDEX idx_connections_status ON connections(status); END IF; END $$;`,
-      `DO $$ BEGIN IF NOT EXISTS (SELECT 1 FROM pg_class c WHERE c.relname = 'jobs_search_idx') THEN CREATE INDEX jobs_search_idx ON jobs USING GIN (searchable_text); END IF; END $$;`
-    ];
+    if (process.env.SKIP_MIGRATIONS_ON_BOOT === 'true') {
+      console.log("[DB Service] SKIP_MIGRATIONS_ON_BOOT is set; not applying migrations.");
+      return;
+    }
+    console.log("[DB Service] Applying pending schema migrations...");
     try {
-      for (const statement of schemasAndSetup) {
-        await this.pool.query(statement);
-      }
-      console.log('[DB Service] All database schemas initialized/verified successfully.');
+      const applied = await migrationService.migrate(this.pool);
+      console.log(`[DB Service] Schema is up to date (${applied.length} migration(s) applied).`);
     } catch (err) {
-      console.error('[DB Service] Error during schema initialization:', err);
+      console.error('[DB Service] Error during schema migration:', err);
       throw err;
     }
   }
@@ -80,6 +65,25 @@ class DatabaseService {
     }
   }
 
+  // Runs fn(client) inside a transaction on a dedicated client, rolling back if it throws.
+  async withTransaction(fn) {
+    if (!this.pool) {
+      throw new Error("Database pool is not available.");
+    }
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
   // --- User Methods ---
   async getUserByGithubId(githubId) {
     const result = await this.query('SELECT * FROM users WHERE github_id = $1', [githubId]);
@@ -96,26 +100,306 @@ class DatabaseService {
     return result.rows[0];
   }
 
-  // --- Profile Generation Methods ---
-  async getGenerationCount(userId) {
-    const result = await this.query('SELECT generation_count FROM profile_generations WHERE user_id = $1', [userId]);
-    return result.rows[0] ? result.rows[0].generation_count : 0;
+  async getUserByUsername(username) {
+    const result = await this.query('SELECT * FROM users WHERE LOWER(github_username) = LOWER($1)', [username]);
+    return result.rows[0];
+  }
+
+  async listUsers(limit = 50) {
+    const result = await this.query(`SELECT u.id, u.github_username, u.role, u.created_at, (SELECT COALESCE(SUM(gu.amount), 0)::int FROM generation_usage gu WHERE gu.user_id = u.id AND gu.voided_at IS NULL) AS generation_count, (sp.id IS NOT NULL) AS has_profile FROM users u LEFT JOIN saved_profiles sp ON sp.user_id = u.id ORDER BY u.id LIMIT $1`, [limit]);
+    return result.rows;
   }
 
-  async incrementGenerationCount(userId) {
-    await this.query(`INSERT INTO profile_generations (user_id, generation_count, last_generated_at) VALUES ($1, 1, NOW()) ON CONFLICT (user_id) DO UPDATE SET generation_count = profile_generations.generation_count + 1, last_generated_at = NOW();`, [userId]);
+  // Embeddings have no foreign key to users, so the user's profile and CV vectors are removed alongside.
+  async deleteUser(userId) {
+    return this.withTransaction(async (client) => {
+      await client.query(`DELETE FROM embeddings WHERE owner_type IN ('profile', 'cv') AND owner_id = $1`, [userId]);
+      const result = await client.query('DELETE FROM users WHERE id = $1', [userId]);
+      return result.rowCount > 0;
+    });
   }
 
-  async decrementGenerationCount(userId) {
-    await this.query(`UPDATE profile_generations SET generation_count = GREATEST(0, generation_count - 1) WHERE user_id = $1 AND generation_count > 0`, [userId]);
+  // --- Role Methods ---
+  /**
+   * Sets the user's role, refusing to demote the last admin. Every admin row is locked first, so two admins
+   * demoting each other at once cannot both succeed.
+   * @returns {Promise<{ user: object, previousRole: string }|{ lastAdmin: true }|undefined>} undefined if the user does not exist.
+   */
+  async changeUserRole(userId, role) {
+    return this.withTransaction(async (client) => {
+      const admins = await client.query(`SELECT id FROM users WHERE role = 'admin' FOR UPDATE`);
+      const current = (await client.query('SELECT id, role FROM users WHERE id = $1 FOR UPDATE', [userId])).rows[0];
+      if (!current) return undefined;
+      if (current.role === 'admin' && role !== 'admin' && admins.rowCount <= 1) return { lastAdmin: true };
+      const result = await client.query('UPDATE users SET role = $2, role_assigned_at = NOW() WHERE id = $1 RETURNING id, github_username, role', [userId, role]);
+      return { user: result.rows[0], previousRole: current.role };
+    });
   }
 
-  // --- Saved Profile Methods ---
-  async saveUserProfile(userId, profileData) {
-    const result = await this.query(`INSERT INTO saved_profiles (user_id, profile_data) VALUES ($1, $2) ON CONFLICT (user_id) DO UPDATE SET profile_data = EXCLUDED.profile_data RETURNING *;`, [userId, profileData]);
+  async getUsersWithElevatedRoles() {
+    const result = await this.query(`SELECT id, github_username, github_avatar_url, role FROM users WHERE role <> 'user' ORDER BY role, github_username`);
+    return result.rows;
+  }
+
+  // Promotes bootstrap admins whose role has never been assigned, so an admin's later demotion is not undone.
+  async promoteUsersToAdminByGithubIds(githubIds) {
+    if (githubIds.length === 0) return [];
+    const result = await this.query(`UPDATE users SET role = 'admin', role_assigned_at = NOW() WHERE github_id = ANY($1::text[]) AND role_assigned_at IS NULL RETURNING id, github_username, role, role_assigned_at`, [githubIds]);
+    return result.rows;
+  }
+
+  // --- OAuth State Methods ---
+  async createOAuthState(stateData) {
+    const result = await this.query('INSERT INTO oauth_states (nonce, binding_hash, include_private, return_to, expires_at) VALUES ($1, $2, $3, $4, $5) RETURNING *', [stateData.nonce, stateData.binding_hash, stateData.include_private, stateData.return_to, stateData.expires_at]);
+    return result.rows[0];
+  }
+
+  async consumeOAuthState(nonce, bindingHash) {
+    const result = await this.query('UPDATE oauth_states SET consumed_at = NOW() WHERE nonce = $1 AND binding_hash = $2 AND consumed_at IS NULL AND expires_at > NOW() RETURNING *', [nonce, bindingHash]);
+    return result.rows[0];
+  }
+
+  async getOAuthState(nonce) {
+    const result = await this.query('SELECT * FROM oauth_states WHERE nonce = $1', [nonce]);
+    return result.rows[0];
+  }
+
+  async deleteExpiredOAuthStates() {
+    const result = await this.query(`DELETE FROM oauth_states WHERE expires_at < NOW() - INTERVAL '1 day'`);
+    return result.rowCount;
+  }
+
+  // --- GitHub Token Vault Methods ---
+  async upsertGithubToken(userId, tokenData) {
+    await this.query(`INSERT INTO github_tokens (user_id, key_id, encrypted_token, scopes, status) VALUES ($1, $2, $3, $4, 'active') ON CONFLICT (user_id) DO UPDATE SET key_id = EXCLUDED.key_id, encrypted_token = EXCLUDED.encrypted_token, scopes = EXCLUDED.scopes, status = 'active', invalidated_at = NULL;`, [userId, tokenData.keyId, tokenData.encryptedToken, tokenData.scopes]);
+  }
+
+  async getGithubToken(userId) {
+    const result = await this.query('SELECT * FROM github_tokens WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  async touchGithubToken(userId) {
+    await this.query('UPDATE github_tokens SET last_used_at = NOW() WHERE user_id = $1', [userId]);
+  }
+
+  async setGithubTokenStatus(userId, status) {
+    await this.query(`UPDATE github_tokens SET status = $2, encrypted_token = NULL, key_id = NULL, invalidated_at = NOW() WHERE user_id = $1 AND status = 'active'`, [userId, status]);
+  }
+
+  /**
+   * Swaps a token's ciphertext only if the row still holds the one that was read, so a concurrent revoke or re-login wins.
+   * @returns {Promise<boolean>} false if the row changed since it was read.
+   */
+  async reencryptGithubToken(userId, { oldKeyId, oldEncryptedToken, keyId, encryptedToken }) {
+    const result = await this.query(`UPDATE github_tokens SET key_id = $4, encrypted_token = $5 WHERE user_id = $1 AND key_id = $2 AND encrypted_token = $3 AND status = 'active'`, [userId, oldKeyId, oldEncryptedToken, keyId, encryptedToken]);
+    return result.rowCount > 0;
+  }
+
+  async getGithubTokensNotUsingKey(keyId) {
+    const result = await this.query(`SELECT * FROM github_tokens WHERE status = 'active' AND encrypted_token IS NOT NULL AND key_id <> $1`, [keyId]);
+    return result.rows;
+  }
+
+  // --- Session Methods ---
+  async createAuthSession(sessionData) {
+    const result = await this.query('INSERT INTO auth_sessions (id, user_id, user_agent, ip_address, expires_at) VALUES ($1, $2, $3, $4, $5) RETURNING *', [sessionData.id, sessionData.user_id, sessionData.user_agent, sessionData.ip_address, sessionData.expires_at]);
+    return result.rows[0];
+  }
+
+  async getActiveAuthSession(sessionId) {
+    const result = await this.query('SELECT * FROM auth_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()', [sessionId]);
+    return result.rows[0];
+  }
+
+  async getActiveAuthSessionsForUser(userId) {
+    const result = await this.query('SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at FROM auth_sessions WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() ORDER BY last_used_at DESC', [userId]);
+    return result.rows;
+  }
+
+  async touchAuthSession(sessionId, sessionData) {
+    await this.query('UPDATE auth_sessions SET last_used_at = NOW(), expires_at = $2, ip_address = COALESCE($3, ip_address) WHERE id = $1', [sessionId, sessionData.expires_at, sessionData.ip_address]);
+  }
+
+  async revokeAuthSession(sessionId, reason) {
+    const result = await this.query('UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1 AND revoked_at IS NULL', [sessionId, reason]);
+    return result.rowCount > 0;
+  }
+
+  async revokeAuthSessionForUser(sessionId, userId, reason) {
+    const result = await this.query('UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL', [sessionId, userId, reason]);
+    return result.rowCount > 0;
+  }
+
+  async revokeAuthSessionsForUser(userId, exceptSessionId, reason) {
+    const result = await this.query('UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $3 WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)', [userId, exceptSessionId || null, reason]);
+    return result.rowCount;
+  }
+
+  async createRefreshToken(sessionId, tokenHash, expiresAt) {
+    await this.query('INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)', [sessionId, tokenHash, expiresAt]);
+  }
+
+  async getRefreshTokenByHash(tokenHash) {
+    const result = await this.query('SELECT rt.*, s.user_id, s.revoked_at AS session_revoked_at FROM refresh_tokens rt JOIN auth_sessions s ON rt.session_id = s.id WHERE rt.token_hash = $1', [tokenHash]);
+    return result.rows[0];
+  }
+
+  async markRefreshTokenUsed(refreshTokenId) {
+    const result = await this.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL', [refreshTokenId]);
+    return result.rowCount > 0;
+  }
+
+  // --- Generation Quota Methods ---
+  async recordGenerationUsage(userId, usage) {
+    const result = await this.query('INSERT INTO generation_usage (user_id, kind, amount, metadata) VALUES ($1, $2, $3, $4) RETURNING *', [userId, usage.kind, usage.amount, usage.metadata || null]);
+    return result.rows[0];
+  }
+
+  // Charges the usage to the user's active grant that expires first. Returns undefined, recording nothing,
+  // when no grant has any left.
+  async recordGrantFundedGenerationUsage(userId, usage) {
+    return this.withTransaction(async (client) => {
+      const grant = await client.query(
+        `UPDATE quota_grants SET used = used + $2
+         WHERE id = (
+           SELECT id FROM quota_grants
+           WHERE user_id = $1 AND used + $2 <= amount AND (expires_at IS NULL OR expires_at > NOW())
+           ORDER BY expires_at ASC NULLS LAST, id ASC
+           LIMIT 1
+           FOR UPDATE
+         )
+         RETURNING id`,
+        [userId, usage.amount]
+      );
+      if (grant.rowCount === 0) return undefined;
+      const result = await client.query('INSERT INTO generation_usage (user_id, kind, amount, metadata, grant_id) VALUES ($1, $2, $3, $4, $5) RETURNING *', [userId, usage.kind, usage.amount, usage.metadata || null, grant.rows[0].id]);
+      return result.rows[0];
+    });
+  }
+
+  async getGenerationUsageSince(userId, since) {
+    const result = await this.query('SELECT id, kind, amount, grant_id, created_at FROM generation_usage WHERE user_id = $1 AND voided_at IS NULL AND created_at > $2 ORDER BY created_at ASC', [userId, since]);
+    return result.rows;
+  }
+
+  // Voiding usage that was charged to a grant gives the grant those generations back.
+  async voidGenerationUsageSince(userId, since, reason) {
+    const result = await this.query(
+      `WITH voided AS (
+         UPDATE generation_usage SET voided_at = NOW(), voided_reason = $3
+         WHERE user_id = $1 AND voided_at IS NULL AND created_at > $2
+         RETURNING grant_id, amount
+       ), refunded AS (
+         UPDATE quota_grants g SET used = GREATEST(g.used - v.amount, 0)
+         FROM (SELECT grant_id, SUM(amount)::int AS amount FROM voided WHERE grant_id IS NOT NULL GROUP BY grant_id) v
+         WHERE g.id = v.grant_id
+       )
+       SELECT COUNT(*)::int AS voided FROM voided`,
+      [userId, since, reason]
+    );
+    return result.rows[0].voided;
+  }
+
+  async getQuotaOverride(userId) {
+    const result = await this.query('SELECT * FROM quota_overrides WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  async setQuotaOverride(userId, override) {
+    const result = await this.query(`INSERT INTO quota_overrides (user_id, generation_limit, window_days, reason, set_by) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (user_id) DO UPDATE SET generation_limit = EXCLUDED.generation_limit, window_days = EXCLUDED.window_days, reason = EXCLUDED.reason, set_by = EXCLUDED.set_by RETURNING *;`, [userId, override.generation_limit, override.window_days, override.reason, override.set_by]);
+    return result.rows[0];
+  }
+
+  async deleteQuotaOverride(userId) {
+    const result = await this.query('DELETE FROM quota_overrides WHERE user_id = $1', [userId]);
+    return result.rowCount > 0;
+  }
+
+  async createQuotaGrant(userId, grant) {
+    const result = await this.query('INSERT INTO quota_grants (user_id, amount, reason, granted_by, expires_at) VALUES ($1, $2, $3, $4, $5) RETURNING *', [userId, grant.amount, grant.reason, grant.granted_by, grant.expires_at]);
+    return result.rows[0];
+  }
+
+  async getActiveQuotaGrants(userId) {
+    const result = await this.query('SELECT * FROM quota_grants WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY created_at DESC', [userId]);
+    return result.rows;
+  }
+
+  // What is left of the user's active grants.
+  async getActiveQuotaGrantTotal(userId) {
+    const result = await this.query('SELECT COALESCE(SUM(amount - used), 0)::int AS total FROM quota_grants WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())', [userId]);
+    return result.rows[0].total;
+  }
+
+  // --- Profile Generation Job Methods ---
+  async createProfileGenerationJob(jobId, userId) {
+    const result = await this.query('INSERT INTO profile_generation_jobs (id, user_id) VALUES ($1, $2) RETURNING *', [jobId, userId]);
+    return result.rows[0];
+  }
+
+  async getProfileGenerationJob(jobId) {
+    const result = await this.query('SELECT * FROM profile_generation_jobs WHERE id = $1', [jobId]);
+    return result.rows[0];
+  }
+
+  async getActiveProfileGenerationJobForUser(userId) {
+    const result = await this.query(`SELECT * FROM profile_generation_jobs WHERE user_id = $1 AND status IN ('queued', 'running')`, [userId]);
+    return result.rows[0];
+  }
+
+  async getRecentProfileGenerationJobsForUser(userId, limit = 10) {
+    const result = await this.query('SELECT id, status, stage, progress, error_code, error_message, created_at, started_at, finished_at FROM profile_generation_jobs WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2', [userId, limit]);
+    return result.rows;
+  }
+
+  async startProfileGenerationJob(jobId) {
+    const result = await this.query(`UPDATE profile_generation_jobs SET status = 'running', stage = 'starting', progress = 0, attempts = attempts + 1, started_at = NOW() WHERE id = $1 AND status = 'queued' RETURNING *`, [jobId]);
     return result.rows[0];
   }
 
+  // The writes below only apply while the worker still owns the job: it is running, on the attempt the worker
+  // started. They return undefined once the job was re-queued (and perhaps claimed by another worker).
+  async updateProfileGenerationJobProgress(jobId, attempt, stage, progress, detail) {
+    const result = await this.query(`UPDATE profile_generation_jobs SET stage = $3, progress = $4, stage_detail = $5 WHERE id = $1 AND attempts = $2 AND status = 'running' RETURNING *`, [jobId, attempt, stage, progress, detail || null]);
+    return result.rows[0];
+  }
+
+  async completeProfileGenerationJob(jobId, attempt, jobResult) {
+    const result = await this.query(`UPDATE profile_generation_jobs SET status = 'succeeded', stage = 'done', progress = 100, stage_detail = NULL, result = $3, finished_at = NOW() WHERE id = $1 AND attempts = $2 AND status = 'running' RETURNING *`, [jobId, attempt, jobResult]);
+    return result.rows[0];
+  }
+
+  async failProfileGenerationJob(jobId, attempt, errorCode, errorMessage) {
+    const result = await this.query(`UPDATE profile_generation_jobs SET status = 'failed', error_code = $3, error_message = $4, finished_at = NOW() WHERE id = $1 AND attempts = $2 AND status = 'running' RETURNING *`, [jobId, attempt, errorCode, errorMessage]);
+    return result.rows[0];
+  }
+
+  async touchProfileGenerationJob(jobId) {
+    await this.query(`UPDATE profile_generation_jobs SET updated_at = NOW() WHERE id = $1 AND status = 'running'`, [jobId]);
+  }
+
+  // Running jobs whose worker stopped sending heartbeats (crash or restart) go back to the queue.
+  async requeueStaleProfileGenerationJobs(staleSeconds) {
+    const result = await this.query(`UPDATE profile_generation_jobs SET status = 'queued', stage = 'queued', progress = 0, stage_detail = NULL WHERE status = 'running' AND updated_at < NOW() - make_interval(secs => $1) RETURNING id`, [staleSeconds]);
+    return result.rows.map(r => r.id);
+  }
+
+  async getQueuedProfileGenerationJobIds() {
+    const result = await this.query(`SELECT id FROM profile_generation_jobs WHERE status = 'queued' ORDER BY created_at ASC`);
+    return result.rows.map(r => r.id);
+  }
+
+  // --- Saved Profile Methods ---
+  // Saves the profile as a new version (or reuses the latest one if it is identical) and makes it active.
+  async saveUserProfile(userId, profileData, source = 'manual_edit') {
+    return this.withTransaction(async (client) => {
+      const version = await this._insertProfileVersion(client, userId, profileData, source, { reuseIdentical: true });
+      const result = await client.query(`INSERT INTO saved_profiles (user_id, profile_data, active_version_id) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET profile_data = EXCLUDED.profile_data, active_version_id = EXCLUDED.active_version_id RETURNING *;`, [userId, profileData, version.id]);
+      return { ...result.rows[0], version_number: version.version_number };
+    });
+  }
+
   async getUserProfile(userId) {
     const result = await this.query('SELECT * FROM saved_profiles WHERE user_id = $1', [userId]);
     return result.rows[0];
@@ -126,34 +410,638 @@ class DatabaseService {
     return result.rowCount;
   }
 
-  // --- Connection Methods ---
-  async createConnectionRequest(requesterId, addresseeId) {
-    const result = await this.query(`INSERT INTO connections (requester_id, addressee_id, status) VALUES ($1, $2, 'pending') RETURNING *;`, [requesterId, addresseeId]);
+  // --- Profile Privacy Methods ---
+  async getProfilePrivacy(userId) {
+    const result = await this.query('SELECT profile_visibility, hidden_profile_fields FROM users WHERE id = $1', [userId]);
     return result.rows[0];
   }
 
-  async getPendingRequestsForUser(userId) {
-    const result = await this.query(`SELECT c.id, c.requester_id, u.github_username as requester_username, u.github_avatar_url as requester_avatar FROM connections c JOIN users u ON c.requester_id = u.id WHERE c.addressee_id = $1 AND c.status = 'pending';`, [userId]);
+  async setProfilePrivacy(userId, { visibility, hiddenFields }) {
+    const result = await this.query(`UPDATE users SET profile_visibility = COALESCE($2, profile_visibility), hidden_profile_fields = COALESCE($3, hidden_profile_fields) WHERE id = $1 RETURNING profile_visibility, hidden_profile_fields;`, [userId, visibility || null, hiddenFields || null]);
+    return result.rows[0];
+  }
+
+  // --- Profile Version Methods ---
+  async _insertProfileVersion(client, userId, profileData, source, options = {}) {
+    // Locking the user row serialises version numbering for concurrent saves by the same user.
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (options.reuseIdentical) {
+      const latest = await client.query('SELECT *, (profile_data = $2::jsonb) AS identical FROM profile_versions WHERE user_id = $1 ORDER BY version_number DESC LIMIT 1', [userId, profileData]);
+      if (latest.rows[0] && latest.rows[0].identical) return latest.rows[0];
+    }
+    const result = await client.query(`INSERT INTO profile_versions (user_id, version_number, source, restored_from, profile_data) SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4 FROM profile_versions WHERE user_id = $1 RETURNING *;`, [userId, source, options.restoredFrom || null, profileData]);
+    return result.rows[0];
+  }
+
+  async createProfileVersion(userId, profileData, source) {
+    return this.withTransaction(client => this._insertProfileVersion(client, userId, profileData, source));
+  }
+
+  async getProfileVersions(userId) {
+    const result = await this.query('SELECT pv.id, pv.version_number, pv.source, pv.restored_from, pv.created_at, (sp.active_version_id = pv.id) AS is_active FROM profile_versions pv LEFT JOIN saved_profiles sp ON sp.user_id = pv.user_id WHERE pv.user_id = $1 ORDER BY pv.version_number DESC', [userId]);
     return result.rows;
   }
 
-  async getSentRequestsByUser(userId) {
-    const result = await this.query(`SELECT c.*, u.github_username as addressee_username, u.github_avatar_url as addressee_avatar_url FROM connections c JOIN users u ON c.addressee_id = u.id WHERE c.requester_id = $1 AND c.status = 'pending' ORDER BY c.created_at DESC;`, [userId]);
+  async getProfileVersion(userId, versionNumber) {
+    const result = await this.query('SELECT * FROM profile_versions WHERE user_id = $1 AND version_number = $2', [userId, versionNumber]);
+    return result.rows[0];
+  }
+
+  async getActiveProfileVersion(userId) {
+    const result = await this.query('SELECT pv.* FROM saved_profiles sp JOIN profile_versions pv ON pv.id = sp.active_version_id WHERE sp.user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  async getLatestGeneratedProfileVersion(userId) {
+    const result = await this.query(`SELECT * FROM profile_versions WHERE user_id = $1 AND source = 'ai_generated' ORDER BY version_number DESC LIMIT 1`, [userId]);
+    return result.rows[0];
+  }
+
+  // Restoring copies the old version forward as a new 'restore' version, so history stays append-only.
+  async restoreProfileVersion(userId, versionNumber) {
+    return this.withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM profile_versions WHERE user_id = $1 AND version_number = $2', [userId, versionNumber]);
+      if (!existing.rows[0]) return null;
+      const profileData = existing.rows[0].profile_data;
+      const version = await this._insertProfileVersion(client, userId, profileData, 'restore', { restoredFrom: versionNumber });
+      await client.query(`INSERT INTO saved_profiles (user_id, profile_data, active_version_id) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET profile_data = EXCLUDED.profile_data, active_version_id = EXCLUDED.active_version_id;`, [userId, profileData, version.id]);
+      return version;
+    });
+  }
+
+  // --- Match Score Index Methods ---
+  async getMatchableProfiles(excludeUserId = null) {
+    const result = await this.query('SELECT user_id, profile_data FROM saved_profiles WHERE profile_data IS NOT NULL AND ($1::int IS NULL OR user_id != $1)', [excludeUserId]);
+    return result.rows;
+  }
+
+  async _insertMatchScores(client, rows) {
+    // Inserted in chunks through unnest so a rebuild does not issue one statement per pair.
+    for (let i = 0; i < rows.length; i += 1000) {
+      const chunk = rows.slice(i, i + 1000);
+      await client.query(
+        `INSERT INTO match_scores (user_id, candidate_id, mode, score, breakdown, details, algorithm_version)
+         SELECT t.user_id, t.candidate_id, t.mode, t.score, t.breakdown::jsonb, t.details::jsonb, t.algorithm_version
+         FROM unnest($1::int[], $2::int[], $3::text[], $4::real[], $5::text[], $6::text[], $7::int[])
+           AS t(user_id, candidate_id, mode, score, breakdown, details, algorithm_version)
+         ON CONFLICT (user_id, candidate_id, mode) DO UPDATE SET score = EXCLUDED.score, breakdown = EXCLUDED.breakdown, details = EXCLUDED.details, algorithm_version = EXCLUDED.algorithm_version, computed_at = NOW();`,
+        [
+          chunk.map(r => r.userId), chunk.map(r => r.candidateId), chunk.map(r => r.mode), chunk.map(r => r.score),
+          chunk.map(r => JSON.stringify(r.breakdown)), chunk.map(r => (r.details ? JSON.stringify(r.details) : null)), chunk.map(r => r.algorithmVersion)
+        ]
+      );
+    }
+  }
+
+  // `seenChanges` is the stale_changes count the recompute started from; changes made while it ran stay pending.
+  async _markMatchIndexState(client, userId, algorithmVersion, seenChanges = 0) {
+    await client.query(`INSERT INTO match_index_state (user_id, algorithm_version, computed_at) VALUES ($1, $2, NOW()) ON CONFLICT (user_id) DO UPDATE SET algorithm_version = EXCLUDED.algorithm_version, computed_at = NOW(), stale_changes = GREATEST(match_index_state.stale_changes - $3, 0);`, [userId, algorithmVersion, seenChanges]);
+  }
+
+  // Replaces every score involving the user, in both directions.
+  async replaceMatchScoresForUser(userId, rows, algorithmVersion, seenChanges = 0) {
+    return this.withTransaction(async (client) => {
+      await client.query('DELETE FROM match_scores WHERE user_id = $1 OR candidate_id = $1', [userId]);
+      await this._insertMatchScores(client, rows);
+      await this._markMatchIndexState(client, userId, algorithmVersion, seenChanges);
+    });
+  }
+
+  // Replaces only the scores the user sees; used by a full rebuild, where every user is visited.
+  async replaceOutgoingMatchScores(userId, rows, algorithmVersion) {
+    return this.withTransaction(async (client) => {
+      await client.query('DELETE FROM match_scores WHERE user_id = $1', [userId]);
+      await this._insertMatchScores(client, rows);
+      await this._markMatchIndexState(client, userId, algorithmVersion);
+    });
+  }
+
+  async deleteMatchScoresForUser(userId) {
+    return this.withTransaction(async (client) => {
+      await client.query('DELETE FROM match_scores WHERE user_id = $1 OR candidate_id = $1', [userId]);
+      await client.query('DELETE FROM match_index_state WHERE user_id = $1', [userId]);
+    });
+  }
+
+  // Records a profile change the user's scores do not reflect yet. Users without state are recomputed anyway.
+  async markMatchIndexStale(userId) {
+    await this.query('UPDATE match_index_state SET stale_changes = stale_changes + 1 WHERE user_id = $1', [userId]);
+  }
+
+  async invalidateMatchIndexState(userId) {
+    await this.query('DELETE FROM match_index_state WHERE user_id = $1', [userId]);
+  }
+
+  async getMatchIndexState(userId) {
+    const result = await this.query('SELECT * FROM match_index_state WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  // After a rebuild, anything not written at the current version belongs to a removed profile or an old algorithm.
+  async deleteStaleMatchScores(algorithmVersion) {
+    const scores = await this.query('DELETE FROM match_scores WHERE algorithm_version <> $1', [algorithmVersion]);
+    await this.query('DELETE FROM match_index_state WHERE algorithm_version <> $1 OR user_id NOT IN (SELECT user_id FROM saved_profiles)', [algorithmVersion]);
+    return scores.rowCount;
+  }
+
+  async getMatchIndexSummary(algorithmVersion) {
+    const result = await this.query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM saved_profiles) AS profiles,
+         (SELECT COUNT(*)::int FROM match_index_state WHERE algorithm_version = $1) AS indexed_users,
+         (SELECT COUNT(*)::int FROM match_scores) AS scores,
+         (SELECT COUNT(*)::int FROM match_scores WHERE algorithm_version <> $1) AS stale_scores;`,
+      [algorithmVersion]
+    );
+    return result.rows[0];
+  }
+
+  // Ranked, visible candidates for a user, filtered, sorted and paged entirely in the database. Users already connected
+  // or with a pending request are left out, as are `excludeUserIds` and anyone the user has dismissed, snoozed,
+  // bookmarked or marked not relevant. `weights` (scorer group -> dimension -> weight, from scoring.effectiveWeights)
+  // rescores each row from its stored breakdown the way scoring.rescoreWithWeights does; null keeps the stored score.
+  // Filters see a candidate's profile as other users do, with hidden fields absent. Each row carries `sort_key`, which
+  // `after` takes to continue the listing; qualified_count and average_score always cover the whole filtered listing.
+  async getRankedMatchScores(userId, { mode, algorithmVersion, minScore = 0, limit = null, excludeUserIds = [], weights = null, semanticWeight = 0, filters = {}, sort = 'score', after = null, experienceKeywords = [] }) {
+    const sortColumns = {
+      score: ['score'],
+      recent: ['recent_key'],
+      experience: ['experience_level', 'score']
+    }[sort];
+    if (!sortColumns) throw new Error(`Unknown suggestion sort "${sort}".`);
+    const { technologyKeys = [], roleGroups = [], experienceRange = {}, strengthRanges = [] } = filters;
+    const visible = (path, field) => `CASE WHEN NOT ('${path}' = ANY(u.hidden_profile_fields)) AND jsonb_typeof(sp.profile_data #> '{${field}}') = 'array'
+                THEN sp.profile_data #> '{${field}}' ELSE '[]'::jsonb END`;
+    const result = await this.query(
+      `WITH candidates AS (
+         SELECT ms.candidate_id AS user_id, ms.score::float8 AS stored_score, ms.breakdown, ms.details,
+                u.github_username, u.github_avatar_url, u.github_profile_url, u.profile_visibility, u.hidden_profile_fields,
+                sp.profile_data, sp.updated_at AS profile_updated_at,
+                ${visible('technical.identifiedTechnologies', 'technical,identifiedTechnologies')} AS visible_technologies,
+                ARRAY(
+                  SELECT lower(role) FROM jsonb_array_elements_text(${visible('technical.potentialRoles', 'technical,potentialRoles')}) AS r(role)
+                  UNION ALL
+                  SELECT lower(sp.profile_data #>> '{business,primaryFocus}') WHERE sp.profile_data #>> '{business,primaryFocus}' IS NOT NULL
+                ) AS visible_roles,
+                CASE WHEN NOT ('technical.estimatedExperience' = ANY(u.hidden_profile_fields)) AND jsonb_typeof(sp.profile_data #> '{technical,estimatedExperience}') = 'string'
+                  THEN lower(sp.profile_data #>> '{technical,estimatedExperience}') END AS visible_experience
+         FROM match_scores ms
+         JOIN users u ON u.id = ms.candidate_id
+         JOIN saved_profiles sp ON sp.user_id = ms.candidate_id
+         WHERE ms.user_id = $1 AND ms.mode = $2 AND ms.algorithm_version = $3
+           AND u.profile_visibility = 'public'
+           AND NOT (ms.candidate_id = ANY($6::int[]))
+           AND NOT EXISTS (
+             SELECT 1 FROM connections c
+             WHERE ((c.requester_id = $1 AND c.addressee_id = ms.candidate_id) OR (c.addressee_id = $1 AND c.requester_id = ms.candidate_id))
+               -- Cancelled and expired requests say nothing about the pair, so those users can be suggested again.
+               AND c.status IN ('pending', 'accepted', 'declined', 'removed')
+           )
+           AND NOT EXISTS (
+             SELECT 1 FROM user_blocks b
+             WHERE (b.blocker_id = $1 AND b.blocked_id = ms.candidate_id) OR (b.blocker_id = ms.candidate_id AND b.blocked_id = $1)
+           )
+           AND (u.suspended_at IS NULL OR u.suspended_until <= NOW())
+           AND NOT EXISTS (
+             SELECT 1 FROM suggestion_feedback f
+             WHERE f.user_id = $1 AND f.candidate_id = ms.candidate_id AND (f.expires_at IS NULL OR f.expires_at > NOW())
+           )
+       ),
+       scored AS (
+         SELECT c.*,
+                CASE WHEN $7::jsonb IS NULL THEN c.stored_score ELSE (
+                  SELECT CASE WHEN $2 <> 'complementary' AND c.breakdown ? 'semanticSimilarity'
+                    THEN s.structured * (1 - $8::float8) + LEAST(1, GREATEST(0, (c.breakdown ->> 'semanticSimilarity')::float8)) * $8::float8
+                    ELSE s.structured END
+                  FROM (
+                    -- Each scorer group is a clamped weighted average of the dimensions present; the groups are averaged.
+                    SELECT COALESCE(AVG(COALESCE(LEAST(1, GREATEST(0, g.total / NULLIF(g.weight, 0))), 0)), 0) AS structured
+                    FROM jsonb_array_elements_text(CASE WHEN $2 = 'complementary' OR c.details ->> 'scoredAs' = 'complementary'
+                      THEN '["complementary"]'::jsonb ELSE COALESCE(c.details -> 'sections', '[]'::jsonb) END) AS grp(name)
+                    CROSS JOIN LATERAL (
+                      SELECT SUM((c.breakdown ->> w.key)::float8 * w.value::float8) AS total, SUM(w.value::float8) AS weight
+                      FROM jsonb_each_text($7::jsonb -> grp.name) AS w
+                      WHERE c.breakdown ? w.key
+                    ) g
+                  ) s
+                ) END AS score,
+                COALESCE((
+                  SELECT (kw.entry ->> 1)::int
+                  FROM jsonb_array_elements($14::jsonb) WITH ORDINALITY AS kw(entry, ordinal)
+                  WHERE strpos(c.visible_experience, kw.entry ->> 0) > 0
+                  ORDER BY kw.ordinal LIMIT 1
+                ), 0) AS experience_level,
+                (EXTRACT(EPOCH FROM date_trunc('milliseconds', c.profile_updated_at)) * 1000)::float8 AS recent_key
+         FROM candidates c
+       ),
+       ranked AS (
+         SELECT s.*,
+                ARRAY[${sortColumns.map(column => `s.${column}::float8`).join(', ')}, (-s.user_id)::float8] AS sort_key,
+                COUNT(*) OVER () AS qualified_count, AVG(s.score) OVER () AS average_score
+         FROM scored s
+         WHERE s.score >= $4
+           -- Every required technology, given as the keys that count as it.
+           AND NOT EXISTS (
+             SELECT 1 FROM jsonb_array_elements($9::jsonb) AS required(keys)
+             WHERE NOT EXISTS (
+               SELECT 1 FROM jsonb_array_elements_text(s.visible_technologies) AS t(name)
+               WHERE regexp_replace(lower(t.name), '[[:space:]._/-]+', '', 'g') IN (SELECT jsonb_array_elements_text(required.keys))
+             )
+           )
+           -- At least one role of every group, as a substring of one of the candidate's roles.
+           AND NOT EXISTS (
+             SELECT 1 FROM jsonb_array_elements($10::jsonb) AS wanted(roles)
+             WHERE NOT EXISTS (
+               SELECT 1 FROM jsonb_array_elements_text(wanted.roles) AS w(role), unnest(s.visible_roles) AS r(role)
+               WHERE strpos(r.role, w.role) > 0
+             )
+           )
+           -- Unknown experience never satisfies a range.
+           AND (($11::int IS NULL AND $12::int IS NULL)
+             OR (s.experience_level > 0 AND s.experience_level >= COALESCE($11::int, 1) AND s.experience_level <= COALESCE($12::int, 5)))
+           AND (jsonb_array_length($13::jsonb) = 0 OR EXISTS (
+             SELECT 1 FROM jsonb_array_elements($13::jsonb) AS bucket(range)
+             WHERE (bucket.range ->> 0 IS NULL OR s.score >= (bucket.range ->> 0)::float8)
+               AND (bucket.range ->> 1 IS NULL OR s.score < (bucket.range ->> 1)::float8)
+           ))
+       )
+       SELECT * FROM ranked
+       WHERE $15::float8[] IS NULL OR sort_key < $15::float8[]
+       ORDER BY sort_key DESC
+       LIMIT $5;`,
+      [
+        userId, mode, algorithmVersion, minScore, limit, excludeUserIds,
+        weights ? JSON.stringify(weights) : null, semanticWeight,
+        JSON.stringify(technologyKeys), JSON.stringify(roleGroups),
+        experienceRange.min || null, experienceRange.max || null,
+        JSON.stringify(strengthRanges), JSON.stringify(experienceKeywords),
+        after
+      ]
+    );
     return result.rows;
   }
 
-  async acceptConnectionRequest(requesterId, addresseeId) {
-    const result = await this.query(`UPDATE connections SET status = 'accepted' WHERE requester_id = $1 AND addressee_id = $2 AND status = 'pending' RETURNING *;`, [requesterId, addresseeId]);
+  // --- Matching Preference Methods ---
+  async getMatchingPreferences(userId) {
+    const result = await this.query('SELECT * FROM matching_preferences WHERE user_id = $1', [userId]);
     return result.rows[0];
   }
 
-  async declineOrCancelConnectionRequest(connectionId, currentUserId) {
-    const result = await this.query(`DELETE FROM connections WHERE id = $1 AND (requester_id = $2 OR addressee_id = $2);`, [connectionId, currentUserId]);
+  async saveMatchingPreferences(userId, prefs) {
+    const result = await this.query(
+      `INSERT INTO matching_preferences (user_id, weights, min_score, required_technologies, required_roles, experience_min, experience_max, excluded_user_ids)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id) DO UPDATE SET weights = EXCLUDED.weights, min_score = EXCLUDED.min_score, required_technologies = EXCLUDED.required_technologies,
+         required_roles = EXCLUDED.required_roles, experience_min = EXCLUDED.experience_min, experience_max = EXCLUDED.experience_max, excluded_user_ids = EXCLUDED.excluded_user_ids
+       RETURNING *;`,
+      [userId, prefs.weights, prefs.minScore, prefs.requiredTechnologies, prefs.requiredRoles, prefs.experienceRange.min, prefs.experienceRange.max, prefs.excludedUserIds]
+    );
+    return result.rows[0];
+  }
+
+  async deleteMatchingPreferences(userId) {
+    const result = await this.query('DELETE FROM matching_preferences WHERE user_id = $1', [userId]);
     return result.rowCount > 0;
   }
 
+  async countMatchCandidates(userId, mode, algorithmVersion) {
+    const result = await this.query('SELECT COUNT(*)::int AS count FROM match_scores WHERE user_id = $1 AND mode = $2 AND algorithm_version = $3', [userId, mode, algorithmVersion]);
+    return result.rows[0].count;
+  }
+
+  // --- Suggestion Feedback Methods ---
+  async getMatchScore(userId, candidateId, mode) {
+    const result = await this.query('SELECT score, breakdown, algorithm_version FROM match_scores WHERE user_id = $1 AND candidate_id = $2 AND mode = $3', [userId, candidateId, mode]);
+    return result.rows[0];
+  }
+
+  async saveSuggestionFeedback(userId, candidateId, { action, reason = null, note = null, mode, breakdown = null, expiresAt = null }) {
+    const result = await this.query(
+      `INSERT INTO suggestion_feedback (user_id, candidate_id, action, reason, note, mode, breakdown, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, candidate_id) DO UPDATE SET action = EXCLUDED.action, reason = EXCLUDED.reason, note = EXCLUDED.note,
+         mode = EXCLUDED.mode, breakdown = EXCLUDED.breakdown, expires_at = EXCLUDED.expires_at
+       RETURNING candidate_id, action, reason, note, mode, expires_at, created_at, updated_at;`,
+      [userId, candidateId, action, reason, note, mode, breakdown, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  async deleteSuggestionFeedback(userId, candidateId) {
+    const result = await this.query('DELETE FROM suggestion_feedback WHERE user_id = $1 AND candidate_id = $2', [userId, candidateId]);
+    return result.rowCount > 0;
+  }
+
+  async getSuggestionFeedback(userId) {
+    const result = await this.query('SELECT candidate_id, action, reason, mode, breakdown, expires_at FROM suggestion_feedback WHERE user_id = $1', [userId]);
+    return result.rows;
+  }
+
+  // Bookmarked users who can still be suggested, with their current score in `mode` if one is stored.
+  async getBookmarkedSuggestions(userId, mode, algorithmVersion) {
+    const result = await this.query(
+      `SELECT f.candidate_id AS user_id, f.created_at AS bookmarked_at, ms.score::float8 AS score,
+              u.github_username, u.github_avatar_url, u.github_profile_url, u.profile_visibility, u.hidden_profile_fields, sp.profile_data
+       FROM suggestion_feedback f
+       JOIN users u ON u.id = f.candidate_id
+       JOIN saved_profiles sp ON sp.user_id = f.candidate_id
+       LEFT JOIN match_scores ms ON ms.user_id = f.user_id AND ms.candidate_id = f.candidate_id AND ms.mode = $2 AND ms.algorithm_version = $3
+       WHERE f.user_id = $1 AND f.action = 'bookmarked' AND u.profile_visibility = 'public'
+         AND (u.suspended_at IS NULL OR u.suspended_until <= NOW())
+         AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE (b.blocker_id = $1 AND b.blocked_id = f.candidate_id) OR (b.blocker_id = f.candidate_id AND b.blocked_id = $1))
+       ORDER BY f.created_at DESC;`,
+      [userId, mode, algorithmVersion]
+    );
+    return result.rows;
+  }
+
+  // Dismissals (including snoozes still running) and "not relevant" marks, newest first.
+  async getHiddenSuggestions(userId) {
+    const result = await this.query(
+      `SELECT f.candidate_id AS user_id, f.action, f.reason, f.note, f.expires_at, f.updated_at, u.github_username, u.github_avatar_url
+       FROM suggestion_feedback f
+       JOIN users u ON u.id = f.candidate_id
+       WHERE f.user_id = $1 AND f.action <> 'bookmarked' AND (f.expires_at IS NULL OR f.expires_at > NOW())
+       ORDER BY f.updated_at DESC;`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // --- Match Explanation Methods ---
+  async getMatchExplanation(userId, candidateId) {
+    const result = await this.query('SELECT * FROM match_explanations WHERE user_id = $1 AND candidate_id = $2', [userId, candidateId]);
+    return result.rows[0];
+  }
+
+  async saveMatchExplanation(userId, candidateId, { userVersionId, candidateVersionId, factsHash, narrative, model, source = 'ai' }) {
+    await this.query(
+      `INSERT INTO match_explanations (user_id, candidate_id, user_version_id, candidate_version_id, facts_hash, narrative, model, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, candidate_id) DO UPDATE SET user_version_id = EXCLUDED.user_version_id, candidate_version_id = EXCLUDED.candidate_version_id,
+         facts_hash = EXCLUDED.facts_hash, narrative = EXCLUDED.narrative, model = EXCLUDED.model, source = EXCLUDED.source, created_at = NOW();`,
+      [userId, candidateId, userVersionId, candidateVersionId, factsHash, narrative, model, source]
+    );
+  }
+
+  /**
+   * Records an LLM call for the user's explanation of `candidateId`, unless they already made `limit` calls in the
+   * last `hours`. The count and the insert run under a per-user lock, so parallel requests cannot all pass.
+   * @returns {Promise<{ limited: boolean, oldest: Date|null }>} `oldest` is the oldest counted call when limited.
+   */
+  async recordMatchExplanationCall(userId, candidateId, { limit, hours }) {
+    return this.withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [migrationService.ADVISORY_LOCK_NAMESPACES.matchExplanationCalls, userId]);
+      const recent = (await client.query(
+        'SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest FROM match_explanation_calls WHERE user_id = $1 AND created_at > NOW() - make_interval(hours => $2);',
+        [userId, hours]
+      )).rows[0];
+      if (recent.count >= limit) return { limited: true, oldest: recent.oldest };
+      await client.query('INSERT INTO match_explanation_calls (user_id, candidate_id) VALUES ($1, $2)', [userId, candidateId]);
+      return { limited: false, oldest: null };
+    });
+  }
+
+  // --- Skill Taxonomy Methods ---
+  async getSkillAliases() {
+    const result = await this.query('SELECT alias, skill, created_by, created_at FROM skill_aliases ORDER BY skill, alias');
+    return result.rows;
+  }
+
+  // Returns undefined if an alias with the same key already exists.
+  async createSkillAlias({ aliasKey, alias, skill, createdBy }) {
+    const result = await this.query(
+      `INSERT INTO skill_aliases (alias_key, alias, skill, created_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (alias_key) DO NOTHING
+       RETURNING alias, skill, created_by, created_at;`,
+      [aliasKey, alias, skill, createdBy]
+    );
+    return result.rows[0];
+  }
+
+  async deleteSkillAlias(aliasKey) {
+    const result = await this.query('DELETE FROM skill_aliases WHERE alias_key = $1 RETURNING alias, skill', [aliasKey]);
+    return result.rows[0];
+  }
+
+  // --- Embedding Methods ---
+  async getEmbeddingInfo(ownerType, ownerId) {
+    const result = await this.query('SELECT model, content_hash, updated_at FROM embeddings WHERE owner_type = $1 AND owner_id = $2', [ownerType, ownerId]);
+    return result.rows[0];
+  }
+
+  async upsertEmbedding(ownerType, ownerId, { model, vector, contentHash }) {
+    await this.query(
+      `INSERT INTO embeddings (owner_type, owner_id, model, dimensions, embedding, content_hash, updated_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (owner_type, owner_id) DO UPDATE SET model = EXCLUDED.model, dimensions = EXCLUDED.dimensions, embedding = EXCLUDED.embedding, content_hash = EXCLUDED.content_hash, updated_at = NOW();`,
+      [ownerType, ownerId, model, vector.length, vector, contentHash]
+    );
+  }
+
+  async deleteEmbedding(ownerType, ownerId) {
+    await this.query('DELETE FROM embeddings WHERE owner_type = $1 AND owner_id = $2', [ownerType, ownerId]);
+  }
+
+  // Every owner of a type with its source text and the model and hash of its stored embedding, if any.
+  async getEmbeddingSources(ownerType) {
+    const sources = {
+      profile: { select: 'SELECT sp.user_id AS owner_id, sp.profile_data, e.model, e.content_hash FROM saved_profiles sp', owner: 'sp.user_id' },
+      cv: { select: 'SELECT c.user_id AS owner_id, c.cv_text, e.model, e.content_hash FROM user_cvs c', owner: 'c.user_id' },
+      job: { select: 'SELECT j.id AS owner_id, j.job_title, j.company_name, j.description_html, e.model, e.content_hash FROM jobs j', owner: 'j.id' }
+    };
+    const source = sources[ownerType];
+    if (!source) throw new Error(`Unknown embedding owner type "${ownerType}".`);
+    const result = await this.query(`${source.select} LEFT JOIN embeddings e ON e.owner_type = $1 AND e.owner_id = ${source.owner} ORDER BY 1`, [ownerType]);
+    return result.rows;
+  }
+
+  // Builds the pgvector HNSW index for one owner type and model if pgvector is installed.
+  // @returns {Promise<boolean>} Whether nearest-neighbour queries can use an index.
+  async ensureEmbeddingAnnIndex(ownerType, model, dimensions) {
+    const result = await this.query('SELECT ensure_embedding_ann_index($1, $2, $3) AS ready', [ownerType, model, dimensions]);
+    return result.rows[0].ready;
+  }
+
+  // Cosine similarity between one stored embedding and the embeddings of `targetType` from the same model,
+  // nearest first. `onlyIds` restricts the targets; a null `limit` returns all of them.
+  // With `annDimensions` (set once ensureEmbeddingAnnIndex succeeded) a top-`limit` query walks the HNSW index;
+  // everything else is an exact scan. Stored vectors are unit length, so their dot product is the cosine.
+  async findNearestEmbeddings({ sourceType, sourceId, targetType, model, annDimensions = null, limit = null, excludeIds = [], onlyIds = null }) {
+    const params = [sourceType, sourceId, targetType, model, limit, excludeIds, onlyIds];
+    const filter = `e.owner_type = $3 AND e.model = $4
+         AND NOT (e.owner_type = $1 AND e.owner_id = $2)
+         AND NOT (e.owner_id = ANY($6::int[]))
+         AND ($7::int[] IS NULL OR e.owner_id = ANY($7::int[]))`;
+
+    if (annDimensions && limit !== null && onlyIds === null) {
+      // The ORDER BY expression must match the index expression exactly for the planner to use it.
+      const vector = `embedding::vector(${parseInt(annDimensions, 10)})`;
+      const source = `(SELECT ${vector} FROM embeddings WHERE owner_type = $1 AND owner_id = $2 AND model = $4)`;
+      return this.withTransaction(async (client) => {
+        // HNSW returns at most ef_search rows per scan, so it is raised to cover the limit.
+        await client.query(`SELECT set_config('hnsw.ef_search', $1, true)`, [String(Math.min(Math.max(limit, 40), 1000))]);
+        const result = await client.query(
+          `SELECT e.owner_id, (1 - (e.${vector} <=> ${source}))::float8 AS similarity
+           FROM embeddings e
+           WHERE ${filter}
+             AND EXISTS (SELECT 1 FROM embeddings WHERE owner_type = $1 AND owner_id = $2 AND model = $4)
+           ORDER BY e.${vector} <=> ${source}
+           LIMIT $5;`,
+          params
+        );
+        return result.rows;
+      });
+    }
+
+    const result = await this.query(
+      `WITH source AS (
+         SELECT embedding FROM embeddings WHERE owner_type = $1 AND owner_id = $2 AND model = $4
+       )
+       SELECT e.owner_id, dot.similarity
+       FROM embeddings e, source,
+         LATERAL (SELECT SUM(a * b)::float8 AS similarity FROM unnest(e.embedding, source.embedding) AS v(a, b)) dot
+       WHERE ${filter}
+       ORDER BY dot.similarity DESC
+       LIMIT $5;`,
+      params
+    );
+    return result.rows;
+  }
+
+  // Saved profiles a recompute should score against: the user's nearest neighbours by embedding, plus every
+  // profile that has no embedding under the model yet and so cannot be found by a nearest-neighbour search.
+  async getMatchCandidateProfiles(userId, { model, nearestIds }) {
+    const result = await this.query(
+      `SELECT sp.user_id, sp.profile_data
+       FROM saved_profiles sp
+       LEFT JOIN embeddings e ON e.owner_type = 'profile' AND e.owner_id = sp.user_id AND e.model = $2
+       WHERE sp.profile_data IS NOT NULL AND sp.user_id != $1
+         AND (sp.user_id = ANY($3::int[]) OR e.owner_id IS NULL)`,
+      [userId, model, nearestIds]
+    );
+    return result.rows;
+  }
+
+  // --- Connection Methods ---
+  // A pair of users has at most one connections row, whichever way round. Its status moves through the states in
+  // connectionLifecycleService, and every change is appended to connection_events.
+
+  async _recordConnectionEvent(client, connectionId, fromStatus, toStatus, actorId) {
+    await client.query('INSERT INTO connection_events (connection_id, from_status, to_status, actor_id) VALUES ($1, $2, $3, $4)', [connectionId, fromStatus, toStatus, actorId]);
+  }
+
+  async _insertConnectionRequest(client, requesterId, addresseeId, { introMessage = null, matchScore = null, matchMode = null } = {}) {
+    const result = await client.query(
+      `INSERT INTO connections (requester_id, addressee_id, status, status_changed_by, intro_message, match_score, match_mode)
+       VALUES ($1, $2, 'pending', $1, $3, $4, $5) RETURNING *;`,
+      [requesterId, addresseeId, introMessage, matchScore, matchMode]
+    );
+    const connection = result.rows[0];
+    await this._recordConnectionEvent(client, connection.id, null, 'pending', requesterId);
+    return connection;
+  }
+
+  /**
+   * Sends a request as one transaction holding an advisory lock on the requester, so concurrent requests from the
+   * same user are counted one after another. `getLimit` is given the requester's outgoing request activity
+   * ({ pending, recentCount, recentOldest }, re-requests included, over the last `hours`) and returns a limit to
+   * stop at, or null.
+   * A closed pair's row (`connectionId` in `fromStatus`) is reused; otherwise a new row is created.
+   * @returns {Promise<{ connection?: object, limited?: object }>} Neither when the pair's row changed meanwhile.
+   */
+  async sendConnectionRequest(requesterId, addresseeId, { connectionId = null, fromStatus = null, request, hours, getLimit }) {
+    return this.withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [migrationService.ADVISORY_LOCK_NAMESPACES.connectionRequests, requesterId]);
+      const activity = (await client.query(
+        `SELECT
+           (SELECT COUNT(*)::int FROM connections WHERE requester_id = $1 AND status = 'pending') AS pending,
+           COUNT(*)::int AS recent_count, MIN(created_at) AS recent_oldest
+         FROM connection_events
+         WHERE actor_id = $1 AND to_status = 'pending' AND created_at > NOW() - make_interval(hours => $2);`,
+        [requesterId, hours]
+      )).rows[0];
+      const limited = getLimit({ pending: activity.pending, recentCount: activity.recent_count, recentOldest: activity.recent_oldest });
+      if (limited) return { limited };
+
+      const connection = connectionId
+        ? await this._transitionConnection(client, connectionId, {
+          fromStatuses: [fromStatus], toStatus: 'pending', actorId: requesterId, requesterId, addresseeId, request
+        })
+        : await this._insertConnectionRequest(client, requesterId, addresseeId, request);
+      return connection ? { connection } : {};
+    });
+  }
+
+  async getConnectionById(connectionId) {
+    const result = await this.query('SELECT * FROM connections WHERE id = $1', [connectionId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Moves a connection to `toStatus` if it is currently in one of `fromStatuses`, under a row lock.
+   * A new request on a closed pair passes requesterId/addresseeId, since the direction may flip, and its `request`
+   * details, which replace the previous request's intro and score.
+   * Removing an accepted connection also closes the pair's conversation.
+   * @returns {Promise<object|undefined>} The updated row, or undefined if the connection was not in an expected state.
+   */
+  async transitionConnection(connectionId, transition) {
+    return this.withTransaction(client => this._transitionConnection(client, connectionId, transition));
+  }
+
+  async _transitionConnection(client, connectionId, { fromStatuses, toStatus, actorId, requesterId = null, addresseeId = null, request = null }) {
+    const current = (await client.query('SELECT * FROM connections WHERE id = $1 FOR UPDATE', [connectionId])).rows[0];
+    if (!current || !fromStatuses.includes(current.status)) return undefined;
+    const result = await client.query(
+      `UPDATE connections SET status = $2, status_changed_at = NOW(), status_changed_by = $3,
+         requester_id = COALESCE($4, requester_id), addressee_id = COALESCE($5, addressee_id),
+         intro_message = CASE WHEN $6 THEN $7 ELSE intro_message END,
+         match_score = CASE WHEN $6 THEN $8::real ELSE match_score END,
+         match_mode = CASE WHEN $6 THEN $9 ELSE match_mode END
+       WHERE id = $1 RETURNING *;`,
+      [connectionId, toStatus, actorId, requesterId, addresseeId, request !== null,
+        request && request.introMessage, request && request.matchScore, request && request.matchMode]
+    );
+    const connection = result.rows[0];
+    await this._recordConnectionEvent(client, connectionId, current.status, toStatus, actorId);
+    if (toStatus === 'removed') {
+      await this._closeConversationBetween(client, connection.requester_id, connection.addressee_id);
+    }
+    return connection;
+  }
+
+  // Expires pending requests whose last change is older than the given age. Returns the expired rows.
+  async expireStaleConnectionRequests(olderThanDays) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE connections SET status = 'expired', status_changed_at = NOW(), status_changed_by = NULL
+         WHERE status = 'pending' AND status_changed_at < NOW() - make_interval(days => $1)
+         RETURNING *;`,
+        [olderThanDays]
+      );
+      for (const connection of result.rows) {
+        await this._recordConnectionEvent(client, connection.id, 'pending', 'expired', null);
+      }
+      return result.rows;
+    });
+  }
+
+  async getConnectionEvents(connectionId) {
+    const result = await this.query('SELECT from_status, to_status, actor_id, created_at FROM connection_events WHERE connection_id = $1 ORDER BY id', [connectionId]);
+    return result.rows;
+  }
+
+  async getPendingRequestsForUser(userId) {
+    const result = await this.query(`SELECT c.id, c.requester_id, c.intro_message, c.match_score, c.match_mode, c.status_changed_at AS requested_at, u.github_username as requester_username, u.github_avatar_url as requester_avatar, u.profile_visibility, u.hidden_profile_fields, sp.profile_data FROM connections c JOIN users u ON c.requester_id = u.id LEFT JOIN saved_profiles sp ON sp.user_id = u.id WHERE c.addressee_id = $1 AND c.status = 'pending' AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1));`, [userId]);
+    return result.rows;
+  }
+
+  async getSentRequestsByUser(userId) {
+    const result = await this.query(`SELECT c.*, u.github_username as addressee_username, u.github_avatar_url as addressee_avatar_url FROM connections c JOIN users u ON c.addressee_id = u.id WHERE c.requester_id = $1 AND c.status = 'pending' AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1)) ORDER BY c.created_at DESC;`, [userId]);
+    return result.rows;
+  }
+
   async getActiveConnections(userId) {
-    const result = await this.query(`SELECT u.* FROM users u JOIN connections c ON (c.requester_id = u.id OR c.addressee_id = u.id) WHERE (c.requester_id = $1 OR c.addressee_id = $1) AND c.status = 'accepted' AND u.id != $1;`, [userId]);
+    const result = await this.query(`SELECT u.id, c.id AS connection_id, u.github_username, u.github_avatar_url, u.github_profile_url, u.created_at, u.profile_visibility, u.hidden_profile_fields, sp.profile_data FROM users u JOIN connections c ON (c.requester_id = u.id OR c.addressee_id = u.id) LEFT JOIN saved_profiles sp ON sp.user_id = u.id WHERE (c.requester_id = $1 OR c.addressee_id = $1) AND c.status = 'accepted' AND u.id != $1 AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1));`, [userId]);
     return result.rows;
   }
 
@@ -162,13 +1050,338 @@ class DatabaseService {
     return result.rows[0];
   }
 
+  // --- Messaging Methods ---
+  // Conversations store the pair with the lower user ID first; these helpers hide that ordering.
+
+  async _closeConversationBetween(client, userId1, userId2) {
+    await client.query(
+      'UPDATE conversations SET closed_at = NOW() WHERE user_low_id = LEAST($1::int, $2::int) AND user_high_id = GREATEST($1::int, $2::int) AND closed_at IS NULL',
+      [userId1, userId2]
+    );
+  }
+
+  // Returns the pair's conversation, creating it if needed, and reopens it if it had been closed.
+  async openConversation(userId1, userId2) {
+    const result = await this.query(
+      `INSERT INTO conversations (user_low_id, user_high_id) VALUES (LEAST($1::int, $2::int), GREATEST($1::int, $2::int))
+       ON CONFLICT (user_low_id, user_high_id) DO UPDATE SET closed_at = NULL
+       RETURNING *, (xmax = 0) AS created;`,
+      [userId1, userId2]
+    );
+    return result.rows[0];
+  }
+
+  // The conversation if userId takes part in it, with the other participant as other_user_id.
+  async getConversationForUser(conversationId, userId) {
+    const result = await this.query(
+      `SELECT c.*, CASE WHEN c.user_low_id = $2 THEN c.user_high_id ELSE c.user_low_id END AS other_user_id
+       FROM conversations c WHERE c.id = $1 AND (c.user_low_id = $2 OR c.user_high_id = $2);`,
+      [conversationId, userId]
+    );
+    return result.rows[0];
+  }
+
+  // The user's conversations, most recently active first, with the last message and the unread count.
+  async getConversationsForUser(userId) {
+    const result = await this.query(
+      `SELECT c.id, c.created_at, c.last_message_at, c.closed_at,
+              u.id AS other_user_id, u.github_username, u.github_avatar_url,
+              last.id AS last_message_id, last.sender_id AS last_message_sender_id,
+              CASE WHEN last.deleted_at IS NULL THEN last.body END AS last_message_body, last.created_at AS last_message_created_at,
+              (SELECT COUNT(*)::int FROM messages m
+                WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.deleted_at IS NULL
+                  AND m.id > COALESCE(r.last_read_message_id, 0)) AS unread_count
+       FROM conversations c
+       JOIN users u ON u.id = CASE WHEN c.user_low_id = $1 THEN c.user_high_id ELSE c.user_low_id END
+       LEFT JOIN conversation_reads r ON r.conversation_id = c.id AND r.user_id = $1
+       LEFT JOIN LATERAL (SELECT * FROM messages m WHERE m.conversation_id = c.id ORDER BY m.id DESC LIMIT 1) last ON TRUE
+       WHERE c.user_low_id = $1 OR c.user_high_id = $1
+       ORDER BY COALESCE(c.last_message_at, c.created_at) DESC, c.id DESC;`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Newest first. Fetches limit + 1 rows so the caller can tell whether older messages remain.
+  async getMessages(conversationId, { before = null, limit }) {
+    const result = await this.query(
+      `SELECT id, conversation_id, sender_id, CASE WHEN deleted_at IS NULL THEN body END AS body, created_at, deleted_at
+       FROM messages
+       WHERE conversation_id = $1 AND ($2::int IS NULL OR id < $2::int)
+       ORDER BY id DESC
+       LIMIT $3;`,
+      [conversationId, before, limit + 1]
+    );
+    return result.rows;
+  }
+
+  // Stores the message and moves the sender's read position to it; sending implies having read the conversation.
+  async createMessage(conversationId, senderId, body) {
+    return this.withTransaction(async (client) => {
+      const inserted = await client.query(
+        'INSERT INTO messages (conversation_id, sender_id, body) VALUES ($1, $2, $3) RETURNING id, conversation_id, sender_id, body, created_at, deleted_at',
+        [conversationId, senderId, body]
+      );
+      const message = inserted.rows[0];
+      await client.query('UPDATE conversations SET last_message_at = $2 WHERE id = $1', [conversationId, message.created_at]);
+      await client.query(
+        `INSERT INTO conversation_reads (conversation_id, user_id, last_read_message_id, read_at) VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (conversation_id, user_id) DO UPDATE SET last_read_message_id = GREATEST(conversation_reads.last_read_message_id, EXCLUDED.last_read_message_id), read_at = NOW();`,
+        [conversationId, senderId, message.id]
+      );
+      return message;
+    });
+  }
+
+  // Marks messages up to upToMessageId (default: the latest) as read. The read position never moves backwards.
+  async markConversationRead(conversationId, userId, upToMessageId = null) {
+    const result = await this.query(
+      `INSERT INTO conversation_reads (conversation_id, user_id, last_read_message_id, read_at)
+       SELECT $1::int, $2::int, COALESCE(MAX(id), 0), NOW() FROM messages WHERE conversation_id = $1 AND ($3::int IS NULL OR id <= $3::int)
+       ON CONFLICT (conversation_id, user_id) DO UPDATE SET last_read_message_id = GREATEST(conversation_reads.last_read_message_id, EXCLUDED.last_read_message_id), read_at = NOW()
+       RETURNING last_read_message_id, read_at;`,
+      [conversationId, userId, upToMessageId]
+    );
+    return result.rows[0];
+  }
+
+  async getConversationRead(conversationId, userId) {
+    const result = await this.query('SELECT last_read_message_id, read_at FROM conversation_reads WHERE conversation_id = $1 AND user_id = $2', [conversationId, userId]);
+    return result.rows[0];
+  }
+
+  // Only the sender can delete a message. Returns null when there is no such undeleted message of theirs.
+  async softDeleteMessage(messageId, senderId) {
+    const result = await this.query(
+      'UPDATE messages SET deleted_at = NOW() WHERE id = $1 AND sender_id = $2 AND deleted_at IS NULL RETURNING id, conversation_id, deleted_at',
+      [messageId, senderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getUnreadMessageCounts(userId) {
+    const result = await this.query(
+      `SELECT c.id AS conversation_id, COUNT(m.id)::int AS unread_count
+       FROM conversations c
+       LEFT JOIN conversation_reads r ON r.conversation_id = c.id AND r.user_id = $1
+       JOIN messages m ON m.conversation_id = c.id AND m.sender_id <> $1 AND m.deleted_at IS NULL AND m.id > COALESCE(r.last_read_message_id, 0)
+       WHERE c.user_low_id = $1 OR c.user_high_id = $1
+       GROUP BY c.id
+       ORDER BY c.id;`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // --- Notification Methods ---
+  async createNotification(userId, type, payload) {
+    const result = await this.query('INSERT INTO notifications (user_id, type, payload) VALUES ($1, $2, $3) RETURNING *;', [userId, type, payload]);
+    return result.rows[0];
+  }
+
+  // Newest first. Fetches limit + 1 rows so the caller can tell whether older notifications remain.
+  async getNotifications(userId, { before = null, limit, unreadOnly = false }) {
+    const result = await this.query(
+      `SELECT * FROM notifications
+       WHERE user_id = $1 AND ($2::int IS NULL OR id < $2::int) AND (NOT $3::boolean OR read_at IS NULL)
+       ORDER BY id DESC
+       LIMIT $4;`,
+      [userId, before, unreadOnly, limit + 1]
+    );
+    return result.rows;
+  }
+
+  // Oldest first, for streams catching up on notifications created by other instances.
+  async getNotificationsAfter(userId, afterId, limit) {
+    const result = await this.query('SELECT * FROM notifications WHERE user_id = $1 AND id > $2 ORDER BY id ASC LIMIT $3;', [userId, afterId, limit]);
+    return result.rows;
+  }
+
+  async getLatestNotificationId(userId) {
+    const result = await this.query('SELECT COALESCE(MAX(id), 0)::int AS id FROM notifications WHERE user_id = $1', [userId]);
+    return result.rows[0].id;
+  }
+
+  async countUnreadNotifications(userId) {
+    const result = await this.query('SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]);
+    return result.rows[0].count;
+  }
+
+  // Marks the given notifications read, or all of the user's when ids is null. Returns how many changed.
+  async markNotificationsRead(userId, ids = null) {
+    const result = await this.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))',
+      [userId, ids]
+    );
+    return result.rowCount;
+  }
+
+  async getNotificationPreferences(userId) {
+    const result = await this.query('SELECT type, in_app, realtime FROM notification_preferences WHERE user_id = $1', [userId]);
+    return result.rows;
+  }
+
+  async saveNotificationPreferences(userId, preferences) {
+    return this.withTransaction(async (client) => {
+      for (const [type, { inApp, realtime }] of Object.entries(preferences)) {
+        await client.query(
+          `INSERT INTO notification_preferences (user_id, type, in_app, realtime) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (user_id, type) DO UPDATE SET in_app = EXCLUDED.in_app, realtime = EXCLUDED.realtime;`,
+          [userId, type, inApp, realtime]
+        );
+      }
+      const result = await client.query('SELECT type, in_app, realtime FROM notification_preferences WHERE user_id = $1', [userId]);
+      return result.rows;
+    });
+  }
+
+  // --- Block Methods ---
+  // The block between two users in either direction, if any.
+  async getBlockBetween(userId1, userId2) {
+    const result = await this.query('SELECT blocker_id, blocked_id, created_at FROM user_blocks WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1) LIMIT 1', [userId1, userId2]);
+    return result.rows[0];
+  }
+
+  // Returns true if a new block was created, false if it already existed.
+  async blockUser(blockerId, blockedId) {
+    const result = await this.query('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [blockerId, blockedId]);
+    return result.rowCount > 0;
+  }
+
+  async unblockUser(blockerId, blockedId) {
+    const result = await this.query('DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2', [blockerId, blockedId]);
+    return result.rowCount > 0;
+  }
+
+  async getBlockedUsers(blockerId) {
+    const result = await this.query('SELECT b.blocked_id AS user_id, u.github_username, u.github_avatar_url, b.created_at FROM user_blocks b JOIN users u ON u.id = b.blocked_id WHERE b.blocker_id = $1 ORDER BY b.created_at DESC', [blockerId]);
+    return result.rows;
+  }
+
+  // --- Report Methods ---
+  async createUserReport({ reporterId, reportedId, category, details = null }) {
+    const result = await this.query('INSERT INTO user_reports (reporter_id, reported_id, category, details) VALUES ($1, $2, $3, $4) RETURNING id, reported_id, category, details, status, created_at', [reporterId, reportedId, category, details]);
+    return result.rows[0];
+  }
+
+  // The moderation queue: reports in one status, oldest first, with how many open reports the reported user has.
+  async getUserReports({ status, limit, afterId = null }) {
+    const result = await this.query(
+      `SELECT r.*, reporter.github_username AS reporter_username, reported.github_username AS reported_username,
+              reported.suspended_at AS reported_suspended_at, reported.suspended_until AS reported_suspended_until,
+              (SELECT COUNT(*)::int FROM user_reports o WHERE o.reported_id = r.reported_id AND o.status = 'open') AS open_reports_against_user
+       FROM user_reports r
+       LEFT JOIN users reporter ON reporter.id = r.reporter_id
+       JOIN users reported ON reported.id = r.reported_id
+       WHERE r.status = $1 AND ($2::int IS NULL OR r.id > $2::int)
+       ORDER BY r.id ASC
+       LIMIT $3;`,
+      [status, afterId, limit + 1]
+    );
+    return result.rows;
+  }
+
+  async getUserReportById(reportId) {
+    const result = await this.query(
+      `SELECT r.*, reporter.github_username AS reporter_username, reported.github_username AS reported_username, reported.role AS reported_role,
+              reported.suspended_at AS reported_suspended_at, reported.suspended_until AS reported_suspended_until
+       FROM user_reports r
+       LEFT JOIN users reporter ON reporter.id = r.reporter_id
+       JOIN users reported ON reported.id = r.reported_id
+       WHERE r.id = $1;`,
+      [reportId]
+    );
+    return result.rows[0];
+  }
+
+  async getUserReportsAgainst(userId) {
+    const result = await this.query('SELECT id, category, status, created_at FROM user_reports WHERE reported_id = $1 ORDER BY id DESC', [userId]);
+    return result.rows;
+  }
+
+  // --- Moderation Methods ---
+  // Every change a moderator makes is written to moderation_actions in the same transaction.
+
+  async _recordModerationAction(client, { moderatorId, targetUserId, reportId = null, action, reason = null, details = null }) {
+    await client.query(
+      'INSERT INTO moderation_actions (moderator_id, target_user_id, report_id, action, reason, details) VALUES ($1, $2, $3, $4, $5, $6)',
+      [moderatorId, targetUserId, reportId, action, reason, details]
+    );
+  }
+
+  // Closes an open report as 'dismissed' or 'actioned'. Returns undefined if it was not open.
+  async resolveUserReport(reportId, moderatorId, { status, note = null }) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE user_reports SET status = $3, resolved_by = $2, resolved_at = NOW(), resolution_note = $4
+         WHERE id = $1 AND status = 'open' RETURNING *;`,
+        [reportId, moderatorId, status, note]
+      );
+      const report = result.rows[0];
+      if (report) {
+        await this._recordModerationAction(client, {
+          moderatorId, targetUserId: report.reported_id, reportId,
+          action: status === 'dismissed' ? 'dismiss_report' : 'action_report', reason: note
+        });
+      }
+      return report;
+    });
+  }
+
+  async suspendUser(userId, moderatorId, { reason, until = null, reportId = null }) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET suspended_at = NOW(), suspended_until = $2, suspension_reason = $3 WHERE id = $1
+         RETURNING id, github_username, suspended_at, suspended_until, suspension_reason;`,
+        [userId, until, reason]
+      );
+      await this._recordModerationAction(client, { moderatorId, targetUserId: userId, reportId, action: 'suspend', reason, details: { until } });
+      return result.rows[0];
+    });
+  }
+
+  // Returns undefined if the user was not suspended.
+  async unsuspendUser(userId, moderatorId, { reason = null } = {}) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL WHERE id = $1 AND suspended_at IS NOT NULL
+         RETURNING id, github_username;`,
+        [userId]
+      );
+      if (result.rows[0]) {
+        await this._recordModerationAction(client, { moderatorId, targetUserId: userId, action: 'unsuspend', reason });
+      }
+      return result.rows[0];
+    });
+  }
+
+  // The audit trail, newest first, optionally for one user.
+  async getModerationActions({ targetUserId = null, limit, beforeId = null }) {
+    const result = await this.query(
+      `SELECT a.*, m.github_username AS moderator_username, t.github_username AS target_username
+       FROM moderation_actions a
+       LEFT JOIN users m ON m.id = a.moderator_id
+       LEFT JOIN users t ON t.id = a.target_user_id
+       WHERE ($1::int IS NULL OR a.target_user_id = $1::int) AND ($2::int IS NULL OR a.id < $2::int)
+       ORDER BY a.id DESC
+       LIMIT $3;`,
+      [targetUserId, beforeId, limit + 1]
+    );
+    return result.rows;
+  }
+
   // --- Job Data Methods ---
   async getAllJobs() {
     const result = await this.query(`SELECT id, job_title, company_name, job_url, description_html FROM jobs ORDER BY created_at DESC;`);
     return result.rows;
   }
 
-  async importJobsFromExcel(filePath) {
+  async getJobsByIds(jobIds) {
+    const result = await this.query(`SELECT id, job_title, company_name, job_url, description_html FROM jobs WHERE id = ANY($1::int[]);`, [jobIds]);
+    return result.rows;
+  }
+
+  async importJobsFromExcel(filePath, options = {}) {
     if (!fs.existsSync(filePath)) throw new Error(`Excel file not found at path: ${filePath}`);
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(filePath);
@@ -199,6 +1412,10 @@ class DatabaseService {
         if (result.rows[0] && result.rows[0].inserted) insertedCount++;
         else updatedCount++;
       }
+      if (options.dryRun) {
+        await client.query('ROLLBACK');
+        return { success: true, dryRun: true, message: `Dry run: ${jobsToProcess.length} jobs would be processed.`, totalProcessed: jobsToProcess.length, insertedCount, updatedCount };
+      }
       await client.query('COMMIT');
       return { success: true, message: `Successfully processed ${jobsToProcess.length} jobs.`, totalProcessed: jobsToProcess.length, insertedCount, updatedCount };
     } catch (error) {
@@ -210,6 +1427,25 @@ class DatabaseService {
     }
   }
 
+  // --- Maintenance Methods ---
+  // Every application table except the migration bookkeeping, which must survive a wipe.
+  async getApplicationTableCounts() {
+    const tables = await this.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations' ORDER BY tablename`);
+    const counts = {};
+    for (const { tablename } of tables.rows) {
+      const result = await this.query(`SELECT COUNT(*)::int AS count FROM "${tablename}"`);
+      counts[tablename] = result.rows[0].count;
+    }
+    return counts;
+  }
+
+  async truncateApplicationTables() {
+    const tables = await this.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`);
+    if (tables.rows.length === 0) return 0;
+    await this.query(`TRUNCATE ${tables.rows.map(t => `"${t.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+    return tables.rows.length;
+  }
+
   // --- CV Methods ---
   async saveUserCv(userId, cvText, originalFilename) {
     const sql = `INSERT INTO user_cvs (user_id, cv_text, original_filename) VALUES ($1, $2, $3) ON CONFLICT (user_id) DO UPDATE SET cv_text = EXCLUDED.cv_text, original_filename = EXCLUDED.original_filename, updated_at = NOW() RETURNING *;`;
@@ -0,0 +1,130 @@
+// services/embeddingProviders.js
+// Text embedding backends. Each provider has a stable `model` id (stored with every vector, so vectors
+// from different models are never compared), the fixed `dimensions` of its vectors (null if unknown), and
+// an `embed(texts)` that resolves to one vector per text.
+const axios = require('axios');
+const crypto = require('crypto');
+const taxonomy = require('./skillTaxonomyService');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your'
+]);
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+// Output sizes of the default remote models; any other model needs EMBEDDING_DIMENSIONS.
+const KNOWN_DIMENSIONS = {
+  'sentence-transformers/all-MiniLM-L6-v2': 384,
+  'nomic-embed-text': 768,
+  'mxbai-embed-large': 1024,
+  'all-minilm': 384
+};
+
+// Signed feature hashing: each feature adds +-1 to one bucket, so unrelated features mostly cancel out.
+function hashFeature(feature, dimensions) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return { index: digest.readUInt32LE(0) % dimensions, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+/**
+ * Runs entirely in-process: words and word pairs are hashed into a fixed-size vector, with known skills
+ * folded onto their canonical names first so "ReactJS" and "React" land in the same bucket.
+ * Weaker than a trained model, but needs no network and no extra dependencies.
+ */
+function createLocalProvider({ dimensions = 512 } = {}) {
+  const embedOne = (text) => {
+    const words = String(text).toLowerCase().match(/[a-z0-9+#.]+/g) || [];
+    const tokens = words
+      .map(word => word.replace(/\.+$/, ''))
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+      .map(word => taxonomy.canonicalKey(word));
+    const counts = new Map();
+    tokens.forEach((token, i) => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+      if (i > 0) counts.set(`${tokens[i - 1]} ${token}`, (counts.get(`${tokens[i - 1]} ${token}`) || 0) + 0.5);
+    });
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const { index, sign } = hashFeature(feature, dimensions);
+      vector[index] += sign * Math.log(1 + count);
+    }
+    return normalize(vector);
+  };
+  return {
+    name: 'local',
+    model: `local-hash-${dimensions}`,
+    dimensions,
+    embed: async (texts) => texts.map(embedOne)
+  };
+}
+
+// Hugging Face Inference API feature extraction, using the same HF_API_KEY as the summarizer.
+function createHuggingFaceProvider({ model = 'sentence-transformers/all-MiniLM-L6-v2', apiKey, dimensions = KNOWN_DIMENSIONS[model] || null } = {}) {
+  if (!apiKey) throw new Error('EMBEDDING_PROVIDER=huggingface requires HF_API_KEY.');
+  return {
+    name: 'huggingface',
+    model: `huggingface:${model}`,
+    dimensions,
+    embed: async (texts) => {
+      const response = await axios.post(
+        `https://api-inference.huggingface.co/pipeline/feature-extraction/${model}`,
+        { inputs: texts, options: { wait_for_model: true } },
+        { headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' }, timeout: 30000 }
+      );
+      return response.data.map(vector => normalize(vector));
+    }
+  };
+}
+
+// A self-hosted Ollama server, e.g. with `ollama pull nomic-embed-text`.
+function createOllamaProvider({ model = 'nomic-embed-text', url = 'http://localhost:11434', dimensions = KNOWN_DIMENSIONS[model] || null } = {}) {
+  return {
+    name: 'ollama',
+    model: `ollama:${model}`,
+    dimensions,
+    embed: async (texts) => {
+      const vectors = [];
+      for (const text of texts) {
+        const response = await axios.post(`${url}/api/embeddings`, { model, prompt: text }, { timeout: 30000 });
+        vectors.push(normalize(response.data.embedding));
+      }
+      return vectors;
+    }
+  };
+}
+
+const PROVIDERS = {
+  local: () => createLocalProvider({ dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined }),
+  huggingface: () => createHuggingFaceProvider({
+    model: process.env.EMBEDDING_MODEL || undefined,
+    apiKey: process.env.HF_API_KEY,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined
+  }),
+  ollama: () => createOllamaProvider({
+    model: process.env.EMBEDDING_MODEL || undefined,
+    url: process.env.OLLAMA_URL || undefined,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined
+  })
+};
+
+/**
+ * Builds the provider named by EMBEDDING_PROVIDER (default 'local').
+ */
+function createProviderFromEnv() {
+  const name = process.env.EMBEDDING_PROVIDER || 'local';
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return PROVIDERS[name]();
+}
+
+module.exports = {
+  createLocalProvider,
+  createHuggingFaceProvider,
+  createOllamaProvider,
+  createProviderFromEnv
+};
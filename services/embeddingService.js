@@ -0,0 +1,148 @@
+// services/embeddingService.js
+const crypto = require('crypto');
+const { createProviderFromEnv } = require('./embeddingProviders');
+
+const OWNER_TYPES = ['profile', 'cv', 'job'];
+// Longer inputs are cut; every provider's context window fits this comfortably.
+const MAX_TEXT_LENGTH = 8000;
+const BACKFILL_BATCH_SIZE = 16;
+// Owner types that are searched as targets and so get a nearest-neighbour index.
+const SEARCHED_OWNER_TYPES = ['profile', 'job'];
+
+const list = items => (Array.isArray(items) ? items.join(', ') : null);
+
+// The parts of a profile that describe the person, technical and business sections alike.
+function profileText(profile) {
+  if (!profile) return '';
+  const technical = profile.technical || {};
+  const business = profile.business || {};
+  const insights = (technical.projectInsights || []).map(insight => (typeof insight === 'string' ? insight : `${insight.name}: ${insight.highlight}`));
+  return [
+    technical.headline,
+    technical.coFounderSummary,
+    list(technical.keyStrengths),
+    list(technical.potentialRoles),
+    list(technical.identifiedTechnologies),
+    list(technical.architecturalConcepts),
+    ...insights,
+    business.headline,
+    business.summary,
+    list(business.domainExpertise),
+    list(business.industries),
+    business.lookingFor
+  ].filter(Boolean).join('\n');
+}
+
+function jobText(job) {
+  const description = typeof job.description_html === 'string' ? job.description_html.replace(/<[^>]+>/g, ' ') : '';
+  return [job.job_title, job.company_name, description].filter(Boolean).join('\n').replace(/\s+/g, ' ').trim();
+}
+
+function sourceText(ownerType, row) {
+  if (ownerType === 'profile') return profileText(row.profile_data);
+  if (ownerType === 'cv') return row.cv_text || '';
+  return jobText(row);
+}
+
+// Factory so embeddings share the injected 'db' instance; the provider defaults to EMBEDDING_PROVIDER.
+module.exports = (db, provider = createProviderFromEnv()) => {
+  const prepare = (text) => String(text || '').trim().slice(0, MAX_TEXT_LENGTH);
+  // The model is part of the hash, so switching providers re-embeds everything.
+  const hashContent = (text) => crypto.createHash('sha256').update(`${provider.model}\n${text}`).digest('hex');
+  // Set by prepareSearch() once an index exists for every searched owner type; until then searches scan exactly.
+  let annReady = false;
+
+  // Every vector of a model has the model's dimension; a mismatch means the provider is misconfigured.
+  const store = async (ownerType, ownerId, vector, contentHash) => {
+    if (provider.dimensions && vector.length !== provider.dimensions) {
+      throw new Error(`${provider.model} returned a ${vector.length}-dimensional vector, expected ${provider.dimensions}. Check EMBEDDING_DIMENSIONS.`);
+    }
+    await db.upsertEmbedding(ownerType, ownerId, { model: provider.model, vector, contentHash });
+  };
+
+  /**
+   * Stores an embedding for the text unless the stored one already matches it. Empty text removes it.
+   * @returns {Promise<boolean>} Whether an embedding exists afterwards.
+   */
+  const index = async (ownerType, ownerId, rawText) => {
+    const text = prepare(rawText);
+    if (!text) {
+      await db.deleteEmbedding(ownerType, ownerId);
+      return false;
+    }
+    const contentHash = hashContent(text);
+    const existing = await db.getEmbeddingInfo(ownerType, ownerId);
+    if (existing && existing.content_hash === contentHash) return true;
+    const [vector] = await provider.embed([text]);
+    await store(ownerType, ownerId, vector, contentHash);
+    return true;
+  };
+
+  return {
+    model: provider.model,
+
+    indexProfile: (userId, profileData) => index('profile', userId, profileText(profileData)),
+    indexCv: (userId, cvText) => index('cv', userId, cvText),
+    indexJob: (job) => index('job', job.id, jobText(job)),
+
+    // Whether the owner has an embedding under the current model.
+    hasEmbedding: async (ownerType, ownerId) => {
+      const existing = await db.getEmbeddingInfo(ownerType, ownerId);
+      return !!existing && existing.model === provider.model;
+    },
+
+    /**
+     * Cosine similarity from one stored embedding to others, nearest first.
+     * Empty when the source has no embedding under the current model.
+     * @param {{ sourceType: string, sourceId: number, targetType: string, limit?: number, excludeIds?: number[], onlyIds?: number[] }} query
+     * @returns {Promise<Map<number, number>>} Owner ID -> similarity.
+     */
+    similarities: async (query) => {
+      const rows = await db.findNearestEmbeddings({ ...query, model: provider.model, annDimensions: annReady ? provider.dimensions : null });
+      return new Map(rows.map(row => [row.owner_id, row.similarity]));
+    },
+
+    /**
+     * Builds the nearest-neighbour indexes for the current model, where pgvector is installed.
+     * Without them (no pgvector, or a model of unknown dimension) searches still work as exact scans.
+     * @returns {Promise<boolean>} Whether searches use an index.
+     */
+    prepareSearch: async () => {
+      if (!provider.dimensions) {
+        console.warn(`[Embeddings] The dimension of ${provider.model} is unknown; set EMBEDDING_DIMENSIONS to enable indexed search.`);
+        return false;
+      }
+      const ready = [];
+      for (const ownerType of SEARCHED_OWNER_TYPES) {
+        ready.push(await db.ensureEmbeddingAnnIndex(ownerType, provider.model, provider.dimensions));
+      }
+      annReady = ready.every(Boolean);
+      return annReady;
+    },
+
+    /**
+     * Embeds every owner of a type whose stored embedding is missing, stale or from another model.
+     * @param {string} ownerType
+     * @param {{ dryRun?: boolean, onProgress?: Function }} [options] - onProgress is called with (done, total).
+     * @returns {Promise<{ total: number, embedded: number, skipped: number }>}
+     */
+    backfill: async (ownerType, { dryRun = false, onProgress = () => {} } = {}) => {
+      if (!OWNER_TYPES.includes(ownerType)) throw new Error(`Unknown embedding owner type "${ownerType}".`);
+      const rows = await db.getEmbeddingSources(ownerType);
+      const pending = rows
+        .map(row => ({ ownerId: row.owner_id, text: prepare(sourceText(ownerType, row)), storedHash: row.content_hash }))
+        .filter(item => item.text && hashContent(item.text) !== item.storedHash);
+      if (!dryRun) {
+        for (let i = 0; i < pending.length; i += BACKFILL_BATCH_SIZE) {
+          const batch = pending.slice(i, i + BACKFILL_BATCH_SIZE);
+          const vectors = await provider.embed(batch.map(item => item.text));
+          for (const [j, item] of batch.entries()) {
+            await store(ownerType, item.ownerId, vectors[j], hashContent(item.text));
+          }
+          onProgress(Math.min(i + BACKFILL_BATCH_SIZE, pending.length), pending.length);
+        }
+      }
+      return { total: rows.length, embedded: pending.length, skipped: rows.length - pending.length };
+    }
+  };
+};
@@ -0,0 +1,295 @@
+// services/generationJobService.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const profileService = require('./profileService');
+const { stripInternalFields } = require('./profilePrivacyService');
+
+const CONCURRENCY = parseInt(process.env.PROFILE_JOB_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = 3;
+const HEARTBEAT_MS = 30 * 1000;
+// A running job with no heartbeat for this long is assumed orphaned by a dead process.
+const STALE_AFTER_SECONDS = 120;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// Streams re-read the job this often, so they follow jobs run by other instances too.
+const STREAM_POLL_MS = 2000;
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+// Each stage owns a slice of the 0-100 progress bar.
+const STAGE_PROGRESS = {
+  fetching_repos: [5, 20],
+  summarizing: [20, 70],
+  analyzing: [75, 90],
+  saving: [95, 95]
+};
+
+function stageProgress(stage, detail = {}) {
+  const [start, end] = STAGE_PROGRESS[stage] || [0, 0];
+  if (stage === 'summarizing' && detail.reposTotal > 0) {
+    return Math.round(start + (end - start) * (detail.reposSummarized / detail.reposTotal));
+  }
+  return start;
+}
+
+/**
+ * Shapes a profile_generation_jobs row for API responses.
+ * @param {object} job
+ * @returns {object}
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    detail: job.stage_detail || null,
+    result: job.result ? { ...job.result, profile: stripInternalFields(job.result.profile) } : null,
+    error: job.error_code ? { code: job.error_code, message: job.error_message } : null,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+function isTerminal(job) {
+  return TERMINAL_STATUSES.includes(job.status);
+}
+
+class JobError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// The job was re-queued as stale while this worker was still running it; whoever runs it now owns the outcome.
+const OWNERSHIP_LOST = 'ownership_lost';
+
+function jobStateKey(job) {
+  return `${job.status}:${job.stage}:${job.progress}:${JSON.stringify(job.stage_detail || null)}`;
+}
+
+// Factory so the job runner shares the injected 'db', token vault, quota service, match-score index and notifications.
+module.exports = (db, tokenVault, quotaService, matchIndex, notifications) => {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const queue = [];
+  let active = 0;
+  let sweepTimer = null;
+
+  const publish = (job) => {
+    if (job) events.emit(job.id, job);
+    return job;
+  };
+
+  const generate = async (job) => {
+    const accessToken = await tokenVault.getToken(job.user_id);
+    if (!accessToken) {
+      throw new JobError('github_reauth_required', 'Please sign in with GitHub again to generate a profile.');
+    }
+    // Re-checked here because quota is only charged on success and may have changed since enqueue.
+    const quota = await quotaService.getStatus(job.user_id);
+    if (!quota.canGenerate) {
+      throw new JobError('quota_exhausted', 'You have used all of your profile generations for this period.');
+    }
+
+    const onProgress = (stage, detail) => {
+      db.updateProfileGenerationJobProgress(job.id, job.attempts, stage, stageProgress(stage, detail), detail)
+        .then(publish)
+        .catch(err => console.warn(`[Generation Job] Failed to record progress for job ${job.id}:`, err.message));
+    };
+
+    let profile;
+    try {
+      profile = await profileService.generateStructuredProfile(accessToken, { onProgress });
+    } catch (err) {
+      if (err.response && err.response.status === 401) {
+        await tokenVault.markInvalid(job.user_id);
+        throw new JobError('github_reauth_required', 'GitHub no longer accepts your authorization. Please sign in with GitHub again.');
+      }
+      throw err;
+    }
+
+    // Nothing is charged or saved unless the job is still ours.
+    const saving = await db.updateProfileGenerationJobProgress(job.id, job.attempts, 'saving', stageProgress('saving'), null);
+    if (!saving) {
+      throw new JobError(OWNERSHIP_LOST, 'The job was handed to another worker.');
+    }
+    publish(saving);
+    await quotaService.recordGeneration(job.user_id, { analysisStatus: profile.technical.analysisStatus, jobId: job.id });
+    const updatedQuota = await quotaService.getStatus(job.user_id);
+
+    // Without a saved profile, the last generation in the window is saved automatically so it is not lost.
+    // Otherwise the result is kept in the version history for the user to save or discard.
+    let autoSaved = false;
+    let versionNumber;
+    const savedProfile = await db.getUserProfile(job.user_id);
+    if (!savedProfile && !updatedQuota.canGenerate) {
+      versionNumber = (await db.saveUserProfile(job.user_id, profile, 'auto_save')).version_number;
+      autoSaved = true;
+      matchIndex.scheduleRecompute(job.user_id);
+    } else {
+      // Questionnaire answers are carried into the new version so restoring it does not drop them.
+      const business = savedProfile && savedProfile.profile_data.business;
+      const version = await db.createProfileVersion(job.user_id, business ? { ...profile, business } : profile, 'ai_generated');
+      versionNumber = version.version_number;
+    }
+
+    return {
+      profile,
+      versionNumber,
+      autoSaved,
+      generationCount: updatedQuota.used,
+      canGenerate: updatedQuota.canGenerate,
+      quota: updatedQuota,
+      message: autoSaved ? 'Profile has been automatically saved!' : null
+    };
+  };
+
+  const runJob = async (jobId) => {
+    const job = await db.startProfileGenerationJob(jobId);
+    if (!job) return; // Already claimed by another worker, or no longer queued.
+    publish(job);
+
+    if (job.attempts > MAX_ATTEMPTS) {
+      publish(await db.failProfileGenerationJob(jobId, job.attempts, 'too_many_attempts', 'Profile generation was interrupted too many times.'));
+      return;
+    }
+
+    const heartbeat = setInterval(() => {
+      db.touchProfileGenerationJob(jobId).catch(err => console.warn(`[Generation Job] Heartbeat failed for job ${jobId}:`, err.message));
+    }, HEARTBEAT_MS);
+
+    try {
+      console.log(`[Generation Job] Running job ${jobId} for user ${job.user_id} (attempt ${job.attempts}).`);
+      const result = await generate(job);
+      const completed = await db.completeProfileGenerationJob(jobId, job.attempts, result);
+      if (!completed) {
+        console.warn(`[Generation Job] Job ${jobId} was re-queued while attempt ${job.attempts} was finishing; leaving it to the new attempt.`);
+        return;
+      }
+      publish(completed);
+      console.log(`[Generation Job] Job ${jobId} succeeded.`);
+      await notifications.notify(job.user_id, 'profile_generation', {
+        jobId, status: 'succeeded', versionNumber: result.versionNumber, autoSaved: result.autoSaved
+      });
+    } catch (err) {
+      if (err instanceof JobError && err.code === OWNERSHIP_LOST) {
+        console.warn(`[Generation Job] Job ${jobId} was re-queued while attempt ${job.attempts} was running; abandoning it.`);
+        return;
+      }
+      const code = err instanceof JobError ? err.code : 'generation_failed';
+      const message = err instanceof JobError ? err.message : 'Failed to generate profile';
+      console.error(`[Generation Job] Job ${jobId} failed (${code}):`, err.message);
+      const failed = await db.failProfileGenerationJob(jobId, job.attempts, code, message);
+      if (!failed) {
+        console.warn(`[Generation Job] Job ${jobId} was re-queued before attempt ${job.attempts} could record its failure.`);
+        return;
+      }
+      publish(failed);
+      await notifications.notify(job.user_id, 'profile_generation', { jobId, status: 'failed', error: { code, message } });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  };
+
+  const pump = () => {
+    while (active < CONCURRENCY && queue.length > 0) {
+      const jobId = queue.shift();
+      active++;
+      runJob(jobId)
+        .catch(err => console.error(`[Generation Job] Unexpected error in job ${jobId}:`, err))
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  };
+
+  const schedule = (jobId) => {
+    if (!queue.includes(jobId)) queue.push(jobId);
+    pump();
+  };
+
+  const sweep = async () => {
+    const requeued = await db.requeueStaleProfileGenerationJobs(STALE_AFTER_SECONDS);
+    if (requeued.length > 0) {
+      console.log(`[Generation Job] Re-queued ${requeued.length} interrupted job(s).`);
+    }
+    (await db.getQueuedProfileGenerationJobIds()).forEach(schedule);
+  };
+
+  return {
+    /**
+     * Creates a queued job for the user and starts it when a worker slot is free.
+     * @returns {Promise<{ job?: object, conflict?: object }>} `conflict` holds the user's already-active job.
+     */
+    enqueue: async (userId) => {
+      try {
+        const job = await db.createProfileGenerationJob(crypto.randomUUID(), userId);
+        schedule(job.id);
+        return { job };
+      } catch (err) {
+        if (err.code === '23505') {
+          return { conflict: await db.getActiveProfileGenerationJobForUser(userId) };
+        }
+        throw err;
+      }
+    },
+
+    /**
+     * Returns the job if it belongs to the user.
+     */
+    getJob: async (jobId, userId) => {
+      const job = await db.getProfileGenerationJob(jobId);
+      return job && job.user_id === userId ? job : undefined;
+    },
+
+    listJobs: (userId) => db.getRecentProfileGenerationJobsForUser(userId),
+
+    /**
+     * Registers a listener for updates to one job. Updates published by this process arrive at once; the job row
+     * is also polled, since the job may be running on another instance. Each distinct state is delivered once.
+     * @param {string} jobId
+     * @param {Function} listener
+     * @param {object} [current] - The job as the caller last saw it, so that state is not delivered again.
+     * @returns {Function} Call to unsubscribe.
+     */
+    subscribe: (jobId, listener, current) => {
+      let lastKey = current ? jobStateKey(current) : null;
+      let subscribed = true;
+      const deliver = (job) => {
+        const key = jobStateKey(job);
+        if (!subscribed || key === lastKey) return;
+        lastKey = key;
+        listener(job);
+      };
+      events.on(jobId, deliver);
+      const poll = setInterval(() => {
+        db.getProfileGenerationJob(jobId)
+          .then(job => job && deliver(job))
+          .catch(err => console.warn(`[Generation Job] Failed to poll job ${jobId}:`, err.message));
+      }, STREAM_POLL_MS);
+      return () => {
+        subscribed = false;
+        events.off(jobId, deliver);
+        clearInterval(poll);
+      };
+    },
+
+    /**
+     * Picks up jobs interrupted by a restart and keeps sweeping for orphans from other instances.
+     */
+    start: async () => {
+      await sweep();
+      if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+          sweep().catch(err => console.error('[Generation Job] Sweep failed:', err.message));
+        }, SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+      }
+    },
+
+    serializeJob,
+    isTerminal
+  };
+};
@@ -66,3 +66,20 @@ exports.getRepoLanguages = async (accessToken, owner, repo) => {
     return {}; // Return empty object on error
   }
 };
+
+// Revokes the OAuth grant so the token (and any other token for this app/user pair) stops working.
+exports.revokeGrant = async (accessToken) => {
+  try {
+    await axios.delete(`https://api.github.com/applications/${process.env.GITHUB_CLIENT_ID}/grant`, {
+      auth: {
+        username: process.env.GITHUB_CLIENT_ID,
+        password: process.env.GITHUB_CLIENT_SECRET
+      },
+      headers: { accept: 'application/vnd.github+json' },
+      data: { access_token: accessToken }
+    });
+  } catch (error) {
+    console.error('Error revoking GitHub grant:', error.message);
+    throw error;
+  }
+};
@@ -2,11 +2,27 @@
 const Groq = require("groq-sdk").default || require("groq-sdk");
 const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 
+// Explanations are requested while the user waits; past this the caller falls back to its template.
+const EXPLANATION_TIMEOUT_MS = parseInt(process.env.MATCH_EXPLANATION_TIMEOUT_MS, 10) || 8000;
+
+// Fields parseProfile requires in the model's answer.
+const PROFILE_FIELDS = [
+  "professionalOverview",
+  "headline",
+  "coFounderSummary",
+  "keyStrengths",
+  "potentialRoles",
+  "projectInsights",
+  "identifiedTechnologies",
+  "architecturalConcepts",
+  "estimatedExperience"
+];
+
 /**
  * Extracts the first balanced JSON object from raw text.
- * Throws if no valid JSON block is found.
+ * Throws if no valid JSON block is found or a required field is missing.
  */
-function extractAndValidateJson(raw) {
+function extractAndValidateJson(raw, required = PROFILE_FIELDS) {
   const start = raw.indexOf("{");
   if (start === -1) {
     throw new Error("No '{' found in model output");
@@ -41,17 +57,6 @@ function extractAndValidateJson(raw) {
   }
 
   // Validate schema fields
-  const required = [
-    "professionalOverview",
-    "headline",
-    "coFounderSummary",
-    "keyStrengths",
-    "potentialRoles",
-    "projectInsights",
-    "identifiedTechnologies",
-    "architecturalConcepts",
-    "estimatedExperience"
-  ];
   for (const field of required) {
     if (!(field in parsed)) {
       throw new Error(`Missing required field in JSON: ${field}`);
@@ -129,4 +134,51 @@ Return ONLY the JSON object; do not return thinking or any other additional text
   }
 }
 
-module.exports = { parseProfile };
+/**
+ * Writes a short narrative on why two people would work well as co-founders.
+ * Only the facts passed in are given to the model, so it cannot cite fields the candidate has hidden.
+ * Gives up after EXPLANATION_TIMEOUT_MS, without retrying.
+ * @param {object} facts - From matchExplanationService.buildMatchFacts.
+ * @returns {Promise<string>}
+ */
+async function explainMatch(facts) {
+  const systemPrompt = `
+You write short, specific explanations for a co-founder matching platform.
+Given facts about the reader ("you") and a suggested co-founder ("they"), explain in 3 to 5 sentences
+why the two would work well together. Cite shared technologies, complementary roles and project insights
+by name where the facts include them. Use only the facts provided; do not invent experience, companies or numbers.
+Address the reader as "you" and the candidate as "they".
+
+Output ONLY a JSON object: { "narrative": "string" }
+`;
+
+  const userPrompt = `
+Facts about the match:
+${JSON.stringify(facts, null, 2)}
+
+Return ONLY the JSON object; do not return thinking or any other additional texts.
+`;
+
+  try {
+    const completion = await groq.chat.completions.create({
+      model: "qwen/qwen3-32b",
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user",   content: userPrompt   }
+      ],
+      temperature: 0.3
+    }, { timeout: EXPLANATION_TIMEOUT_MS, maxRetries: 0 });
+
+    const raw = completion.choices[0]?.message?.content || "";
+    const { narrative } = extractAndValidateJson(raw, ["narrative"]);
+    if (typeof narrative !== "string" || narrative.trim() === "") {
+      throw new Error("Model returned an empty narrative");
+    }
+    return narrative.trim();
+  } catch (error) {
+    console.error("Error in explainMatch:", error.message);
+    throw error;
+  }
+}
+
+module.exports = { parseProfile, explainMatch };
@@ -0,0 +1,157 @@
+// services/matchExplanationService.js
+const crypto = require('crypto');
+const scoring = require('./matchScoringService');
+const taxonomy = require('./skillTaxonomyService');
+const { explainMatch } = require('./groqService');
+
+const MAX_LISTED = 6;
+const EXPLANATION_MODEL = 'groq:qwen/qwen3-32b';
+// LLM calls one user may cause per hour; cached explanations are always served.
+const MAX_CALLS_PER_HOUR = parseInt(process.env.MATCH_EXPLANATION_MAX_CALLS_PER_HOUR, 10) || 30;
+// How long a template fallback is served before the LLM is tried again for the same pair.
+const FAILURE_RETRY_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const lowerSet = items => new Set((items || []).map(item => String(item).toLowerCase()));
+
+function rolesOf(profile) {
+  const technical = profile.technical || {};
+  const business = profile.business || {};
+  return [...(technical.potentialRoles || []), ...(business.primaryFocus ? [business.primaryFocus] : [])];
+}
+
+function insightsOf(profile, limit) {
+  return ((profile.technical && profile.technical.projectInsights) || [])
+    .filter(insight => insight && typeof insight === 'object' && insight.name)
+    .slice(0, limit)
+    .map(insight => ({ name: insight.name, highlight: insight.highlight || '' }));
+}
+
+/**
+ * Collects what the explanation may cite. Pass the candidate's profile as the viewer sees it.
+ * @param {object} viewerProfile - The reader's own profile_data.
+ * @param {object} candidateProfile - The candidate's profile, already filtered for the reader.
+ * @returns {object}
+ */
+function buildMatchFacts(viewerProfile, candidateProfile) {
+  const viewerTechnical = viewerProfile.technical || {};
+  const candidateTechnical = candidateProfile.technical || {};
+  const viewerBusiness = viewerProfile.business || {};
+  const candidateBusiness = candidateProfile.business || {};
+
+  const candidateTechKeys = new Set((candidateTechnical.identifiedTechnologies || []).map(taxonomy.canonicalKey));
+  const sharedTechnologies = taxonomy.normalizeSkillList(viewerTechnical.identifiedTechnologies || [])
+    .filter(tech => candidateTechKeys.has(taxonomy.canonicalKey(tech)));
+
+  const viewerRoles = rolesOf(viewerProfile);
+  const viewerRoleSet = lowerSet(viewerRoles);
+  const complementaryRoles = rolesOf(candidateProfile).filter(role => !viewerRoleSet.has(String(role).toLowerCase()));
+
+  const viewerDomains = lowerSet([...(viewerBusiness.domainExpertise || []), ...(viewerBusiness.industries || [])]);
+  const sharedDomains = [...(candidateBusiness.domainExpertise || []), ...(candidateBusiness.industries || [])]
+    .filter(domain => viewerDomains.has(String(domain).toLowerCase()));
+
+  const complementary = scoring.scoreProfiles(viewerProfile, candidateProfile, 'complementary');
+
+  return {
+    yourHeadline: viewerTechnical.headline || viewerBusiness.headline || null,
+    theirHeadline: candidateTechnical.headline || candidateBusiness.headline || null,
+    sharedTechnologies: sharedTechnologies.slice(0, MAX_LISTED),
+    yourRoles: viewerRoles.slice(0, MAX_LISTED),
+    complementaryRoles: complementaryRoles.slice(0, MAX_LISTED),
+    gapsFilled: complementary ? scoring.describeGapsFilled(complementary.complementarity) : [],
+    sharedDomains: [...new Set(sharedDomains)].slice(0, MAX_LISTED),
+    theirProjectInsights: insightsOf(candidateProfile, 3),
+    yourProjectInsights: insightsOf(viewerProfile, 2),
+    theirCommitment: candidateBusiness.commitment || null,
+    theirExperience: candidateTechnical.estimatedExperience || null
+  };
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Builds the narrative without the LLM, from the same facts.
+ * @returns {string}
+ */
+function templateNarrative(facts) {
+  const sentences = [];
+  if (facts.sharedTechnologies.length > 0) {
+    sentences.push(`You both work with ${joinList(facts.sharedTechnologies.slice(0, 4))}, so you would share a technical language from day one.`);
+  }
+  if (facts.complementaryRoles.length > 0) {
+    sentences.push(`They bring experience as ${joinList(facts.complementaryRoles.slice(0, 2))}, which your profile does not cover.`);
+  }
+  if (facts.gapsFilled.length > 0) {
+    sentences.push(`${facts.gapsFilled[0]}.`);
+  }
+  if (facts.sharedDomains.length > 0) {
+    sentences.push(`You also share an interest in ${joinList(facts.sharedDomains.slice(0, 3))}.`);
+  }
+  if (facts.theirProjectInsights.length > 0) {
+    const insight = facts.theirProjectInsights[0];
+    sentences.push(insight.highlight ? `Their project ${insight.name} stands out: ${insight.highlight}` : `Take a look at their project ${insight.name}.`);
+  }
+  if (sentences.length === 0) {
+    sentences.push('Your profiles overlap in a few areas; the score breakdown shows where.');
+  }
+  return sentences.map(sentence => (/[.!?]$/.test(sentence) ? sentence : `${sentence}.`)).join(' ');
+}
+
+// Factory so explanations share the injected 'db' instance. `explain` is the LLM call, replaceable for other backends.
+module.exports = (db, { explain = explainMatch } = {}) => ({
+  /**
+   * Returns the explanation for a pair, from the cache when neither profile version nor the visible facts changed.
+   * Template fallbacks after a failed LLM call are cached too, for FAILURE_RETRY_MS. When the explanation is not
+   * cached and the reader has reached their hourly limit of LLM calls, returns `limited` instead.
+   * @param {{ userId: number, versionId: number|null, profile: object }} viewer
+   * @param {{ userId: number, versionId: number|null, profile: object }} candidate - profile filtered for the viewer.
+   * @returns {Promise<{ narrative: string, source: 'ai'|'template', cached: boolean, facts: object, generatedAt: Date }|{ limited: { error: string, limit: number, retryAt: Date } }>}
+   */
+  getExplanation: async (viewer, candidate) => {
+    const facts = buildMatchFacts(viewer.profile, candidate.profile);
+    // Hidden fields can change without a new version, so the facts are part of the cache key too.
+    const factsHash = crypto.createHash('sha256').update(JSON.stringify(facts)).digest('hex');
+
+    const cached = await db.getMatchExplanation(viewer.userId, candidate.userId);
+    if (cached && cached.user_version_id === viewer.versionId && cached.candidate_version_id === candidate.versionId && cached.facts_hash === factsHash) {
+      const source = cached.source || 'ai';
+      if (source === 'ai' || Date.now() - new Date(cached.created_at).getTime() < FAILURE_RETRY_MS) {
+        return { narrative: cached.narrative, source, cached: true, facts, generatedAt: cached.created_at };
+      }
+    }
+
+    const call = await db.recordMatchExplanationCall(viewer.userId, candidate.userId, { limit: MAX_CALLS_PER_HOUR, hours: 1 });
+    if (call.limited) {
+      return {
+        limited: {
+          error: `You can request at most ${MAX_CALLS_PER_HOUR} new match explanations per hour.`,
+          limit: MAX_CALLS_PER_HOUR,
+          retryAt: new Date(new Date(call.oldest).getTime() + HOUR_MS)
+        }
+      };
+    }
+
+    let narrative;
+    let source = 'ai';
+    try {
+      narrative = await explain(facts);
+    } catch (err) {
+      console.warn(`[Match Explanation] LLM unavailable for users ${viewer.userId} -> ${candidate.userId}, using the template:`, err.message);
+      narrative = templateNarrative(facts);
+      source = 'template';
+    }
+    await db.saveMatchExplanation(viewer.userId, candidate.userId, {
+      userVersionId: viewer.versionId,
+      candidateVersionId: candidate.versionId,
+      factsHash,
+      narrative,
+      model: EXPLANATION_MODEL,
+      source
+    });
+    return { narrative, source, cached: false, facts, generatedAt: new Date() };
+  }
+});
@@ -0,0 +1,147 @@
+// services/matchIndexService.js
+const scoring = require('./matchScoringService');
+
+// How many nearest profiles by embedding a recompute scores against, besides profiles not yet embedded.
+const NEAREST_CANDIDATES = parseInt(process.env.MATCH_NEAREST_CANDIDATES, 10) || 500;
+
+function toRows(userId, candidateId, results) {
+  return results.map(({ mode, result }) => ({
+    userId,
+    candidateId,
+    mode,
+    score: result.finalScore,
+    breakdown: result.breakdown,
+    details: { sections: result.sections, complementarity: result.complementarity || null, scoredAs: result.scoredAs || null },
+    algorithmVersion: scoring.ALGORITHM_VERSION
+  }));
+}
+
+// Scores `candidate` from the point of view of `viewer` in every mode they can be compared in.
+function scorePair(viewerId, viewerProfile, candidateId, candidateProfile, semanticSimilarity) {
+  const results = scoring.MATCH_MODES
+    .map(mode => ({ mode, result: scoring.scoreProfiles(viewerProfile, candidateProfile, mode, semanticSimilarity) }))
+    .filter(r => r.result);
+  return toRows(viewerId, candidateId, results);
+}
+
+// Factory so the index shares the injected 'db' instance and embedding service.
+module.exports = (db, embeddings) => {
+  const pending = new Set();
+  let draining = false;
+
+  // Embedding similarity to the user's nearest profiles, or null if the user has no embedding (after
+  // (re)indexing `profileData` when given). A provider outage must not stop structured scores from being written.
+  const nearestProfiles = async (userId, profileData) => {
+    try {
+      const embedded = profileData
+        ? await embeddings.indexProfile(userId, profileData)
+        : await embeddings.hasEmbedding('profile', userId);
+      if (!embedded) return null;
+      return await embeddings.similarities({ sourceType: 'profile', sourceId: userId, targetType: 'profile', limit: NEAREST_CANDIDATES });
+    } catch (err) {
+      console.error(`[Match Index] Embedding lookup failed for user ${userId}:`, err.message);
+      return null;
+    }
+  };
+
+  // Nearest-neighbour retrieval picks the candidates; without an embedding every profile is a candidate.
+  const candidatesFor = (userId, nearest) => (nearest
+    ? db.getMatchCandidateProfiles(userId, { model: embeddings.model, nearestIds: [...nearest.keys()] })
+    : db.getMatchableProfiles(userId));
+
+  /**
+   * Rescores every pair involving the user, in both directions, or removes them if the user has no profile.
+   * @returns {Promise<number>} The number of scores written.
+   */
+  const recomputeForUser = async (userId) => {
+    // Read before the profile, so changes saved from here on leave the scores marked stale.
+    const state = await db.getMatchIndexState(userId);
+    const own = await db.getUserProfile(userId);
+    if (!own || !own.profile_data) {
+      await db.deleteMatchScoresForUser(userId);
+      await db.deleteEmbedding('profile', userId);
+      return 0;
+    }
+    const nearest = await nearestProfiles(userId, own.profile_data);
+    const candidates = await candidatesFor(userId, nearest);
+    const rows = [];
+    for (const candidate of candidates) {
+      // Cosine similarity is symmetric, so one lookup serves both directions.
+      const similarity = nearest ? nearest.get(candidate.user_id) : undefined;
+      rows.push(...scorePair(userId, own.profile_data, candidate.user_id, candidate.profile_data, similarity));
+      rows.push(...scorePair(candidate.user_id, candidate.profile_data, userId, own.profile_data, similarity));
+    }
+    await db.replaceMatchScoresForUser(userId, rows, scoring.ALGORITHM_VERSION, state ? state.stale_changes : 0);
+    return rows.length;
+  };
+
+  const drain = async () => {
+    draining = true;
+    while (pending.size > 0) {
+      const [userId] = pending;
+      pending.delete(userId);
+      try {
+        const written = await recomputeForUser(userId);
+        console.log(`[Match Index] Recomputed ${written} score(s) for user ${userId}.`);
+      } catch (err) {
+        console.error(`[Match Index] Recompute failed for user ${userId}:`, err.message);
+        // Without state the next suggestions request recomputes synchronously instead of reading stale scores.
+        await db.invalidateMatchIndexState(userId).catch(() => {});
+      }
+    }
+    draining = false;
+  };
+
+  return {
+    recomputeForUser,
+
+    /**
+     * Queues a recompute after a profile change. The scores are marked stale in the database first, so if
+     * this process dies before the queue drains, or the user's next request reaches another instance, the
+     * scores are recomputed before they are read. Repeated calls for the same user coalesce, and recomputes
+     * run one at a time so a burst of saves cannot flood the pool.
+     */
+    scheduleRecompute: (userId) => {
+      db.markMatchIndexStale(userId)
+        .catch(err => console.error(`[Match Index] Failed to mark scores stale for user ${userId}:`, err.message))
+        .then(() => {
+          pending.add(userId);
+          if (!draining) drain();
+        });
+    },
+
+    /**
+     * Makes sure the user's outgoing scores exist for the current algorithm and reflect their latest profile
+     * before they are read.
+     */
+    ensureIndexed: async (userId) => {
+      const state = await db.getMatchIndexState(userId);
+      if (!state || state.algorithm_version !== scoring.ALGORITHM_VERSION || state.stale_changes > 0) {
+        await recomputeForUser(userId);
+      }
+    },
+
+    /**
+     * Rescores every pair from scratch. Run after changing the scoring algorithm or the embedding provider;
+     * profile embeddings should be backfilled first so every pair can use them.
+     * @param {{ onProgress?: Function }} [options] - Called with (done, total) after each user.
+     * @returns {Promise<{ users: number, scores: number, removed: number }>}
+     */
+    rebuild: async ({ onProgress = () => {} } = {}) => {
+      const profiles = await db.getMatchableProfiles();
+      let scores = 0;
+      for (const [index, viewer] of profiles.entries()) {
+        const nearest = await nearestProfiles(viewer.user_id, null);
+        const rows = [];
+        for (const candidate of await candidatesFor(viewer.user_id, nearest)) {
+          rows.push(...scorePair(viewer.user_id, viewer.profile_data, candidate.user_id, candidate.profile_data, nearest ? nearest.get(candidate.user_id) : undefined));
+        }
+        await db.replaceOutgoingMatchScores(viewer.user_id, rows, scoring.ALGORITHM_VERSION);
+        scores += rows.length;
+        onProgress(index + 1, profiles.length);
+      }
+      const removed = await db.deleteStaleMatchScores(scoring.ALGORITHM_VERSION);
+      return { users: profiles.length, scores, removed };
+    }
+  };
+};
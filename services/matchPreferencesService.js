@@ -0,0 +1,112 @@
+// services/matchPreferencesService.js
+const scoring = require('./matchScoringService');
+
+const WEIGHT_DIMENSIONS = [...new Set(Object.values(scoring.DEFAULT_WEIGHTS).flatMap(weights => Object.keys(weights)))];
+const MAX_WEIGHT = 10;
+const MAX_LIST_ITEMS = 20;
+const MAX_EXCLUDED_USERS = 500;
+
+const DEFAULT_PREFERENCES = {
+  weights: {},
+  minScore: scoring.MIN_SCORE_THRESHOLD,
+  requiredTechnologies: [],
+  requiredRoles: [],
+  experienceRange: { min: null, max: null },
+  excludedUserIds: []
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkStringList(value, label) {
+  if (!Array.isArray(value)) return `${label} must be an array of strings`;
+  if (value.length > MAX_LIST_ITEMS) return `${label} must have at most ${MAX_LIST_ITEMS} items`;
+  if (value.some(item => typeof item !== 'string' || item.trim() === '' || item.length > 60)) {
+    return `${label} must contain non-empty strings of at most 60 characters`;
+  }
+  return null;
+}
+
+/**
+ * Validates a full preferences document as sent to PUT.
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validatePreferences(input) {
+  const errors = {};
+  if (!isPlainObject(input)) return { body: 'must be an object' };
+
+  if (input.weights !== undefined) {
+    if (!isPlainObject(input.weights)) {
+      errors.weights = 'must be an object of dimension -> weight';
+    } else {
+      for (const [dimension, weight] of Object.entries(input.weights)) {
+        if (!WEIGHT_DIMENSIONS.includes(dimension)) {
+          errors[`weights.${dimension}`] = 'is not a scoring dimension';
+        } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+          errors[`weights.${dimension}`] = `must be a number between 0 and ${MAX_WEIGHT}`;
+        }
+      }
+    }
+  }
+  if (input.minScore !== undefined && (typeof input.minScore !== 'number' || input.minScore < 0 || input.minScore > 1)) {
+    errors.minScore = 'must be a number between 0 and 1';
+  }
+  for (const field of ['requiredTechnologies', 'requiredRoles']) {
+    if (input[field] === undefined) continue;
+    const message = checkStringList(input[field], field);
+    if (message) errors[field] = message;
+  }
+  if (input.experienceRange !== undefined) {
+    const range = input.experienceRange;
+    const levels = scoring.EXPERIENCE_LEVELS;
+    if (!isPlainObject(range)) {
+      errors.experienceRange = 'must be an object with min and/or max';
+    } else {
+      for (const bound of ['min', 'max']) {
+        if (range[bound] !== undefined && range[bound] !== null && !levels.includes(range[bound])) {
+          errors[`experienceRange.${bound}`] = `must be one of ${levels.join(', ')}`;
+        }
+      }
+      if (levels.includes(range.min) && levels.includes(range.max) && levels.indexOf(range.min) > levels.indexOf(range.max)) {
+        errors.experienceRange = 'min must not be above max';
+      }
+    }
+  }
+  if (input.excludedUserIds !== undefined) {
+    if (!Array.isArray(input.excludedUserIds) || input.excludedUserIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      errors.excludedUserIds = 'must be an array of user IDs';
+    } else if (input.excludedUserIds.length > MAX_EXCLUDED_USERS) {
+      errors.excludedUserIds = `must have at most ${MAX_EXCLUDED_USERS} items`;
+    }
+  }
+  return errors;
+}
+
+/**
+ * Turns a matching_preferences row (or nothing) into the preferences object used for ranking.
+ */
+function fromRow(row) {
+  if (!row) return { ...DEFAULT_PREFERENCES, isDefault: true };
+  return {
+    weights: row.weights || {},
+    minScore: row.min_score === null || row.min_score === undefined ? DEFAULT_PREFERENCES.minScore : row.min_score,
+    requiredTechnologies: row.required_technologies || [],
+    requiredRoles: row.required_roles || [],
+    experienceRange: { min: row.experience_min || null, max: row.experience_max || null },
+    excludedUserIds: row.excluded_user_ids || [],
+    isDefault: false
+  };
+}
+
+function hasCustomWeights(preferences) {
+  return Object.keys(preferences.weights).length > 0;
+}
+
+module.exports = {
+  WEIGHT_DIMENSIONS,
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  fromRow,
+  hasCustomWeights
+};
@@ -0,0 +1,541 @@
+// services/matchScoringService.js
+// Pure scoring functions shared by the suggestions endpoint and the match-score index.
+const taxonomy = require('./skillTaxonomyService');
+
+// Bump whenever scoring changes so stored scores are recognised as stale and rebuilt.
+const ALGORITHM_VERSION = 5;
+const MIN_SCORE_THRESHOLD = 0.15; // 15% minimum match score
+
+// Default weight of each breakdown dimension, grouped by the scorer that produces it.
+// Users can override individual dimensions through their matching preferences.
+const DEFAULT_WEIGHTS = {
+    technical: {
+        technicalSkills: 0.25,
+        technologyStack: 0.20,
+        programmingLanguages: 0.15,
+        roleCompatibility: 0.15,
+        architecturalConcepts: 0.10,
+        experienceLevel: 0.10,
+        repositoryActivity: 0.03,
+        projectInsights: 0.02
+    },
+    business: {
+        domainExpertise: 0.35,
+        industries: 0.25,
+        commitment: 0.20,
+        goToMarketChannels: 0.10,
+        fundingBackground: 0.10
+    },
+    complementary: {
+        skillGapsFilled: 0.35,
+        profileTypeComplement: 0.20,
+        roleComplement: 0.15,
+        technologyNovelty: 0.10,
+        sharedGround: 0.10,
+        experienceLevel: 0.10
+    }
+};
+
+// Share of a similar-mode score taken from the cosine similarity of the two profile embeddings, when both exist.
+const SEMANTIC_WEIGHT = 0.25;
+
+// The candidate's profile fields each breakdown dimension is computed from. A dimension reveals something about
+// these fields (a commitment score of 1 means both commitments are equal), so it is not shown to someone the
+// candidate hid any of them from. Dimensions missing here read nothing hideable.
+const SKILL_AREA_SOURCES = ['technical.keyStrengths', 'technical.potentialRoles', 'technical.identifiedTechnologies',
+    'technical.architecturalConcepts', 'business.domainExpertise', 'business.goToMarketChannels'];
+const BREAKDOWN_SOURCES = {
+    technicalSkills: ['technical.keyStrengths'],
+    technologyStack: ['technical.identifiedTechnologies'],
+    programmingLanguages: ['technical.languageStats'],
+    roleCompatibility: ['technical.potentialRoles'],
+    architecturalConcepts: ['technical.architecturalConcepts'],
+    experienceLevel: ['technical.estimatedExperience'],
+    repositoryActivity: ['technical.repoCount'],
+    projectInsights: ['technical.projectInsights'],
+    domainExpertise: ['business.domainExpertise'],
+    industries: ['business.industries'],
+    commitment: ['business.commitment'],
+    goToMarketChannels: ['business.goToMarketChannels'],
+    fundingBackground: ['business.fundingBackground'],
+    skillGapsFilled: SKILL_AREA_SOURCES,
+    sharedGround: SKILL_AREA_SOURCES,
+    roleComplement: ['technical.potentialRoles', 'business.primaryFocus'],
+    technologyNovelty: ['technical.identifiedTechnologies'],
+    // The hideable fields embeddingService.profileText embeds.
+    semanticSimilarity: ['technical.coFounderSummary', 'technical.keyStrengths', 'technical.potentialRoles',
+        'technical.identifiedTechnologies', 'technical.architecturalConcepts', 'technical.projectInsights',
+        'business.summary', 'business.domainExpertise', 'business.industries', 'business.lookingFor']
+};
+
+// Experience levels in ascending order, as used by preference ranges.
+const EXPERIENCE_LEVELS = ['junior', 'mid', 'senior', 'lead', 'expert'];
+
+// Weighted average of a breakdown; dimensions missing from `weights` are ignored.
+function calculateWeightedScore(scores, weights) {
+    let total = 0;
+    let totalWeight = 0;
+    for (const [dimension, weight] of Object.entries(weights)) {
+        if (scores[dimension] === undefined) continue;
+        total += scores[dimension] * weight;
+        totalWeight += weight;
+    }
+    return totalWeight === 0 ? 0 : Math.max(0, Math.min(1, total / totalWeight));
+}
+
+// Helper function to calculate Jaccard for array similarity
+function calculateJaccardIndex(arr1, arr2) {
+    if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) return 0;
+    const set1 = new Set(arr1.map(item => String(item).toLowerCase().trim()));
+    const set2 = new Set(arr2.map(item => String(item).toLowerCase().trim()));
+    const intersection = new Set([...set1].filter(x => set2.has(x)));
+    const union = new Set([...set1, ...set2]);
+    return union.size === 0 ? 0 : intersection.size / union.size;
+}
+
+// Jaccard over skills resolved through the taxonomy. Each skill counts with its best match on the
+// other side, so related skills (Next.js and React) earn partial credit instead of none.
+function calculateSkillSimilarity(arr1, arr2) {
+    if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) return 0;
+    const skills1 = taxonomy.normalizeSkillList(arr1);
+    const skills2 = taxonomy.normalizeSkillList(arr2);
+    if (skills1.length === 0 || skills2.length === 0) return 0;
+    const bestMatch = (skill, others) => Math.max(...others.map(other => taxonomy.relatedness(skill, other)));
+    const matched1 = skills1.reduce((sum, skill) => sum + bestMatch(skill, skills2), 0);
+    const matched2 = skills2.reduce((sum, skill) => sum + bestMatch(skill, skills1), 0);
+    const matched = (matched1 + matched2) / 2;
+    return matched / (skills1.length + skills2.length - matched);
+}
+
+// Helper function to calculate language statistics similarity
+function calculateLanguageStatsSimilarity(stats1, stats2) {
+    if (!stats1 || !stats2) return 0;
+    
+    const allLanguages = new Set([...Object.keys(stats1), ...Object.keys(stats2)]);
+    let totalDifference = 0;
+    let maxPossibleDifference = 0;
+    
+    for (const lang of allLanguages) {
+        const percent1 = parseFloat(stats1[lang] || 0);
+        const percent2 = parseFloat(stats2[lang] || 0);
+        const difference = Math.abs(percent1 - percent2);
+        totalDifference += difference;
+        maxPossibleDifference += Math.max(percent1, percent2);
+    }
+    
+    if (maxPossibleDifference === 0) return 0;
+    return 1 - (totalDifference / (maxPossibleDifference * 2));
+}
+
+// Keywords that map a free-text experience estimate to a level, checked in order; the first one found wins.
+const EXPERIENCE_KEYWORDS = [
+    ['junior', 1],
+    ['entry', 1],
+    ['mid', 2],
+    ['intermediate', 2],
+    ['senior', 3],
+    ['lead', 4],
+    ['principal', 4],
+    ['staff', 4],
+    ['expert', 5],
+    ['n/a', 0]
+];
+
+// Helper function to map a free-text experience estimate to a level from 1 (junior) to 5 (expert); 0 if unknown
+function getExperienceLevel(exp) {
+    if (!exp || typeof exp !== 'string') return 0;
+    const expLower = exp.toLowerCase();
+    for (const [keyword, level] of EXPERIENCE_KEYWORDS) {
+        if (expLower.includes(keyword)) return level;
+    }
+    return 0;
+}
+
+// Helper function to calculate experience level compatibility
+function calculateExperienceLevelSimilarity(exp1, exp2) {
+    const level1 = getExperienceLevel(exp1);
+    const level2 = getExperienceLevel(exp2);
+    
+    if (level1 === 0 || level2 === 0) return 0.5; // Neutral if unknown
+    
+    const difference = Math.abs(level1 - level2);
+    const maxDifference = 4; // Max difference between junior and expert
+    
+    return 1 - (difference / maxDifference);
+}
+
+// Helper function to calculate repository activity similarity
+function calculateRepoActivitySimilarity(repoCount1, repoCount2) {
+    if (!repoCount1 || !repoCount2) return 0;
+    
+    const minCount = Math.min(repoCount1, repoCount2);
+    const maxCount = Math.max(repoCount1, repoCount2);
+    
+    if (maxCount === 0) return 1; // Both have no repos
+    
+    return minCount / maxCount;
+}
+
+// Helper function to calculate text similarity using basic keyword matching
+function calculateTextSimilarity(text1, text2) {
+    if (!text1 || !text2) return 0;
+    
+    const getKeywords = (text) => {
+        const commonWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'this', 'that', 'these', 'those']);
+        return text.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !commonWords.has(word))
+            .slice(0, 50); // Limit to avoid performance issues
+    };
+    
+    const keywords1 = getKeywords(text1);
+    const keywords2 = getKeywords(text2);
+    
+    return calculateJaccardIndex(keywords1, keywords2);
+}
+
+// Main matching algorithm with comprehensive scoring
+function calculateDetailedMatchScore(currentProfile, matchProfile) {
+    const scores = {};
+    
+    // 1. Technical Skills Similarity (Weight: 25%)
+    const skillsScore = calculateSkillSimilarity(
+        currentProfile.keyStrengths || [],
+        matchProfile.keyStrengths || []
+    );
+    scores.technicalSkills = skillsScore;
+    
+    // 2. Technology Stack Similarity (Weight: 20%)
+    const techScore = calculateSkillSimilarity(
+        currentProfile.identifiedTechnologies || [],
+        matchProfile.identifiedTechnologies || []
+    );
+    scores.technologyStack = techScore;
+    
+    // 3. Programming Language Similarity (Weight: 15%)
+    const langScore = calculateLanguageStatsSimilarity(
+        currentProfile.languageStats || {},
+        matchProfile.languageStats || {}
+    );
+    scores.programmingLanguages = langScore;
+    
+    // 4. Role Compatibility (Weight: 15%)
+    const roleScore = calculateJaccardIndex(
+        currentProfile.potentialRoles || [],
+        matchProfile.potentialRoles || []
+    );
+    scores.roleCompatibility = roleScore;
+    
+    // 5. Architectural Concepts Similarity (Weight: 10%)
+    const archScore = calculateSkillSimilarity(
+        currentProfile.architecturalConcepts || [],
+        matchProfile.architecturalConcepts || []
+    );
+    scores.architecturalConcepts = archScore;
+    
+    // 6. Experience Level Compatibility (Weight: 10%)
+    const expScore = calculateExperienceLevelSimilarity(
+        currentProfile.estimatedExperience,
+        matchProfile.estimatedExperience
+    );
+    scores.experienceLevel = expScore;
+    
+    // 7. Repository Activity Similarity (Weight: 3%)
+    const repoScore = calculateRepoActivitySimilarity(
+        currentProfile.repoCount,
+        matchProfile.repoCount
+    );
+    scores.repositoryActivity = repoScore;
+    
+    // 8. Project Insights Similarity (Weight: 2%)
+    const projectInsightsText1 = (currentProfile.projectInsights || []).join(' ');
+    const projectInsightsText2 = (matchProfile.projectInsights || []).join(' ');
+    const projectScore = calculateTextSimilarity(projectInsightsText1, projectInsightsText2);
+    scores.projectInsights = projectScore;
+    
+    // Calculate weighted final score (clamped between 0 and 1)
+    return {
+        finalScore: calculateWeightedScore(scores, DEFAULT_WEIGHTS.technical),
+        breakdown: scores
+    };
+}
+
+// Helper function to calculate how compatible two time commitments are
+function calculateCommitmentCompatibility(commitment1, commitment2) {
+    if (!commitment1 || !commitment2) return 0.5; // Neutral if unknown
+    if (commitment1 === commitment2) return 1;
+    if (commitment1 === 'exploring' || commitment2 === 'exploring') return 0.25;
+    return 0.5; // full_time with part_time
+}
+
+// Helper function to compare funding backgrounds on a rough ordinal scale
+function calculateFundingSimilarity(funding1, funding2) {
+    const stages = ['none', 'bootstrapped', 'angel', 'pre_seed', 'seed', 'series_a_plus'];
+    const index1 = stages.indexOf(funding1);
+    const index2 = stages.indexOf(funding2);
+    if (index1 === -1 || index2 === -1) return 0.5; // Neutral if unknown
+    return 1 - Math.abs(index1 - index2) / (stages.length - 1);
+}
+
+// Scoring for questionnaire (business) sections
+function calculateBusinessMatchScore(currentProfile, matchProfile) {
+    const scores = {
+        domainExpertise: calculateJaccardIndex(currentProfile.domainExpertise || [], matchProfile.domainExpertise || []),
+        industries: calculateJaccardIndex(currentProfile.industries || [], matchProfile.industries || []),
+        commitment: calculateCommitmentCompatibility(currentProfile.commitment, matchProfile.commitment),
+        goToMarketChannels: calculateJaccardIndex(currentProfile.goToMarketChannels || [], matchProfile.goToMarketChannels || []),
+        fundingBackground: calculateFundingSimilarity(currentProfile.fundingBackground, matchProfile.fundingBackground)
+    };
+
+    return {
+        finalScore: calculateWeightedScore(scores, DEFAULT_WEIGHTS.business),
+        breakdown: scores
+    };
+}
+
+// A technical section only counts once its AI analysis succeeded.
+function getMatchableSections(profile) {
+    if (!profile) return [];
+    const sections = [];
+    if (profile.technical && profile.technical.analysisStatus !== 'failed') sections.push('technical');
+    if (profile.business) sections.push('business');
+    return sections;
+}
+
+// Scores the sections both users have and averages them. Returns null when they share none.
+function calculateProfileMatchScore(currentProfile, matchProfile) {
+    const matchSections = getMatchableSections(matchProfile);
+    const shared = getMatchableSections(currentProfile).filter(section => matchSections.includes(section));
+    if (shared.length === 0) return null;
+
+    const results = shared.map(section => section === 'technical'
+        ? calculateDetailedMatchScore(currentProfile.technical, matchProfile.technical)
+        : calculateBusinessMatchScore(currentProfile.business, matchProfile.business));
+
+    return {
+        finalScore: results.reduce((sum, r) => sum + r.finalScore, 0) / results.length,
+        breakdown: Object.assign({}, ...results.map(r => r.breakdown)),
+        sections: shared
+    };
+}
+
+// Keywords that place a profile in a broad skill area. Matched as substrings of lower-cased
+// strengths, roles, technologies, concepts and questionnaire answers.
+const SKILL_AREAS = {
+    frontend: ['frontend', 'front-end', 'react', 'vue', 'angular', 'svelte', 'next.js', 'css', 'html', 'ui development', 'web app'],
+    backend: ['backend', 'back-end', 'api', 'node', 'express', 'django', 'flask', 'fastapi', 'spring', 'postgres', 'mysql', 'database', 'microservice', 'rest', 'graphql', 'go', 'rust', 'java'],
+    mobile: ['mobile', 'ios', 'android', 'swift', 'kotlin', 'react native', 'flutter'],
+    data: ['machine learning', 'ml', 'data', 'pytorch', 'tensorflow', 'pandas', 'analytics', 'ai'],
+    infrastructure: ['devops', 'docker', 'kubernetes', 'aws', 'gcp', 'azure', 'terraform', 'ci/cd', 'infrastructure', 'cloud'],
+    design: ['ux', 'figma', 'user research', 'designer', 'product design', 'visual design', 'interaction design', 'graphic design'],
+    product: ['product'],
+    business: ['business', 'strategy', 'operations', 'finance', 'fundraising', 'legal'],
+    sales: ['sales', 'partnership', 'business development', 'customer'],
+    marketing: ['marketing', 'growth', 'seo', 'content', 'brand', 'community']
+};
+
+// Short keywords are matched as whole words so 'go' does not match 'google' or 'rest' match 'interest'.
+function textMatchesKeyword(text, keyword) {
+    if (keyword.length > 4) return text.includes(keyword);
+    return new RegExp(`(^|[^a-z])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`).test(text);
+}
+
+// Helper function to work out which skill areas a profile covers
+function identifySkillAreas(profile) {
+    const technical = (profile && profile.technical && profile.technical.analysisStatus !== 'failed') ? profile.technical : {};
+    const business = (profile && profile.business) || {};
+    const texts = [
+        ...(technical.keyStrengths || []),
+        ...(technical.potentialRoles || []),
+        ...(technical.identifiedTechnologies || []),
+        ...(technical.architecturalConcepts || []),
+        ...(business.domainExpertise || []),
+        ...(business.goToMarketChannels || [])
+    ].filter(Boolean).map(text => String(text).toLowerCase());
+
+    // A questionnaire's primary focus names its area directly.
+    const areas = new Set(SKILL_AREAS[business.primaryFocus] ? [business.primaryFocus] : []);
+    for (const [area, keywords] of Object.entries(SKILL_AREAS)) {
+        if (texts.some(text => keywords.some(keyword => textMatchesKeyword(text, keyword)))) {
+            areas.add(area);
+        }
+    }
+    return areas;
+}
+
+// Complementary scoring: rewards candidates who cover what the current user lacks
+function calculateComplementaryMatchScore(currentProfile, matchProfile) {
+    const currentSections = getMatchableSections(currentProfile);
+    const matchSections = getMatchableSections(matchProfile);
+    if (currentSections.length === 0 || matchSections.length === 0) return null;
+
+    const currentAreas = identifySkillAreas(currentProfile);
+    const matchAreas = identifySkillAreas(matchProfile);
+    const gapsFilled = [...matchAreas].filter(area => !currentAreas.has(area));
+    const sharedAreas = [...matchAreas].filter(area => currentAreas.has(area));
+    const sectionsAdded = matchSections.filter(section => !currentSections.includes(section));
+
+    const currentTechnical = currentSections.includes('technical') ? currentProfile.technical : null;
+    const matchTechnical = matchSections.includes('technical') ? matchProfile.technical : null;
+
+    const scores = {};
+
+    // 1. Skill Gaps Filled (Weight: 35%) - covering two missing areas counts as full coverage
+    scores.skillGapsFilled = Math.min(1, gapsFilled.length / 2);
+
+    // 2. Profile Type Complement (Weight: 20%) - technical with business or vice versa
+    scores.profileTypeComplement = sectionsAdded.length > 0 ? 1 : 0;
+
+    // 3. Role Complement (Weight: 15%) - different roles split the work better
+    const currentRoles = [...((currentTechnical && currentTechnical.potentialRoles) || []), ...(currentProfile.business ? [currentProfile.business.primaryFocus] : [])];
+    const matchRoles = [...((matchTechnical && matchTechnical.potentialRoles) || []), ...(matchProfile.business ? [matchProfile.business.primaryFocus] : [])];
+    scores.roleComplement = (currentRoles.length === 0 || matchRoles.length === 0)
+        ? 0.5
+        : 1 - calculateJaccardIndex(currentRoles, matchRoles);
+
+    // 4. Technology Novelty (Weight: 10%) - neutral unless both are technical
+    scores.technologyNovelty = (currentTechnical && matchTechnical)
+        ? 1 - calculateSkillSimilarity(currentTechnical.identifiedTechnologies || [], matchTechnical.identifiedTechnologies || [])
+        : 0.5;
+
+    // 5. Shared Ground (Weight: 10%) - some overlap still helps a team communicate
+    scores.sharedGround = sharedAreas.length > 0 ? 1 : 0;
+
+    // 6. Experience Level Compatibility (Weight: 10%)
+    scores.experienceLevel = (currentTechnical && matchTechnical)
+        ? calculateExperienceLevelSimilarity(currentTechnical.estimatedExperience, matchTechnical.estimatedExperience)
+        : 0.5;
+
+    return {
+        finalScore: calculateWeightedScore(scores, DEFAULT_WEIGHTS.complementary),
+        breakdown: scores,
+        sections: matchSections,
+        complementarity: {
+            gapsFilled,
+            sectionsAdded,
+            sharedAreas,
+            yourAreas: [...currentAreas],
+            candidateAreas: [...matchAreas]
+        }
+    };
+}
+
+// Builds the human-readable reasons shown with a complementary suggestion
+function describeGapsFilled(complementarity) {
+    const reasons = complementarity.gapsFilled.map(area => `Covers ${area}, which your profile does not`);
+    complementarity.sectionsAdded.forEach(section => {
+        reasons.push(section === 'business'
+            ? 'Brings business experience to a technical profile'
+            : 'Brings technical skills to a business profile');
+    });
+    return reasons;
+}
+
+const MATCH_MODES = ['similar', 'complementary'];
+
+// Mixes embedding similarity into a structured score. Stored as the `semanticSimilarity` breakdown dimension.
+function blendSemanticSimilarity(score, semanticSimilarity) {
+    if (semanticSimilarity === undefined || semanticSimilarity === null) return score;
+    const similarity = Math.max(0, Math.min(1, semanticSimilarity));
+    return score * (1 - SEMANTIC_WEIGHT) + similarity * SEMANTIC_WEIGHT;
+}
+
+/**
+ * Scores a candidate for the current user in the given mode.
+ * @param {object} currentProfile - The current user's profile_data.
+ * @param {object} matchProfile - The candidate's profile_data.
+ * @param {'similar'|'complementary'} mode
+ * @param {number|null} [semanticSimilarity] - Cosine similarity of the two profile embeddings, if both exist.
+ *   Only blended in similar mode: in complementary mode a close embedding is not a reason to rank higher.
+ * @returns {{ finalScore: number, breakdown: object, sections: string[], complementarity?: object, scoredAs?: string }|null}
+ *   null when either profile has nothing to match on. In similar mode, two profiles with no section in common
+ *   (a technical-only and a questionnaire-only founder) are scored as complementary instead, marked by `scoredAs`.
+ */
+function scoreProfiles(currentProfile, matchProfile, mode, semanticSimilarity = null) {
+    if (mode === 'complementary') return calculateComplementaryMatchScore(currentProfile, matchProfile);
+    const result = calculateProfileMatchScore(currentProfile, matchProfile);
+    if (!result) {
+        const complementary = calculateComplementaryMatchScore(currentProfile, matchProfile);
+        return complementary && { ...complementary, scoredAs: 'complementary' };
+    }
+    if (semanticSimilarity === null || semanticSimilarity === undefined) return result;
+    return {
+        ...result,
+        finalScore: blendSemanticSimilarity(result.finalScore, semanticSimilarity),
+        breakdown: { ...result.breakdown, semanticSimilarity: Math.max(0, Math.min(1, semanticSimilarity)) }
+    };
+}
+
+/**
+ * A stored breakdown without the dimensions computed from fields the candidate hides.
+ * @param {object} breakdown - Stored per-dimension scores.
+ * @param {string[]} hiddenFields - The candidate's hidden_profile_fields.
+ * @returns {object}
+ */
+function visibleBreakdown(breakdown, hiddenFields) {
+    const hidden = new Set(hiddenFields || []);
+    return Object.fromEntries(Object.entries(breakdown || {})
+        .filter(([dimension]) => !(BREAKDOWN_SOURCES[dimension] || []).some(field => hidden.has(field))));
+}
+
+/**
+ * The default weights of every scorer with some dimensions overridden and then scaled.
+ * @param {Object<string, number>} overrides - Dimension -> weight.
+ * @param {Object<string, number>} [multipliers] - Dimension -> factor applied after the overrides.
+ * @returns {Object<string, Object<string, number>>} Scorer group -> dimension -> weight.
+ */
+function effectiveWeights(overrides, multipliers = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_WEIGHTS).map(([group, defaults]) => {
+        const weights = { ...defaults };
+        for (const dimension of Object.keys(weights)) {
+            if (overrides[dimension] !== undefined) weights[dimension] = overrides[dimension];
+            if (multipliers[dimension] !== undefined) weights[dimension] *= multipliers[dimension];
+        }
+        return [group, weights];
+    }));
+}
+
+/**
+ * Recomputes a stored score from its breakdown with some dimension weights overridden.
+ * In similar mode each matched section is weighted separately and the results averaged,
+ * then blended with the semantic similarity, the same way scoreProfiles combines them;
+ * a score made by the complementary scorer (`scoredAs`) is reweighted as one.
+ * The suggestions query does the same in SQL (databaseService.getRankedMatchScores).
+ * @param {object} breakdown - Stored per-dimension scores.
+ * @param {string[]} sections - The sections the score was computed on.
+ * @param {'similar'|'complementary'} mode
+ * @param {Object<string, number>} overrides - Dimension -> weight.
+ * @param {Object<string, number>} [multipliers] - Dimension -> factor applied after the overrides.
+ * @param {string|null} [scoredAs] - The stored `scoredAs`, if any.
+ * @returns {number}
+ */
+function rescoreWithWeights(breakdown, sections, mode, overrides, multipliers = {}, scoredAs = null) {
+    const groups = mode === 'complementary' || scoredAs === 'complementary' ? ['complementary'] : sections;
+    if (groups.length === 0) return 0;
+    const weights = effectiveWeights(overrides, multipliers);
+    const groupScores = groups.map(group => calculateWeightedScore(breakdown, weights[group]));
+    const structuredScore = groupScores.reduce((sum, score) => sum + score, 0) / groupScores.length;
+    return mode === 'complementary' ? structuredScore : blendSemanticSimilarity(structuredScore, breakdown.semanticSimilarity);
+}
+
+module.exports = {
+    ALGORITHM_VERSION,
+    MIN_SCORE_THRESHOLD,
+    SEMANTIC_WEIGHT,
+    MATCH_MODES,
+    DEFAULT_WEIGHTS,
+    EXPERIENCE_LEVELS,
+    EXPERIENCE_KEYWORDS,
+    scoreProfiles,
+    effectiveWeights,
+    rescoreWithWeights,
+    visibleBreakdown,
+    getExperienceLevel,
+    getMatchableSections,
+    describeGapsFilled,
+    calculateJaccardIndex,
+    calculateSkillSimilarity,
+    calculateDetailedMatchScore,
+    calculateComplementaryMatchScore
+};
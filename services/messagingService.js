@@ -0,0 +1,54 @@
+// services/messagingService.js
+// Validation for direct messages and their history queries.
+
+const MAX_MESSAGE_LENGTH = 4000;
+const DEFAULT_HISTORY_LIMIT = 30;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Validates the body of a send-message request.
+ * @returns {{ errors: Object<string, string>, body: string }} The trimmed message text.
+ */
+function validateMessage(requestBody) {
+  const errors = {};
+  const raw = requestBody && requestBody.body;
+  const body = typeof raw === 'string' ? raw.trim() : '';
+  if (typeof raw !== 'string' || body.length === 0) {
+    errors.body = 'is required';
+  } else if (body.length > MAX_MESSAGE_LENGTH) {
+    errors.body = `must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return { errors, body };
+}
+
+/**
+ * Parses ?before=<messageId>&limit=<n> for paging backwards through a conversation.
+ * @returns {{ errors: Object<string, string>, options: { before: number|null, limit: number } }}
+ */
+function parseHistoryQuery(query) {
+  const errors = {};
+  const options = { before: null, limit: DEFAULT_HISTORY_LIMIT };
+  if (query.before !== undefined) {
+    const before = parseInt(query.before, 10);
+    if (isNaN(before) || before < 1) {
+      errors.before = 'must be a message ID';
+    } else {
+      options.before = before;
+    }
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      errors.limit = `must be between 1 and ${MAX_HISTORY_LIMIT}`;
+    } else {
+      options.limit = limit;
+    }
+  }
+  return { errors, options };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  validateMessage,
+  parseHistoryQuery
+};
@@ -0,0 +1,195 @@
+// services/migrationService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary but fixed key; every instance must use the same one for the lock to mean anything.
+const ADVISORY_LOCK_KEY = 72837019;
+// Namespaces for per-row locks taken as pg_advisory_xact_lock(namespace, id). The two-key form has its own
+// keyspace, so these never contend with the migration lock, and each feature's ids stay apart from the others'.
+const ADVISORY_LOCK_NAMESPACES = {
+  matchExplanationCalls: 1,
+  connectionRequests: 2
+};
+
+/**
+ * Reads the migrations directory into an ordered list of { version, name, up, down, checksum }.
+ * Each migration needs an `NNNN_name.up.sql` file; the matching `.down.sql` is optional.
+ * @returns {Array<object>}
+ */
+function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    const [, versionStr, name, direction] = match;
+    const version = parseInt(versionStr, 10);
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${versionStr} has mismatched file names: "${entry.name}" and "${name}".`);
+    }
+    entry[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} is missing its .up.sql file.`);
+    m.checksum = crypto.createHash('sha256').update(m.up).digest('hex');
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, checksum TEXT NOT NULL, applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP);`);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Runs `fn` with a dedicated client holding the migration advisory lock, so two instances
+ * booting at once apply migrations one after the other instead of racing.
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Applies pending migrations in order, each in its own transaction.
+ * @param {import('pg').Pool} pool
+ * @param {{ to?: number, dryRun?: boolean }} options - `to` stops after that version.
+ * @returns {Promise<Array<{ version: number, name: string }>>} The migrations applied (or that would be).
+ */
+async function migrate(pool, options = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+
+    for (const m of migrations) {
+      const row = appliedVersions.get(m.version);
+      if (row && row.checksum !== m.checksum) {
+        console.warn(`[Migrations] ${m.version}_${m.name} was edited after it was applied (checksum mismatch).`);
+      }
+    }
+
+    const pending = migrations.filter(m => !appliedVersions.has(m.version) && (options.to === undefined || m.version <= options.to));
+    for (const m of pending) {
+      if (options.dryRun) {
+        console.log(`[Migrations] Would apply ${m.version}_${m.name}`);
+        continue;
+      }
+      console.log(`[Migrations] Applying ${m.version}_${m.name}...`);
+      await runInTransaction(client, async () => {
+        await client.query(m.up);
+        await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [m.version, m.name, m.checksum]);
+      });
+    }
+    return pending.map(m => ({ version: m.version, name: m.name }));
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {import('pg').Pool} pool
+ * @param {{ steps?: number, dryRun?: boolean }} options
+ * @returns {Promise<Array<{ version: number, name: string }>>} The migrations rolled back (or that would be).
+ */
+async function rollback(pool, options = {}) {
+  const steps = options.steps || 1;
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.slice(-steps).reverse();
+    for (const row of toRevert) {
+      const m = migrations.get(row.version);
+      if (!m || !m.down) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: no .down.sql file found.`);
+      }
+    }
+    for (const row of toRevert) {
+      const m = migrations.get(row.version);
+      if (options.dryRun) {
+        console.log(`[Migrations] Would roll back ${m.version}_${m.name}`);
+        continue;
+      }
+      console.log(`[Migrations] Rolling back ${m.version}_${m.name}...`);
+      await runInTransaction(client, async () => {
+        await client.query(m.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+      });
+    }
+    return toRevert.map(row => ({ version: row.version, name: row.name }));
+  });
+}
+
+/**
+ * Lists every known migration with whether it has been applied.
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<Array<{ version: number, name: string, applied: boolean, appliedAt: Date|null, modified: boolean }>>}
+ */
+async function status(pool) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+    const known = migrations.map(m => {
+      const row = applied.get(m.version);
+      return { version: m.version, name: m.name, applied: !!row, appliedAt: row ? row.applied_at : null, modified: !!row && row.checksum !== m.checksum };
+    });
+    // Migrations recorded in the database but missing from disk (e.g. from a newer branch).
+    const orphaned = [...applied.values()]
+      .filter(row => !migrations.some(m => m.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, modified: false, missingFile: true }));
+    return [...known, ...orphaned].sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Creates an empty up/down pair with the next version number.
+ * @param {string} name - snake_case description, e.g. 'add_user_bio'.
+ * @returns {{ up: string, down: string }} The created file paths.
+ */
+function createMigration(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) throw new Error('A migration name is required.');
+  const migrations = loadMigrations();
+  const next = (migrations.length ? migrations[migrations.length - 1].version : 0) + 1;
+  const base = `${String(next).padStart(4, '0')}_${slug}`;
+  const up = path.join(MIGRATIONS_DIR, `${base}.up.sql`);
+  const down = path.join(MIGRATIONS_DIR, `${base}.down.sql`);
+  fs.writeFileSync(up, `-- ${base}\n`);
+  fs.writeFileSync(down, `-- ${base} (rollback)\n`);
+  return { up, down };
+}
+
+module.exports = { migrate, rollback, status, createMigration, loadMigrations, ADVISORY_LOCK_NAMESPACES };
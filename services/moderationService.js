@@ -0,0 +1,87 @@
+// services/moderationService.js
+// Validation and rules for blocking, reporting and suspending users.
+const rbac = require('./rbacService');
+
+const REPORT_CATEGORIES = ['spam', 'harassment', 'impersonation', 'inappropriate_content', 'scam', 'other'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+const MAX_DETAILS_LENGTH = 2000;
+const MAX_REASON_LENGTH = 500;
+const MAX_SUSPENSION_DAYS = 3650;
+
+function checkText(value, maxLength) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+}
+
+/**
+ * Whether the user's account is suspended right now.
+ * @param {object} user - users row.
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSuspended(user, now = new Date()) {
+  if (!user || !user.suspended_at) return false;
+  return !user.suspended_until || new Date(user.suspended_until) > now;
+}
+
+// Staff accounts are managed through roles, not suspended by fellow moderators.
+function canBeSuspended(user) {
+  return !rbac.hasRole(user.role, 'moderator');
+}
+
+/**
+ * Validates a report submitted by a user.
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validateReport(body) {
+  const errors = {};
+  if (!body || !REPORT_CATEGORIES.includes(body.category)) {
+    errors.category = `must be one of ${REPORT_CATEGORIES.join(', ')}`;
+  }
+  if (!body || !checkText(body.details, MAX_DETAILS_LENGTH)) {
+    errors.details = `must be a string of at most ${MAX_DETAILS_LENGTH} characters`;
+  } else if (body.category === 'other' && !(typeof body.details === 'string' && body.details.trim())) {
+    errors.details = "is required when the category is 'other'";
+  }
+  return errors;
+}
+
+/**
+ * Validates a suspension: a required reason and, for a temporary one, a number of days.
+ * @returns {Object<string, string>}
+ */
+function validateSuspension(body) {
+  const errors = {};
+  if (!body || typeof body.reason !== 'string' || !body.reason.trim() || body.reason.length > MAX_REASON_LENGTH) {
+    errors.reason = `is required, at most ${MAX_REASON_LENGTH} characters`;
+  }
+  const days = body && body.days;
+  if (days !== undefined && days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS)) {
+    errors.days = `must be a whole number of days between 1 and ${MAX_SUSPENSION_DAYS}, or omitted to suspend indefinitely`;
+  }
+  return errors;
+}
+
+/**
+ * Validates a moderator's decision on a report.
+ * @returns {Object<string, string>}
+ */
+function validateResolution(body) {
+  const errors = {};
+  if (!body || !['dismissed', 'actioned'].includes(body.resolution)) {
+    errors.resolution = "must be 'dismissed' or 'actioned'";
+  }
+  if (!body || !checkText(body.note, MAX_REASON_LENGTH)) {
+    errors.note = `must be a string of at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return errors;
+}
+
+module.exports = {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  isSuspended,
+  canBeSuspended,
+  validateReport,
+  validateSuspension,
+  validateResolution
+};
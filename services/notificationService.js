@@ -0,0 +1,171 @@
+// services/notificationService.js
+const { EventEmitter } = require('events');
+
+const TYPES = ['connection_request', 'connection_accepted', 'message', 'profile_generation'];
+const DEFAULT_PREFERENCE = { inApp: true, realtime: true };
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Shapes a notifications row for API responses and the stream.
+ * @param {object} row
+ * @returns {object}
+ */
+function serializeNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    payload: row.payload,
+    read: row.read_at !== null,
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Fills in defaults for every type the user has not changed.
+ * @param {object[]} rows - notification_preferences rows.
+ * @returns {Object<string, { inApp: boolean, realtime: boolean }>}
+ */
+function resolvePreferences(rows) {
+  const preferences = Object.fromEntries(TYPES.map(type => [type, { ...DEFAULT_PREFERENCE }]));
+  for (const row of rows) {
+    if (preferences[row.type]) preferences[row.type] = { inApp: row.in_app, realtime: row.realtime };
+  }
+  return preferences;
+}
+
+/**
+ * Validates a PUT body of type -> { inApp?, realtime? }. Types left out keep their current setting.
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validatePreferences(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) return { body: 'must be an object of type -> preference' };
+  const errors = {};
+  for (const [type, preference] of Object.entries(input)) {
+    if (!TYPES.includes(type)) {
+      errors[type] = `is not a notification type; use one of ${TYPES.join(', ')}`;
+    } else if (preference === null || typeof preference !== 'object' || Array.isArray(preference)) {
+      errors[type] = 'must be an object with inApp and/or realtime';
+    } else {
+      for (const [key, value] of Object.entries(preference)) {
+        if (!['inApp', 'realtime'].includes(key)) errors[`${type}.${key}`] = 'is not a preference';
+        else if (typeof value !== 'boolean') errors[`${type}.${key}`] = 'must be a boolean';
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parses ?before=<notificationId>&limit=<n>&unread=true for the inbox.
+ * @returns {{ errors: Object<string, string>, options: { before: number|null, limit: number, unreadOnly: boolean } }}
+ */
+function parseInboxQuery(query) {
+  const errors = {};
+  const options = { before: null, limit: DEFAULT_PAGE_LIMIT, unreadOnly: query.unread === 'true' };
+  if (query.before !== undefined) {
+    const before = parseInt(query.before, 10);
+    if (isNaN(before) || before < 1) errors.before = 'must be a notification ID';
+    else options.before = before;
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) errors.limit = `must be between 1 and ${MAX_PAGE_LIMIT}`;
+    else options.limit = limit;
+  }
+  if (query.unread !== undefined && !['true', 'false'].includes(query.unread)) {
+    errors.unread = 'must be true or false';
+  }
+  return { errors, options };
+}
+
+// Streams pick up notifications created by other instances this often.
+const STREAM_POLL_MS = 3000;
+const STREAM_POLL_BATCH = 50;
+
+// Factory so notifications share the injected 'db' instance. Notifications created by this instance reach its
+// streams at once; streams also poll for newer rows, so they receive those created by other instances too.
+module.exports = (db) => {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  return {
+    /**
+     * Stores a notification in the user's inbox and pushes it to their open streams, as their preferences allow.
+     * Never throws: a failed notification must not fail the action that caused it.
+     * @returns {Promise<object|null>} The stored row, or null when not stored.
+     */
+    notify: async (userId, type, payload = {}) => {
+      try {
+        const preference = resolvePreferences(await db.getNotificationPreferences(userId))[type];
+        if (!preference.inApp) return null;
+        const notification = await db.createNotification(userId, type, payload);
+        if (preference.realtime) events.emit(`user:${userId}`, notification);
+        return notification;
+      } catch (err) {
+        console.warn(`[Notifications] Failed to notify user ${userId} of '${type}':`, err.message);
+        return null;
+      }
+    },
+
+    /**
+     * Registers a listener for the user's notifications newer than `afterId` that their preferences deliver in
+     * real time, wherever they were created. Each notification is delivered once.
+     * @param {number} userId
+     * @param {number} afterId - The newest notification the caller already has.
+     * @param {Function} listener
+     * @returns {Function} Call to unsubscribe.
+     */
+    subscribe: (userId, afterId, listener) => {
+      let polledUpTo = afterId;
+      // Delivered ahead of the poll by this instance's events.
+      const delivered = new Set();
+      let subscribed = true;
+      const deliver = (notification) => {
+        if (!subscribed || notification.id <= afterId || delivered.has(notification.id)) return;
+        delivered.add(notification.id);
+        listener(notification);
+      };
+      const poll = async () => {
+        const rows = await db.getNotificationsAfter(userId, polledUpTo, STREAM_POLL_BATCH);
+        if (rows.length === 0) return;
+        const preferences = resolvePreferences(await db.getNotificationPreferences(userId));
+        for (const notification of rows) {
+          if (preferences[notification.type] && preferences[notification.type].realtime) deliver(notification);
+          polledUpTo = notification.id;
+        }
+        delivered.forEach(id => { if (id <= polledUpTo) delivered.delete(id); });
+      };
+      let polling = false;
+      const pollTimer = setInterval(() => {
+        if (polling) return;
+        polling = true;
+        poll()
+          .catch(err => console.warn(`[Notifications] Failed to poll notifications for user ${userId}:`, err.message))
+          .finally(() => { polling = false; });
+      }, STREAM_POLL_MS);
+
+      events.on(`user:${userId}`, deliver);
+      return () => {
+        subscribed = false;
+        clearInterval(pollTimer);
+        events.off(`user:${userId}`, deliver);
+      };
+    },
+
+    getPreferences: async (userId) => resolvePreferences(await db.getNotificationPreferences(userId)),
+
+    // Merges the changes into the current preferences so a type's omitted flag is kept.
+    updatePreferences: async (userId, changes) => {
+      const current = resolvePreferences(await db.getNotificationPreferences(userId));
+      const merged = Object.fromEntries(Object.entries(changes).map(([type, change]) => [type, { ...current[type], ...change }]));
+      return resolvePreferences(await db.saveNotificationPreferences(userId, merged));
+    },
+
+    TYPES,
+    serializeNotification,
+    validatePreferences,
+    parseInboxQuery
+  };
+};
@@ -0,0 +1,120 @@
+// services/oauthStateService.js
+const crypto = require('crypto');
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the GitHub round-trip
+const BINDING_COOKIE = 'oauth_binding';
+const DEFAULT_RETURN_PATH = '/';
+
+function getSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OAUTH_STATE_SECRET or JWT_SECRET must be set to sign OAuth state.');
+  }
+  return secret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function hashBinding(binding) {
+  return crypto.createHash('sha256').update(binding).digest('hex');
+}
+
+/**
+ * Reads a single cookie from the raw Cookie header.
+ * @param {object} req - Express request.
+ * @param {string} name - Cookie name.
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(idx + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Only allows same-origin relative paths so the callback cannot be used as an open redirect.
+ * @param {string} rawPath - The return path requested by the frontend.
+ * @returns {string} A safe path, or the default when the input is unusable.
+ */
+function sanitizeReturnPath(rawPath) {
+  if (typeof rawPath !== 'string' || rawPath.length === 0 || rawPath.length > 512) {
+    return DEFAULT_RETURN_PATH;
+  }
+  if (!rawPath.startsWith('/') || rawPath.startsWith('//') || rawPath.includes('\\')) {
+    return DEFAULT_RETURN_PATH;
+  }
+  if (/[\u0000-\u001f\u007f]/.test(rawPath)) {
+    return DEFAULT_RETURN_PATH;
+  }
+  return rawPath;
+}
+
+/**
+ * Creates a new signed state value and the browser binding it is tied to.
+ * The binding is sent to the browser as an httpOnly cookie; only its hash is stored server-side.
+ * @returns {{ state: string, nonce: string, binding: string, bindingHash: string, expiresAt: Date }}
+ */
+function createState() {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const binding = crypto.randomBytes(32).toString('base64url');
+  const bindingHash = hashBinding(binding);
+  const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+  const payload = `${nonce}.${expiresAt.getTime()}`;
+  const signature = sign(`${payload}.${bindingHash}`);
+  return { state: `${payload}.${signature}`, nonce, binding, bindingHash, expiresAt };
+}
+
+/**
+ * Checks the signature, expiry and browser binding of a state value.
+ * It does not consume the state; the caller must do that against the database.
+ * @param {string} state - The state returned by GitHub.
+ * @param {string|null} binding - The binding cookie sent by the browser.
+ * @returns {{ valid: boolean, code?: string, nonce?: string, bindingHash?: string }}
+ */
+function verifyState(state, binding) {
+  if (!state || typeof state !== 'string') {
+    return { valid: false, code: 'state_missing' };
+  }
+  const parts = state.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, code: 'state_invalid' };
+  }
+  if (!binding) {
+    return { valid: false, code: 'state_browser_mismatch' };
+  }
+  const [nonce, expiresAtMs, signature] = parts;
+  const bindingHash = hashBinding(binding);
+  const expected = Buffer.from(sign(`${nonce}.${expiresAtMs}.${bindingHash}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    // A valid state presented from another browser fails here too, since the binding is signed in.
+    return { valid: false, code: 'state_invalid' };
+  }
+  const expiresAt = parseInt(expiresAtMs, 10);
+  if (isNaN(expiresAt) || expiresAt <= Date.now()) {
+    return { valid: false, code: 'state_expired' };
+  }
+  return { valid: true, nonce, bindingHash };
+}
+
+module.exports = {
+  STATE_TTL_MS,
+  BINDING_COOKIE,
+  readCookie,
+  sanitizeReturnPath,
+  createState,
+  verifyState
+};
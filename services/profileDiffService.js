@@ -0,0 +1,65 @@
+// services/profileDiffService.js
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPrimitiveArray(value) {
+  return Array.isArray(value) && value.every(v => v === null || typeof v !== 'object');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function walk(before, after, path, changes) {
+  if (sameValue(before, after)) return;
+
+  if (before === undefined) {
+    changes.push({ path, change: 'added', to: after });
+    return;
+  }
+  if (after === undefined) {
+    changes.push({ path, change: 'removed', from: before });
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of [...keys].sort()) {
+      walk(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+    return;
+  }
+
+  // Lists such as keyStrengths are compared as sets, which is how matching treats them.
+  if (isPrimitiveArray(before) && isPrimitiveArray(after)) {
+    const beforeSet = new Set(before.map(String));
+    const afterSet = new Set(after.map(String));
+    changes.push({
+      path,
+      change: 'modified',
+      added: after.filter(v => !beforeSet.has(String(v))),
+      removed: before.filter(v => !afterSet.has(String(v)))
+    });
+    return;
+  }
+
+  changes.push({ path, change: 'modified', from: before, to: after });
+}
+
+/**
+ * Produces a field-level diff between two profile documents.
+ * Nested objects are walked and reported with dotted paths (e.g. 'technical.headline');
+ * arrays of strings report the items added and removed.
+ * @param {object} before - The older profile_data.
+ * @param {object} after - The newer profile_data.
+ * @returns {Array<{ path: string, change: 'added'|'removed'|'modified', from?: any, to?: any, added?: any[], removed?: any[] }>}
+ */
+function diffProfiles(before, after) {
+  const changes = [];
+  walk(before || {}, after || {}, '', changes);
+  return changes;
+}
+
+module.exports = { diffProfiles };
@@ -0,0 +1,136 @@
+// services/profilePrivacyService.js
+
+// public: anyone signed in can view it and it appears in suggestions.
+// connections: only accepted connections can view it; never suggested.
+// unlisted: viewable by direct link, but never suggested.
+const VISIBILITY_LEVELS = ['public', 'connections', 'unlisted'];
+
+// Fields a user may hide from everyone but themselves.
+const HIDEABLE_FIELDS = [
+  'personal.name',
+  'personal.bio',
+  'technical.coFounderSummary',
+  'technical.keyStrengths',
+  'technical.potentialRoles',
+  'technical.projectInsights',
+  'technical.identifiedTechnologies',
+  'technical.architecturalConcepts',
+  'technical.estimatedExperience',
+  'technical.languageStats',
+  'technical.repoCount',
+  'business.summary',
+  'business.domainExpertise',
+  'business.industries',
+  'business.goToMarketChannels',
+  'business.fundingBackground',
+  'business.fundingSummary',
+  'business.commitment',
+  'business.hoursPerWeek',
+  'business.lookingFor'
+];
+
+// Working data kept for re-analysis and matching. Never sent to any client, including the owner.
+const INTERNAL_FIELDS = [
+  'technical._rawCombinedSummaries',
+  'technical.combinedText',
+  'technical.repos'
+];
+
+const DEFAULT_SETTINGS = { visibility: 'public', hiddenFields: [] };
+
+function omitPaths(profile, paths) {
+  const result = { ...profile };
+  for (const path of paths) {
+    const [section, field] = path.split('.');
+    if (result[section] && typeof result[section] === 'object' && field in result[section]) {
+      result[section] = { ...result[section] };
+      delete result[section][field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads the privacy columns off a users row (or a query row that selected them).
+ * @returns {{ visibility: string, hiddenFields: string[] }}
+ */
+function settingsFromRow(row) {
+  if (!row) return DEFAULT_SETTINGS;
+  return {
+    visibility: row.profile_visibility || DEFAULT_SETTINGS.visibility,
+    hiddenFields: row.hidden_profile_fields || []
+  };
+}
+
+/**
+ * Removes fields that must never leave the server.
+ */
+function stripInternalFields(profile) {
+  if (!profile || typeof profile !== 'object') return profile;
+  return omitPaths(profile, INTERNAL_FIELDS);
+}
+
+/**
+ * Shapes a profile for a particular viewer: internal fields are always removed,
+ * and the owner's hidden fields are removed for everyone else.
+ * @param {object} profile - profile_data.
+ * @param {{ visibility: string, hiddenFields: string[] }} settings - The owner's settings.
+ * @param {{ isOwner?: boolean }} [viewer]
+ */
+function filterProfile(profile, settings, viewer = {}) {
+  const stripped = stripInternalFields(profile);
+  if (!stripped || viewer.isOwner) return stripped;
+  return omitPaths(stripped, settings.hiddenFields || []);
+}
+
+/**
+ * Whether the viewer may see the owner's profile at all.
+ * @param {{ visibility: string }} settings
+ * @param {{ isOwner?: boolean, isConnected?: boolean }} viewer
+ */
+function canViewProfile(settings, viewer) {
+  if (viewer.isOwner) return true;
+  if (settings.visibility === 'connections') return !!viewer.isConnected;
+  return true;
+}
+
+function isSuggestable(settings) {
+  return settings.visibility === 'public';
+}
+
+/**
+ * Validates a privacy update.
+ * @param {{ visibility?: string, hiddenFields?: string[] }} update
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validateSettings(update) {
+  const errors = {};
+  if (!update || typeof update !== 'object') return { body: 'must be an object' };
+  if (update.visibility === undefined && update.hiddenFields === undefined) {
+    return { body: "must contain 'visibility' or 'hiddenFields'" };
+  }
+  if (update.visibility !== undefined && !VISIBILITY_LEVELS.includes(update.visibility)) {
+    errors.visibility = `must be one of ${VISIBILITY_LEVELS.join(', ')}`;
+  }
+  if (update.hiddenFields !== undefined) {
+    if (!Array.isArray(update.hiddenFields)) {
+      errors.hiddenFields = 'must be an array of field paths';
+    } else {
+      const unknown = update.hiddenFields.filter(f => !HIDEABLE_FIELDS.includes(f));
+      if (unknown.length > 0) errors.hiddenFields = `cannot hide: ${unknown.join(', ')}`;
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  HIDEABLE_FIELDS,
+  INTERNAL_FIELDS,
+  settingsFromRow,
+  stripInternalFields,
+  filterProfile,
+  canViewProfile,
+  isSuggestable,
+  validateSettings
+};
@@ -0,0 +1,254 @@
+// services/profileSchemaService.js
+// The shape of a saved profile, mirroring what profileService/groqService generate.
+// Matching reads these fields directly, so anything a client writes is checked here first.
+
+const string = (max, { required = false, nullable = false } = {}) => ({ type: 'string', max, required, nullable });
+const stringList = (maxItems, maxLength, { required = false } = {}) => ({ type: 'stringList', maxItems, maxLength, required });
+const oneOf = (options, { required = false } = {}) => ({ type: 'enum', options, required });
+const integer = (min, max) => ({ type: 'integer', min, max });
+
+// Fields a user may edit. Anything not listed here or in PROTECTED_FIELDS is rejected on edit.
+const EDITABLE_FIELDS = {
+  personal: {
+    name: string(100, { nullable: true }),
+    bio: string(500, { nullable: true })
+  },
+  technical: {
+    headline: string(150, { required: true }),
+    coFounderSummary: string(1500),
+    keyStrengths: stringList(15, 80),
+    potentialRoles: stringList(10, 80),
+    identifiedTechnologies: stringList(50, 60),
+    architecturalConcepts: stringList(30, 80),
+    projectInsights: { type: 'insightList', maxItems: 10 },
+    estimatedExperience: string(100)
+  },
+  // Filled in through the questionnaire by founders whose work does not show up on GitHub.
+  business: {
+    primaryFocus: oneOf(['business', 'product', 'design', 'sales', 'marketing', 'operations', 'other'], { required: true }),
+    headline: string(150, { required: true }),
+    summary: string(1500),
+    domainExpertise: stringList(10, 80, { required: true }),
+    industries: stringList(10, 60),
+    goToMarketExperience: oneOf(['none', 'some', 'extensive'], { required: true }),
+    goToMarketChannels: stringList(10, 60),
+    fundingBackground: oneOf(['none', 'bootstrapped', 'angel', 'pre_seed', 'seed', 'series_a_plus'], { required: true }),
+    fundingSummary: string(500),
+    commitment: oneOf(['full_time', 'part_time', 'exploring'], { required: true }),
+    hoursPerWeek: integer(1, 80),
+    lookingFor: stringList(10, 80)
+  }
+};
+
+// Sections that make up a matchable profile; a profile needs at least one of them.
+const PROFILE_SECTIONS = ['technical', 'business'];
+
+// Fields derived from GitHub data or the analysis itself. Clients can never change them.
+const PROTECTED_FIELDS = {
+  personal: ['login', 'avatar_url', 'html_url'],
+  technical: ['analysisStatus', 'languageStats', 'repoCount', 'repos', 'combinedText', '_rawCombinedSummaries'],
+  business: []
+};
+
+const ANALYSIS_STATUSES = ['success', 'failed'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks one value against its field rule.
+ * @returns {string|null} A message describing the problem, or null if the value is valid.
+ */
+function checkField(rule, value) {
+  switch (rule.type) {
+    case 'string':
+      if (value === null) return rule.nullable ? null : 'must not be null';
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.required && value.trim() === '') return 'must not be empty';
+      if (value.length > rule.max) return `must be at most ${rule.max} characters`;
+      return null;
+    case 'enum':
+      if (!rule.options.includes(value)) return `must be one of ${rule.options.join(', ')}`;
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}`;
+      return null;
+    case 'stringList':
+      if (!Array.isArray(value)) return 'must be an array of strings';
+      if (rule.required && value.length === 0) return 'must have at least one item';
+      if (value.length > rule.maxItems) return `must have at most ${rule.maxItems} items`;
+      for (const [i, item] of value.entries()) {
+        if (typeof item !== 'string' || item.trim() === '') return `item ${i} must be a non-empty string`;
+        if (item.length > rule.maxLength) return `item ${i} must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+    case 'insightList':
+      if (!Array.isArray(value)) return 'must be an array of { name, highlight } objects';
+      if (value.length > rule.maxItems) return `must have at most ${rule.maxItems} items`;
+      for (const [i, item] of value.entries()) {
+        if (!isPlainObject(item)) return `item ${i} must be an object`;
+        if (typeof item.name !== 'string' || item.name.trim() === '' || item.name.length > 100) return `item ${i} needs a name of 1-100 characters`;
+        if (typeof item.highlight !== 'string' || item.highlight.length > 300) return `item ${i} needs a highlight of at most 300 characters`;
+      }
+      return null;
+    default:
+      return 'has an unknown rule';
+  }
+}
+
+/**
+ * Validates a complete profile document before it is saved.
+ * Unknown fields are tolerated so older generated profiles still save.
+ * @param {object} profile
+ * @returns {Object<string, string>} Field path -> message; empty when valid.
+ */
+function validateProfile(profile) {
+  const errors = {};
+  if (!isPlainObject(profile)) {
+    return { profileData: 'must be an object' };
+  }
+  for (const section of Object.keys(EDITABLE_FIELDS)) {
+    if (profile[section] !== undefined && !isPlainObject(profile[section])) {
+      errors[section] = 'must be an object';
+    }
+  }
+  if (!PROFILE_SECTIONS.some(section => isPlainObject(profile[section]))) {
+    errors.profileData = `must include at least one of: ${PROFILE_SECTIONS.join(', ')}`;
+    return errors;
+  }
+  if (isPlainObject(profile.technical) && profile.technical.analysisStatus !== undefined && !ANALYSIS_STATUSES.includes(profile.technical.analysisStatus)) {
+    errors['technical.analysisStatus'] = `must be one of ${ANALYSIS_STATUSES.join(', ')}`;
+  }
+
+  for (const [section, rules] of Object.entries(EDITABLE_FIELDS)) {
+    if (!isPlainObject(profile[section])) continue;
+    Object.assign(errors, validateSection(section, profile[section], rules));
+  }
+  return errors;
+}
+
+function validateSection(section, values, rules) {
+  const errors = {};
+  for (const [field, rule] of Object.entries(rules)) {
+    if (values[field] === undefined) {
+      if (rule.required) errors[`${section}.${field}`] = 'is required';
+      continue;
+    }
+    const message = checkField(rule, values[field]);
+    if (message) errors[`${section}.${field}`] = message;
+  }
+  return errors;
+}
+
+/**
+ * Validates a complete questionnaire submission, i.e. the whole business section.
+ * @param {object} answers
+ * @returns {Object<string, string>} Field path -> message; empty when valid.
+ */
+function validateQuestionnaire(answers) {
+  if (!isPlainObject(answers)) {
+    return { business: 'must be an object' };
+  }
+  const errors = validateSection('business', answers, EDITABLE_FIELDS.business);
+  for (const field of Object.keys(answers)) {
+    if (!EDITABLE_FIELDS.business[field]) errors[`business.${field}`] = 'is not a questionnaire field';
+  }
+  return errors;
+}
+
+/**
+ * Lists the sections a profile actually has, e.g. ['technical', 'business'].
+ */
+function profileTypes(profile) {
+  if (!isPlainObject(profile)) return [];
+  return PROFILE_SECTIONS.filter(section => isPlainObject(profile[section]));
+}
+
+/**
+ * Validates a partial edit of the form { personal?: {...}, technical?: {...} }.
+ * @param {object} patch
+ * @returns {Object<string, string>} Field path -> message; empty when valid.
+ */
+function validatePatch(patch) {
+  const errors = {};
+  if (!isPlainObject(patch)) {
+    return { body: 'must be an object' };
+  }
+  for (const [section, values] of Object.entries(patch)) {
+    if (!EDITABLE_FIELDS[section]) {
+      errors[section] = 'is not an editable section';
+      continue;
+    }
+    if (!isPlainObject(values)) {
+      errors[section] = 'must be an object';
+      continue;
+    }
+    for (const [field, value] of Object.entries(values)) {
+      const path = `${section}.${field}`;
+      if (PROTECTED_FIELDS[section].includes(field)) {
+        errors[path] = 'is derived from your GitHub activity and cannot be edited';
+        continue;
+      }
+      const rule = EDITABLE_FIELDS[section][field];
+      if (!rule) {
+        errors[path] = 'is not an editable field';
+        continue;
+      }
+      const message = checkField(rule, value);
+      if (message) errors[path] = message;
+    }
+  }
+  if (Object.keys(errors).length === 0 && Object.values(patch).every(values => Object.keys(values).length === 0)) {
+    errors.body = 'must contain at least one field to update';
+  }
+  return errors;
+}
+
+/**
+ * Returns a copy of the profile with the (already validated) patch applied.
+ */
+function applyPatch(profile, patch) {
+  const result = { ...profile };
+  for (const [section, values] of Object.entries(patch)) {
+    result[section] = { ...(profile[section] || {}), ...values };
+  }
+  return result;
+}
+
+/**
+ * Copies protected fields from a trusted profile over an incoming one, so a client that
+ * re-submits a whole document cannot set or alter GitHub-derived data. A protected field
+ * with no trusted value is dropped rather than taken from the client.
+ * @param {object} incoming - The client-supplied profile.
+ * @param {object|undefined} trusted - A server-produced version of the profile, if any.
+ */
+function preserveProtectedFields(incoming, trusted) {
+  const result = { ...incoming };
+  for (const [section, fields] of Object.entries(PROTECTED_FIELDS)) {
+    if (!isPlainObject(incoming[section])) continue;
+    const trustedSection = trusted && isPlainObject(trusted[section]) ? trusted[section] : {};
+    result[section] = { ...incoming[section] };
+    for (const field of fields) {
+      if (trustedSection[field] === undefined) {
+        delete result[section][field];
+      } else {
+        result[section][field] = trustedSection[field];
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  PROTECTED_FIELDS,
+  PROFILE_SECTIONS,
+  validateProfile,
+  validateQuestionnaire,
+  validatePatch,
+  applyPatch,
+  preserveProtectedFields,
+  profileTypes
+};
@@ -2,8 +2,11 @@
 const githubService     = require('./githubService');
 const summarizerService = require('./summarizerService');
 const { parseProfile }  = require('./groqService');
+const { normalizeSkillList } = require('./skillTaxonomyService');
 
-async function fetchAndSummarize(accessToken) {
+// onProgress(stage, detail) is called as work moves through 'fetching_repos' and 'summarizing'.
+async function fetchAndSummarize(accessToken, onProgress = () => {}) {
+  onProgress('fetching_repos', {});
   const userData  = await githubService.getUserData(accessToken);
   const reposData = await githubService.getUserRepos(accessToken);
 
@@ -29,6 +32,7 @@ async function fetchAndSummarize(accessToken) {
     }
   }));
   const validRepos = details.filter(d => d);
+  onProgress('fetching_repos', { reposTotal: validRepos.length, reposFetched: validRepos.length });
 
   const agg = {};
   validRepos.forEach(r => {
@@ -45,12 +49,16 @@ async function fetchAndSummarize(accessToken) {
   );
 
   const opts = { max_length:150, min_length:50, chunkSize:2000 };
+  let summarized = 0;
+  onProgress('summarizing', { reposTotal: validRepos.length, reposSummarized: 0 });
   const repoSummaries = await Promise.all(
     validRepos.map(async r => {
       const txt = `${r.description} ${r.readme}`.trim();
-      if (!txt) return `${r.name}: No detailed content available.`;
-      const sum = await summarizerService.summarizeText(txt, opts);
-      return `${r.name}: ${sum}`;
+      const line = txt
+        ? `${r.name}: ${await summarizerService.summarizeText(txt, opts)}`
+        : `${r.name}: No detailed content available.`;
+      onProgress('summarizing', { reposTotal: validRepos.length, reposSummarized: ++summarized });
+      return line;
     })
   );
   const combinedTextFromSummaries = repoSummaries.join('\n\n');
@@ -77,9 +85,10 @@ async function fetchAndSummarize(accessToken) {
   };
 }
 
-async function generateStructuredProfile(accessToken) {
+async function generateStructuredProfile(accessToken, { onProgress = () => {} } = {}) {
   try {
-    const { personal, technical } = await fetchAndSummarize(accessToken);
+    const { personal, technical } = await fetchAndSummarize(accessToken, onProgress);
+    onProgress('analyzing', {});
     const groqAnalysis = await parseProfile(
       technical.combinedTextFromSummaries,
       technical.languageStats,
@@ -91,11 +100,11 @@ async function generateStructuredProfile(accessToken) {
         analysisStatus:         'success',
         headline:               groqAnalysis.headline,
         coFounderSummary:       groqAnalysis.coFounderSummary,
-        keyStrengths:           groqAnalysis.keyStrengths,
+        keyStrengths:           normalizeSkillList(groqAnalysis.keyStrengths),
         potentialRoles:         groqAnalysis.potentialRoles,
         projectInsights:        groqAnalysis.projectInsights,
-        identifiedTechnologies: groqAnalysis.identifiedTechnologies,
-        architecturalConcepts:  groqAnalysis.architecturalConcepts,
+        identifiedTechnologies: normalizeSkillList(groqAnalysis.identifiedTechnologies),
+        architecturalConcepts:  normalizeSkillList(groqAnalysis.architecturalConcepts),
         estimatedExperience:    groqAnalysis.estimatedExperience,
         languageStats:          technical.languageStats,
         repoCount:              technical.repoCount,
@@ -104,7 +113,7 @@ async function generateStructuredProfile(accessToken) {
     };
   } catch (err) {
     console.warn('Profile generation failed, falling back:', err.message);
-    const { personal, technical } = await fetchAndSummarize(accessToken);
+    const { personal, technical } = await fetchAndSummarize(accessToken, onProgress);
     return {
       personal,
       technical: {
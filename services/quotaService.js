@@ -0,0 +1,151 @@
+// services/quotaService.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A null limit means unlimited; a null windowDays means the limit applies over the account's lifetime.
+const DEFAULT_POLICIES = {
+  plans: {
+    free: { limit: 3, windowDays: 30 },
+    pro: { limit: 20, windowDays: 30 }
+  },
+  roles: {
+    admin: { limit: null, windowDays: null }
+  }
+};
+
+/**
+ * Loads quota policies, letting PROFILE_GENERATION_QUOTAS (JSON with the same shape as
+ * DEFAULT_POLICIES) replace individual plan or role entries.
+ * @returns {{ plans: object, roles: object }}
+ */
+function loadPolicies() {
+  const raw = process.env.PROFILE_GENERATION_QUOTAS;
+  if (!raw) return DEFAULT_POLICIES;
+  try {
+    const custom = JSON.parse(raw);
+    return {
+      plans: { ...DEFAULT_POLICIES.plans, ...(custom.plans || {}) },
+      roles: { ...DEFAULT_POLICIES.roles, ...(custom.roles || {}) }
+    };
+  } catch (err) {
+    console.error('[Quota] PROFILE_GENERATION_QUOTAS is not valid JSON; using defaults.', err.message);
+    return DEFAULT_POLICIES;
+  }
+}
+
+/**
+ * Resolves which policy applies to a user: an admin override wins, then a role policy, then the plan.
+ * @param {object} user - The users row (needs role and plan).
+ * @param {object|undefined} override - The quota_overrides row, if any.
+ * @returns {{ limit: number|null, windowDays: number|null, source: string }}
+ */
+function resolvePolicy(user, override) {
+  const policies = loadPolicies();
+  if (override) {
+    return { limit: override.generation_limit, windowDays: override.window_days, source: 'override' };
+  }
+  if (policies.roles[user.role]) {
+    return { ...policies.roles[user.role], source: `role:${user.role}` };
+  }
+  const plan = policies.plans[user.plan] ? user.plan : 'free';
+  return { ...policies.plans[plan], source: `plan:${plan}` };
+}
+
+/**
+ * Works out when enough usage ages out of the window to allow another generation.
+ * @param {Array<{ amount: number, created_at: Date }>} entries - In-window usage charged to the plan, oldest first.
+ * @param {number} used - Total of those entries.
+ * @param {number} limit - The plan's limit.
+ * @param {number|null} windowDays
+ * @returns {Date|null}
+ */
+function computeResetAt(entries, used, limit, windowDays) {
+  if (!windowDays || used < limit) return null;
+  let remainingUsed = used;
+  for (const entry of entries) {
+    remainingUsed -= entry.amount;
+    if (remainingUsed < limit) {
+      return new Date(new Date(entry.created_at).getTime() + windowDays * DAY_MS);
+    }
+  }
+  return null;
+}
+
+// Factory so the quota ledger shares the injected 'db' instance.
+module.exports = (db) => {
+
+  /**
+   * Returns the user's current quota position. `used` counts every generation in the window; `bonus` is what is
+   * left of the user's grants, which are only drawn on once the plan's limit for the window is reached.
+   * @param {number} userId
+   * @returns {Promise<{ limit: number|null, used: number, bonus: number, remaining: number|null, canGenerate: boolean, windowDays: number|null, resetsAt: Date|null, source: string }>}
+   */
+  const getStatus = async (userId) => {
+    const user = await db.getUserById(userId);
+    if (!user) throw new Error(`User ${userId} not found.`);
+    const override = await db.getQuotaOverride(userId);
+    const policy = resolvePolicy(user, override);
+    const since = policy.windowDays ? new Date(Date.now() - policy.windowDays * DAY_MS) : new Date(0);
+    const entries = await db.getGenerationUsageSince(userId, since);
+    const used = entries.reduce((sum, e) => sum + e.amount, 0);
+
+    if (policy.limit === null || policy.limit === undefined) {
+      return { limit: null, used, bonus: 0, remaining: null, canGenerate: true, windowDays: policy.windowDays, resetsAt: null, source: policy.source };
+    }
+
+    const planEntries = entries.filter(e => !e.grant_id);
+    const planUsed = planEntries.reduce((sum, e) => sum + e.amount, 0);
+    const bonus = await db.getActiveQuotaGrantTotal(userId);
+    const remaining = Math.max(0, policy.limit - planUsed) + bonus;
+    return {
+      limit: policy.limit,
+      used,
+      bonus,
+      remaining,
+      canGenerate: remaining > 0,
+      windowDays: policy.windowDays,
+      resetsAt: bonus > 0 ? null : computeResetAt(planEntries, planUsed, policy.limit, policy.windowDays),
+      source: policy.source
+    };
+  };
+
+  return {
+    getStatus,
+
+    /**
+     * Records one generation against the plan's limit while it has room, otherwise against a grant.
+     */
+    recordGeneration: async (userId, metadata = {}) => {
+      const usage = { kind: 'generation', amount: 1, metadata };
+      const status = await getStatus(userId);
+      const planExhausted = status.limit !== null && status.remaining <= status.bonus;
+      if (planExhausted) {
+        const funded = await db.recordGrantFundedGenerationUsage(userId, usage);
+        if (funded) return funded;
+      }
+      return db.recordGenerationUsage(userId, usage);
+    },
+
+    /**
+     * Voids all usage in the current window, giving the user their full allowance back.
+     * @returns {Promise<number>} The number of ledger entries voided.
+     */
+    reset: async (userId, reason = 'admin_reset') => {
+      const status = await getStatus(userId);
+      const since = status.windowDays ? new Date(Date.now() - status.windowDays * DAY_MS) : new Date(0);
+      return db.voidGenerationUsageSince(userId, since, reason);
+    },
+
+    /**
+     * Makes the in-window usage equal `count` by voiding current entries and recording one adjustment.
+     */
+    setUsed: async (userId, count, reason = 'admin_adjustment') => {
+      const status = await getStatus(userId);
+      const since = status.windowDays ? new Date(Date.now() - status.windowDays * DAY_MS) : new Date(0);
+      await db.voidGenerationUsageSince(userId, since, reason);
+      if (count > 0) {
+        await db.recordGenerationUsage(userId, { kind: 'adjustment', amount: count, metadata: { reason } });
+      }
+    }
+  };
+};
@@ -0,0 +1,65 @@
+// services/rbacService.js
+
+// Ordered from least to most privileged; a role inherits every permission of the roles before it.
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['moderation:review'],
+  admin: ['jobs:import', 'roles:manage', 'quotas:manage', 'taxonomy:manage']
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Checks whether a role meets or exceeds the required role in the hierarchy.
+ * @param {string} role - The user's role.
+ * @param {string} requiredRole - The minimum role needed.
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  const actual = ROLES.indexOf(role);
+  const required = ROLES.indexOf(requiredRole);
+  return actual !== -1 && required !== -1 && actual >= required;
+}
+
+/**
+ * Checks whether a role grants a permission, either directly or through a lower role.
+ * @param {string} role - The user's role.
+ * @param {string} permission - e.g. 'jobs:import'.
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const idx = ROLES.indexOf(role);
+  if (idx === -1) return false;
+  return ROLES.slice(0, idx + 1).some(r => ROLE_PERMISSIONS[r].includes(permission));
+}
+
+/**
+ * GitHub user IDs listed in BOOTSTRAP_ADMIN_GITHUB_IDS are promoted to admin on startup and login, unless their
+ * role has already been assigned (including by an earlier promotion), so an admin can still demote them.
+ * IDs are used rather than usernames because a released username can be claimed by someone else.
+ * @returns {string[]}
+ */
+function getBootstrapAdminGithubIds() {
+  return (process.env.BOOTSTRAP_ADMIN_GITHUB_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+function isBootstrapAdmin(githubId) {
+  return getBootstrapAdminGithubIds().includes(String(githubId));
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  hasRole,
+  hasPermission,
+  getBootstrapAdminGithubIds,
+  isBootstrapAdmin
+};
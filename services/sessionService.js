@@ -0,0 +1,131 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_COOKIE = 'refresh_token';
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET environment variable is not set.');
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function refreshCookieOptions() {
+  const isProduction = process.env.NODE_ENV === 'production';
+  // The frontend is served from a different origin, so production needs SameSite=None for the cookie to be sent.
+  return { httpOnly: true, secure: isProduction, sameSite: isProduction ? 'none' : 'lax', path: '/api/auth', maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000 };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, githubId: user.github_id, username: user.github_username, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verifies an access token's signature and expiry. Session revocation is checked separately.
+ * @param {string} token
+ * @returns {Promise<object>} The decoded payload.
+ */
+function verifyAccessToken(token) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getJwtSecret(), (err, payload) => (err ? reject(err) : resolve(payload)));
+  });
+}
+
+// Factory so the session store shares the injected 'db' instance.
+module.exports = (db) => {
+  // Fail at startup rather than on the first login or authenticated request.
+  getJwtSecret();
+
+  return {
+
+    /**
+     * Starts a new login session and issues its first access/refresh token pair.
+     * @param {object} user - The users row.
+     * @param {{ userAgent?: string, ipAddress?: string }} meta - Device details shown in the session list.
+     */
+    createSession: async (user, meta = {}) => {
+      const sessionId = crypto.randomUUID();
+      const refreshToken = crypto.randomBytes(48).toString('base64url');
+      const expiresAt = refreshExpiry();
+      await db.createAuthSession({ id: sessionId, user_id: user.id, user_agent: meta.userAgent || null, ip_address: meta.ipAddress || null, expires_at: expiresAt });
+      await db.createRefreshToken(sessionId, hashToken(refreshToken), expiresAt);
+      return { sessionId, accessToken: signAccessToken(user, sessionId), refreshToken };
+    },
+
+    /**
+     * Exchanges a refresh token for a new pair. Each refresh token works once; presenting one
+     * that was already rotated means it leaked, so the whole session is revoked.
+     * @returns {Promise<{ ok: boolean, code?: string, accessToken?: string, refreshToken?: string }>}
+     */
+    rotateRefreshToken: async (refreshToken, meta = {}) => {
+      if (!refreshToken) return { ok: false, code: 'refresh_token_missing' };
+      const stored = await db.getRefreshTokenByHash(hashToken(refreshToken));
+      if (!stored) return { ok: false, code: 'refresh_token_invalid' };
+
+      if (stored.used_at) {
+        console.warn(`[SESSION] Refresh token reuse detected for session ${stored.session_id}; revoking session.`);
+        await db.revokeAuthSession(stored.session_id, 'refresh_token_reuse');
+        return { ok: false, code: 'refresh_token_reused' };
+      }
+      if (stored.session_revoked_at) return { ok: false, code: 'session_revoked' };
+      if (new Date(stored.expires_at) <= new Date()) return { ok: false, code: 'refresh_token_expired' };
+
+      const claimed = await db.markRefreshTokenUsed(stored.id);
+      if (!claimed) {
+        // Lost a race with a concurrent refresh using the same token: treat it as reuse.
+        await db.revokeAuthSession(stored.session_id, 'refresh_token_reuse');
+        return { ok: false, code: 'refresh_token_reused' };
+      }
+
+      const user = await db.getUserById(stored.user_id);
+      if (!user) return { ok: false, code: 'refresh_token_invalid' };
+
+      const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+      const expiresAt = refreshExpiry();
+      await db.createRefreshToken(stored.session_id, hashToken(nextRefreshToken), expiresAt);
+      await db.touchAuthSession(stored.session_id, { expires_at: expiresAt, ip_address: meta.ipAddress || null });
+      return { ok: true, accessToken: signAccessToken(user, stored.session_id), refreshToken: nextRefreshToken };
+    },
+
+    /**
+     * Resolves the session a refresh token belongs to, without consuming it.
+     * @returns {Promise<object|undefined>}
+     */
+    findSessionByRefreshToken: async (refreshToken) => {
+      if (!refreshToken) return undefined;
+      const stored = await db.getRefreshTokenByHash(hashToken(refreshToken));
+      return stored ? { id: stored.session_id, user_id: stored.user_id } : undefined;
+    },
+
+    isSessionActive: async (sessionId) => {
+      if (!sessionId) return false;
+      return !!(await db.getActiveAuthSession(sessionId));
+    },
+
+    listSessions: (userId) => db.getActiveAuthSessionsForUser(userId),
+
+    revokeSession: (sessionId, userId, reason = 'user_revoked') => db.revokeAuthSessionForUser(sessionId, userId, reason),
+
+    revokeOtherSessions: (userId, keepSessionId, reason = 'user_revoked') => db.revokeAuthSessionsForUser(userId, keepSessionId, reason),
+
+    verifyAccessToken,
+    REFRESH_COOKIE,
+    refreshCookieOptions
+  };
+};
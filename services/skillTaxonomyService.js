@@ -0,0 +1,300 @@
+// services/skillTaxonomyService.js
+// Canonical skills and technologies with their aliases and parent categories, e.g. Next.js -> React -> Frontend.
+
+// Each entry names its parent, if any. Languages have no parent on purpose: two unrelated languages
+// would otherwise earn partial credit as siblings.
+const BUILT_IN_SKILLS = [
+  // Categories
+  { name: 'Frontend', aliases: ['Frontend development', 'Web frontend', 'UI development'] },
+  { name: 'Backend', aliases: ['Backend development', 'Server-side development'] },
+  { name: 'Full Stack', aliases: ['Full-stack development', 'Full stack web development'] },
+  { name: 'Mobile', aliases: ['Mobile development', 'Mobile apps', 'Mobile app development'] },
+  { name: 'Databases', aliases: ['Database', 'Database design', 'Data modeling', 'DB'] },
+  { name: 'DevOps', aliases: ['Site reliability engineering', 'SRE'] },
+  { name: 'Cloud Computing', aliases: ['Cloud', 'Cloud infrastructure', 'Cloud architecture'] },
+  { name: 'Artificial Intelligence', aliases: ['AI'] },
+  { name: 'Data Engineering', aliases: ['Data pipelines', 'ETL', 'Big data'] },
+  { name: 'Security', aliases: ['Cybersecurity', 'Application security', 'AppSec'] },
+
+  // Languages
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6', 'Vanilla JS'] },
+  { name: 'TypeScript', parent: 'JavaScript', aliases: ['TS'] },
+  { name: 'Python', aliases: ['Py', 'Python3'] },
+  { name: 'Java', aliases: [] },
+  { name: 'Kotlin', parent: 'Android', aliases: [] },
+  { name: 'Swift', parent: 'iOS', aliases: ['SwiftUI'] },
+  { name: 'Go', aliases: ['Golang'] },
+  { name: 'Rust', aliases: [] },
+  { name: 'C++', aliases: ['CPP'] },
+  { name: 'C#', aliases: ['CSharp'] },
+  { name: 'Ruby', aliases: [] },
+  { name: 'PHP', aliases: [] },
+  { name: 'Dart', aliases: [] },
+
+  // Frontend
+  { name: 'HTML', parent: 'Frontend', aliases: ['HTML5'] },
+  { name: 'CSS', parent: 'Frontend', aliases: ['CSS3'] },
+  { name: 'Tailwind CSS', parent: 'CSS', aliases: ['Tailwind'] },
+  { name: 'Sass', parent: 'CSS', aliases: ['SCSS'] },
+  { name: 'React', parent: 'Frontend', aliases: ['ReactJS'] },
+  { name: 'Next.js', parent: 'React', aliases: [] },
+  { name: 'Redux', parent: 'React', aliases: ['Redux Toolkit'] },
+  { name: 'Vue.js', parent: 'Frontend', aliases: ['Vue', 'Vue 3'] },
+  { name: 'Nuxt', parent: 'Vue.js', aliases: ['NuxtJS'] },
+  { name: 'Angular', parent: 'Frontend', aliases: ['AngularJS'] },
+  { name: 'Svelte', parent: 'Frontend', aliases: ['SvelteKit'] },
+
+  // Mobile
+  { name: 'iOS', parent: 'Mobile', aliases: ['iOS development'] },
+  { name: 'Android', parent: 'Mobile', aliases: ['Android development'] },
+  { name: 'React Native', parent: 'Mobile', aliases: ['RN'] },
+  { name: 'Flutter', parent: 'Mobile', aliases: [] },
+
+  // Backend
+  { name: 'Node.js', parent: 'Backend', aliases: ['Node'] },
+  { name: 'Express', parent: 'Node.js', aliases: ['Express.js'] },
+  { name: 'NestJS', parent: 'Node.js', aliases: ['Nest'] },
+  { name: 'Django', parent: 'Python', aliases: ['Django REST Framework', 'DRF'] },
+  { name: 'Flask', parent: 'Python', aliases: [] },
+  { name: 'FastAPI', parent: 'Python', aliases: [] },
+  { name: 'Ruby on Rails', parent: 'Ruby', aliases: ['Rails', 'RoR'] },
+  { name: 'Spring Boot', parent: 'Java', aliases: ['Spring', 'Spring Framework'] },
+  { name: '.NET', parent: 'C#', aliases: ['dotnet', 'ASP.NET', 'ASP.NET Core', '.NET Core'] },
+  { name: 'Laravel', parent: 'PHP', aliases: [] },
+  { name: 'REST APIs', parent: 'Backend', aliases: ['REST', 'REST API', 'RESTful', 'RESTful APIs', 'API development'] },
+  { name: 'GraphQL', parent: 'Backend', aliases: ['Apollo', 'Apollo GraphQL'] },
+
+  // Databases
+  { name: 'SQL', parent: 'Databases', aliases: ['Relational databases', 'RDBMS'] },
+  { name: 'PostgreSQL', parent: 'SQL', aliases: ['Postgres', 'PSQL', 'PostGIS'] },
+  { name: 'MySQL', parent: 'SQL', aliases: ['MariaDB'] },
+  { name: 'SQLite', parent: 'SQL', aliases: ['SQLite3'] },
+  { name: 'MongoDB', parent: 'Databases', aliases: ['Mongo', 'Mongoose'] },
+  { name: 'Redis', parent: 'Databases', aliases: [] },
+  { name: 'Elasticsearch', parent: 'Databases', aliases: ['Elastic', 'OpenSearch'] },
+
+  // DevOps and cloud
+  { name: 'Docker', parent: 'DevOps', aliases: ['Containers', 'Containerization', 'Docker Compose'] },
+  { name: 'Kubernetes', parent: 'DevOps', aliases: ['K8s', 'Helm'] },
+  { name: 'Terraform', parent: 'DevOps', aliases: ['Infrastructure as Code', 'IaC'] },
+  { name: 'CI/CD', parent: 'DevOps', aliases: ['Continuous integration', 'Continuous delivery', 'Continuous deployment'] },
+  { name: 'GitHub Actions', parent: 'CI/CD', aliases: [] },
+  { name: 'AWS', parent: 'Cloud Computing', aliases: ['Amazon Web Services'] },
+  { name: 'AWS Lambda', parent: 'AWS', aliases: [] },
+  { name: 'Amazon S3', parent: 'AWS', aliases: ['S3'] },
+  { name: 'Amazon EC2', parent: 'AWS', aliases: ['EC2'] },
+  { name: 'Google Cloud', parent: 'Cloud Computing', aliases: ['GCP', 'Google Cloud Platform'] },
+  { name: 'Firebase', parent: 'Google Cloud', aliases: [] },
+  { name: 'Azure', parent: 'Cloud Computing', aliases: ['Microsoft Azure'] },
+  { name: 'Serverless', parent: 'Cloud Computing', aliases: ['Serverless architecture', 'FaaS'] },
+
+  // AI and data
+  { name: 'Machine Learning', parent: 'Artificial Intelligence', aliases: ['ML', 'AI/ML', 'ML engineering'] },
+  { name: 'Deep Learning', parent: 'Machine Learning', aliases: ['Neural networks', 'DL'] },
+  { name: 'PyTorch', parent: 'Deep Learning', aliases: ['Torch'] },
+  { name: 'TensorFlow', parent: 'Deep Learning', aliases: ['Keras', 'TF'] },
+  { name: 'scikit-learn', parent: 'Machine Learning', aliases: ['sklearn'] },
+  { name: 'Natural Language Processing', parent: 'Machine Learning', aliases: ['NLP'] },
+  { name: 'Computer Vision', parent: 'Machine Learning', aliases: ['Image recognition'] },
+  { name: 'Large Language Models', parent: 'Artificial Intelligence', aliases: ['LLM', 'LLMs', 'Generative AI', 'GenAI', 'Prompt engineering'] },
+  { name: 'Data Analysis', aliases: ['Data analytics', 'Analytics', 'pandas', 'NumPy'] },
+  { name: 'Apache Spark', parent: 'Data Engineering', aliases: ['Spark', 'PySpark'] },
+  { name: 'Apache Kafka', parent: 'Data Engineering', aliases: ['Kafka'] },
+
+  // Architecture
+  { name: 'Microservices', aliases: ['Microservice architecture', 'Microservices architecture'] },
+  { name: 'Event-Driven Architecture', aliases: ['Event-driven', 'Event sourcing', 'EDA'] }
+];
+
+// Partial credit by the number of parent links between two skills; anything further apart is unrelated.
+const RELATED_CREDIT = { 1: 0.5, 2: 0.25 };
+const MAX_ALIAS_LENGTH = 100;
+
+// "React.js", "react js" and "ReactJS" share the key "reactjs"; symbols that carry meaning (C#, C++) are kept.
+function toKey(term) {
+  return String(term).toLowerCase().replace(/[\s._\-/]+/g, '');
+}
+
+const skillsByKey = new Map(BUILT_IN_SKILLS.map(skill => [toKey(skill.name), skill]));
+const builtInAliases = new Map();
+for (const skill of BUILT_IN_SKILLS) {
+  builtInAliases.set(toKey(skill.name), skill.name);
+  skill.aliases.forEach(alias => builtInAliases.set(toKey(alias), skill.name));
+}
+// Alias key -> { alias, skill }, loaded from skill_aliases at startup and reloaded periodically so aliases added or
+// removed through another instance's admin endpoints reach this one.
+let customAliases = new Map();
+
+/**
+ * The canonical name for a skill, or null if the taxonomy does not know it.
+ * @param {string} term
+ * @returns {string|null}
+ */
+function resolve(term) {
+  if (typeof term !== 'string' || term.trim() === '') return null;
+  const key = toKey(term);
+  if (builtInAliases.has(key)) return builtInAliases.get(key);
+  return customAliases.has(key) ? customAliases.get(key).skill : null;
+}
+
+// The canonical name, or the trimmed term itself when it is not in the taxonomy.
+function canonicalName(term) {
+  return resolve(term) || String(term).trim();
+}
+
+// Key used to compare two skills for equality once aliases are resolved.
+function canonicalKey(term) {
+  return toKey(canonicalName(term));
+}
+
+// The skill followed by its parents, as keys.
+function lineage(term) {
+  const chain = [canonicalKey(term)];
+  let skill = skillsByKey.get(chain[0]);
+  while (skill && skill.parent) {
+    chain.push(toKey(skill.parent));
+    skill = skillsByKey.get(toKey(skill.parent));
+  }
+  return chain;
+}
+
+/**
+ * How closely two skills are related: 1 for the same skill, partial credit when one is the parent
+ * of the other or both share a parent, 0 otherwise.
+ * @returns {number}
+ */
+function relatedness(a, b) {
+  const chainA = lineage(a);
+  const chainB = lineage(b);
+  if (chainA[0] === chainB[0]) return 1;
+  for (let i = 0; i < chainA.length; i++) {
+    const j = chainB.indexOf(chainA[i]);
+    if (j !== -1) return RELATED_CREDIT[i + j] || 0;
+  }
+  return 0;
+}
+
+// Whether `term` is `ancestor` or a more specific skill under it (Next.js is React).
+function isA(term, ancestor) {
+  return lineage(term).includes(canonicalKey(ancestor));
+}
+
+/**
+ * Every key under which a stored skill counts as `term`: the term itself and each more specific skill,
+ * by name and by alias. Lets a database query apply isA() without the taxonomy.
+ * @param {string} term
+ * @returns {string[]}
+ */
+function matchingKeys(term) {
+  const target = canonicalKey(term);
+  const keys = new Set([target]);
+  for (const skill of BUILT_IN_SKILLS) {
+    if (!lineage(skill.name).includes(target)) continue;
+    keys.add(toKey(skill.name));
+    skill.aliases.forEach(alias => keys.add(toKey(alias)));
+    customAliases.forEach((entry, key) => { if (entry.skill === skill.name) keys.add(key); });
+  }
+  return [...keys];
+}
+
+/**
+ * Replaces known skills with their canonical names and drops duplicates, keeping the first occurrence.
+ * @param {string[]} list
+ * @returns {string[]}
+ */
+function normalizeSkillList(list) {
+  if (!Array.isArray(list)) return list;
+  const seen = new Set();
+  const result = [];
+  for (const term of list) {
+    if (typeof term !== 'string' || term.trim() === '') continue;
+    const name = canonicalName(term);
+    const key = toKey(name);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(name);
+  }
+  return result;
+}
+
+const NORMALIZED_TECHNICAL_FIELDS = ['keyStrengths', 'identifiedTechnologies', 'architecturalConcepts'];
+
+/**
+ * Normalizes the skill lists of a profile's technical section. Other sections are returned unchanged.
+ * @param {object} profile - profile_data.
+ * @returns {object}
+ */
+function normalizeProfile(profile) {
+  if (!profile || !profile.technical) return profile;
+  const technical = { ...profile.technical };
+  for (const field of NORMALIZED_TECHNICAL_FIELDS) {
+    if (Array.isArray(technical[field])) technical[field] = normalizeSkillList(technical[field]);
+  }
+  return { ...profile, technical };
+}
+
+/**
+ * Replaces the custom aliases with rows from the skill_aliases table.
+ * @param {{ alias: string, skill: string }[]} rows
+ */
+function setCustomAliases(rows) {
+  customAliases = new Map(rows.map(row => [toKey(row.alias), { alias: row.alias, skill: row.skill }]));
+}
+
+function addCustomAlias(alias, skill) {
+  customAliases.set(toKey(alias), { alias, skill });
+}
+
+function removeCustomAlias(alias) {
+  return customAliases.delete(toKey(alias));
+}
+
+/**
+ * Validates a new alias. The skill may be given by any name the taxonomy resolves; the alias must not resolve yet.
+ * @param {{ alias?: string, skill?: string }} input
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validateAlias(input) {
+  const errors = {};
+  if (!input || typeof input !== 'object') return { body: 'must be an object' };
+  const { alias, skill } = input;
+  if (typeof alias !== 'string' || alias.trim() === '' || alias.length > MAX_ALIAS_LENGTH) {
+    errors.alias = `must be a non-empty string of at most ${MAX_ALIAS_LENGTH} characters`;
+  } else if (resolve(alias)) {
+    errors.alias = `already resolves to '${resolve(alias)}'`;
+  }
+  if (typeof skill !== 'string' || !resolve(skill)) {
+    errors.skill = 'must name a skill in the taxonomy';
+  }
+  return errors;
+}
+
+/**
+ * The taxonomy as served to admins: every skill with its parent, built-in aliases and custom aliases.
+ */
+function listSkills() {
+  return BUILT_IN_SKILLS.map(skill => ({
+    name: skill.name,
+    parent: skill.parent || null,
+    aliases: skill.aliases,
+    customAliases: [...customAliases.values()].filter(entry => entry.skill === skill.name).map(entry => entry.alias)
+  }));
+}
+
+module.exports = {
+  BUILT_IN_SKILLS,
+  toKey,
+  resolve,
+  canonicalName,
+  canonicalKey,
+  relatedness,
+  isA,
+  matchingKeys,
+  normalizeSkillList,
+  normalizeProfile,
+  setCustomAliases,
+  addCustomAlias,
+  removeCustomAlias,
+  validateAlias,
+  listSkills
+};
@@ -0,0 +1,87 @@
+// services/suggestionFeedbackService.js
+const scoring = require('./matchScoringService');
+
+// dismissed: hidden until expires_at, or for good when it is null (a snooze vs. a dismissal).
+// bookmarked: moved out of the suggestions into the bookmarks list.
+// not_relevant: hidden for good, with a reason.
+const ACTIONS = ['dismissed', 'bookmarked', 'not_relevant'];
+const NOT_RELEVANT_REASONS = ['skills', 'experience', 'role', 'industry', 'commitment', 'location', 'other'];
+const MAX_SNOOZE_DAYS = 365;
+const MAX_NOTE_LENGTH = 500;
+
+// Learning only starts once there is enough of both kinds of feedback to compare.
+const MIN_FEEDBACK_PER_SIDE = 3;
+const MIN_MULTIPLIER = 0.5;
+const MAX_MULTIPLIER = 1.5;
+
+/**
+ * Validates the body of a dismiss request.
+ * @returns {Object<string, string>} Field -> message; empty when valid.
+ */
+function validateDismiss(body) {
+  const errors = {};
+  const days = body && body.days;
+  if (days !== undefined && days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_SNOOZE_DAYS)) {
+    errors.days = `must be a whole number of days between 1 and ${MAX_SNOOZE_DAYS}, or omitted to dismiss permanently`;
+  }
+  return errors;
+}
+
+function validateNotRelevant(body) {
+  const errors = {};
+  if (!body || !NOT_RELEVANT_REASONS.includes(body.reason)) {
+    errors.reason = `must be one of ${NOT_RELEVANT_REASONS.join(', ')}`;
+  }
+  if (body && body.note !== undefined && body.note !== null && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+    errors.note = `must be a string of at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  return errors;
+}
+
+// Bookmarks are positive signals; permanent dismissals and "not relevant" are negative. Snoozes say "not now"
+// rather than "not this kind of person", so they are left out.
+function feedbackSignal(row) {
+  if (row.action === 'bookmarked') return 1;
+  if (row.action === 'not_relevant' || (row.action === 'dismissed' && !row.expires_at)) return -1;
+  return 0;
+}
+
+/**
+ * Derives per-dimension weight multipliers from a user's feedback in one mode. A dimension on which bookmarked
+ * candidates scored higher than rejected ones gains weight; one on which they scored lower loses it.
+ * @param {object[]} feedbackRows - suggestion_feedback rows with the breakdown captured when feedback was given.
+ * @param {'similar'|'complementary'} mode
+ * @returns {Object<string, number>} Dimension -> multiplier, for dimensions that moved; empty until there is enough feedback.
+ */
+function learnWeightMultipliers(feedbackRows, mode) {
+  const rows = feedbackRows.filter(row => row.mode === mode && row.breakdown);
+  const positive = rows.filter(row => feedbackSignal(row) > 0).map(row => row.breakdown);
+  const negative = rows.filter(row => feedbackSignal(row) < 0).map(row => row.breakdown);
+  if (positive.length < MIN_FEEDBACK_PER_SIDE || negative.length < MIN_FEEDBACK_PER_SIDE) return {};
+
+  const groups = mode === 'complementary' ? ['complementary'] : ['technical', 'business'];
+  const dimensions = [...new Set(groups.flatMap(group => Object.keys(scoring.DEFAULT_WEIGHTS[group])))];
+  const mean = (breakdowns, dimension) => {
+    const values = breakdowns.map(b => b[dimension]).filter(v => typeof v === 'number');
+    return values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+  };
+
+  const multipliers = {};
+  for (const dimension of dimensions) {
+    const positiveMean = mean(positive, dimension);
+    const negativeMean = mean(negative, dimension);
+    if (positiveMean === null || negativeMean === null) continue;
+    const multiplier = Math.round(Math.max(MIN_MULTIPLIER, Math.min(MAX_MULTIPLIER, 1 + (positiveMean - negativeMean))) * 100) / 100;
+    if (multiplier !== 1) multipliers[dimension] = multiplier;
+  }
+  return multipliers;
+}
+
+module.exports = {
+  ACTIONS,
+  NOT_RELEVANT_REASONS,
+  MAX_SNOOZE_DAYS,
+  validateDismiss,
+  validateNotRelevant,
+  learnWeightMultipliers
+};
@@ -0,0 +1,127 @@
+// services/suggestionQueryService.js
+// Parses the paging, sorting and filter parameters of GET /api/profile/suggestions, and turns them and the
+// user's hard filters into the predicates databaseService.getRankedMatchScores applies in SQL.
+const scoring = require('./matchScoringService');
+const taxonomy = require('./skillTaxonomyService');
+
+const SORT_OPTIONS = ['score', 'recent', 'experience'];
+// Score range of each matchStrength bucket: [min inclusive, max exclusive], null for open-ended.
+const STRENGTH_RANGES = {
+  excellent: [0.7, null],
+  high: [0.5, 0.7],
+  medium: [0.3, 0.5],
+  low: [null, 0.3]
+};
+const STRENGTH_BUCKETS = Object.keys(STRENGTH_RANGES);
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+function getMatchStrength(score) {
+  const bucket = STRENGTH_BUCKETS.find(name => {
+    const [min, max] = STRENGTH_RANGES[name];
+    return (min === null || score >= min) && (max === null || score < max);
+  });
+  return bucket.charAt(0).toUpperCase() + bucket.slice(1);
+}
+
+function parseList(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!SORT_OPTIONS.includes(decoded.sort) || !Array.isArray(decoded.key) || !decoded.key.every(Number.isFinite)) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validates the query string.
+ * @param {object} query - req.query
+ * @returns {{ errors: Object<string, string>, options: { limit: number, sort: string, cursorKey: number[]|null, technologies: string[], roles: string[], strengths: string[], minScore: number|null } }}
+ */
+function parseSuggestionQuery(query) {
+  const errors = {};
+  const options = {
+    limit: DEFAULT_LIMIT,
+    sort: query.sort || 'score',
+    cursorKey: null,
+    technologies: parseList(query.technology),
+    roles: parseList(query.role),
+    strengths: parseList(query.strength).map(s => s.toLowerCase()),
+    minScore: null
+  };
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.limit = `must be between 1 and ${MAX_LIMIT}`;
+    } else {
+      options.limit = limit;
+    }
+  }
+  if (!SORT_OPTIONS.includes(options.sort)) {
+    errors.sort = `must be one of ${SORT_OPTIONS.join(', ')}`;
+  }
+  if (query.cursor !== undefined) {
+    const decoded = decodeCursor(String(query.cursor));
+    if (!decoded) {
+      errors.cursor = 'is not a valid cursor';
+    } else if (decoded.sort !== options.sort) {
+      errors.cursor = `was issued for sort '${decoded.sort}'; restart paging without a cursor to change the sort`;
+    } else {
+      options.cursorKey = decoded.key;
+    }
+  }
+  const unknownStrengths = options.strengths.filter(s => !STRENGTH_BUCKETS.includes(s));
+  if (unknownStrengths.length > 0) {
+    errors.strength = `must be a comma-separated list of ${STRENGTH_BUCKETS.join(', ')}`;
+  }
+  if (query.minScore !== undefined) {
+    // Accepted as a percentage, matching the matchScore field of each suggestion.
+    const minScore = Number(query.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      errors.minScore = 'must be a percentage between 0 and 100';
+    } else {
+      options.minScore = minScore / 100;
+    }
+  }
+  return { errors, options };
+}
+
+/**
+ * The hard filters from the user's matching preferences and the request, as query predicates.
+ * Every required technology must be present (a more specific one counts: Next.js is React);
+ * within each list of roles, at least one must be. Experience bounds are levels from 1 to 5.
+ * @param {object} preferences - From matchPreferencesService.fromRow.
+ * @param {object} options - From parseSuggestionQuery.
+ * @returns {{ technologyKeys: string[][], roleGroups: string[][], experienceRange: { min: number|null, max: number|null }, strengthRanges: Array<Array<number|null>> }}
+ */
+function buildRankingFilters(preferences, options) {
+  const level = name => (name ? scoring.EXPERIENCE_LEVELS.indexOf(name) + 1 : null);
+  return {
+    technologyKeys: [...preferences.requiredTechnologies, ...options.technologies].map(taxonomy.matchingKeys),
+    roleGroups: [preferences.requiredRoles, options.roles]
+      .filter(roles => roles.length > 0)
+      .map(roles => roles.map(role => role.toLowerCase())),
+    experienceRange: { min: level(preferences.experienceRange.min), max: level(preferences.experienceRange.max) },
+    strengthRanges: options.strengths.map(bucket => STRENGTH_RANGES[bucket])
+  };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  STRENGTH_BUCKETS,
+  getMatchStrength,
+  parseSuggestionQuery,
+  buildRankingFilters,
+  encodeCursor
+};
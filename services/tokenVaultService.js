@@ -0,0 +1,149 @@
+// services/tokenVaultService.js
+const crypto = require('crypto');
+const githubService = require('./githubService');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Parses TOKEN_ENCRYPTION_KEYS, a comma-separated list of `keyId:base64Key` entries.
+ * The first entry is the active key used for new encryptions; the rest are only used
+ * to decrypt tokens that have not been rotated yet.
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+function loadKeys() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS environment variable is not set.');
+  }
+  const keys = new Map();
+  let activeKeyId = null;
+  for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(':');
+    if (idx === -1) throw new Error(`Malformed TOKEN_ENCRYPTION_KEYS entry: "${entry.slice(0, 8)}..."`);
+    const keyId = entry.slice(0, idx);
+    const key = Buffer.from(entry.slice(idx + 1), 'base64');
+    if (key.length !== 32) throw new Error(`Encryption key "${keyId}" must be 32 bytes (base64-encoded).`);
+    keys.set(keyId, key);
+    if (!activeKeyId) activeKeyId = keyId;
+  }
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS does not contain any keys.');
+  }
+  return { activeKeyId, keys };
+}
+
+function encrypt(plaintext, userId) {
+  const { activeKeyId, keys } = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  // Binding the ciphertext to its owner stops a row from being swapped onto another user.
+  cipher.setAAD(Buffer.from(`user:${userId}`));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return {
+    keyId: activeKeyId,
+    encryptedToken: [iv, tag, ciphertext].map(b => b.toString('base64')).join('.')
+  };
+}
+
+function decrypt(encryptedToken, keyId, userId) {
+  const { keys } = loadKeys();
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is no longer configured.`);
+  }
+  const [iv, tag, ciphertext] = encryptedToken.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(`user:${userId}`));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// The vault is a factory so it can share the injected 'db' instance with the controllers.
+module.exports = (db) => ({
+
+  /**
+   * Encrypts and stores a user's GitHub token, replacing any previous one.
+   * @param {number} userId
+   * @param {string} accessToken - The raw GitHub access token.
+   * @param {string} scopes - The scopes GitHub granted, as returned by the token exchange.
+   */
+  storeToken: async (userId, accessToken, scopes) => {
+    const { keyId, encryptedToken } = encrypt(accessToken, userId);
+    await db.upsertGithubToken(userId, { keyId, encryptedToken, scopes: scopes || '' });
+  },
+
+  /**
+   * Returns the decrypted token, or null if the user has none or it was revoked/invalidated.
+   * @param {number} userId
+   * @returns {Promise<string|null>}
+   */
+  getToken: async (userId) => {
+    const row = await db.getGithubToken(userId);
+    if (!row || row.status !== 'active' || !row.encrypted_token) return null;
+    const token = decrypt(row.encrypted_token, row.key_id, userId);
+    db.touchGithubToken(userId).catch(err => console.warn(`[Token Vault] Failed to update last_used_at for user ${userId}:`, err.message));
+    return token;
+  },
+
+  getTokenStatus: async (userId) => {
+    const row = await db.getGithubToken(userId);
+    if (!row) return { status: 'missing' };
+    return { status: row.status, scopes: row.scopes, lastUsedAt: row.last_used_at, invalidatedAt: row.invalidated_at };
+  },
+
+  /**
+   * Records that GitHub rejected the token (e.g. the user revoked the app on github.com).
+   * The ciphertext is wiped so the dead credential is not kept around.
+   */
+  markInvalid: async (userId) => {
+    console.warn(`[Token Vault] GitHub token for user ${userId} was rejected by GitHub; marking invalid.`);
+    await db.setGithubTokenStatus(userId, 'invalid');
+  },
+
+  /**
+   * Revokes the grant on GitHub (best effort) and removes the stored token.
+   * @returns {Promise<boolean>} false if there was no active token to revoke.
+   */
+  revokeToken: async (userId) => {
+    const row = await db.getGithubToken(userId);
+    if (!row || row.status !== 'active' || !row.encrypted_token) return false;
+    try {
+      await githubService.revokeGrant(decrypt(row.encrypted_token, row.key_id, userId));
+    } catch (err) {
+      console.warn(`[Token Vault] Could not revoke grant on GitHub for user ${userId}:`, err.message);
+    }
+    await db.setGithubTokenStatus(userId, 'revoked');
+    return true;
+  },
+
+  /**
+   * Re-encrypts every active token that is not under the active key.
+   * Run after putting a new key first in TOKEN_ENCRYPTION_KEYS; the old key can be dropped once it reports 0 remaining.
+   * Rows revoked, invalidated or replaced by a re-login while this runs are left alone and counted as skipped.
+   * @returns {Promise<{ rotated: number, skipped: number, failed: number }>}
+   */
+  rotateKeys: async () => {
+    const { activeKeyId } = loadKeys();
+    const rows = await db.getGithubTokensNotUsingKey(activeKeyId);
+    let rotated = 0, skipped = 0, failed = 0;
+    for (const row of rows) {
+      try {
+        const plaintext = decrypt(row.encrypted_token, row.key_id, row.user_id);
+        const { keyId, encryptedToken } = encrypt(plaintext, row.user_id);
+        const updated = await db.reencryptGithubToken(row.user_id, {
+          oldKeyId: row.key_id,
+          oldEncryptedToken: row.encrypted_token,
+          keyId,
+          encryptedToken
+        });
+        if (updated) rotated++;
+        else skipped++;
+      } catch (err) {
+        console.error(`[Token Vault] Failed to rotate token for user ${row.user_id}:`, err.message);
+        failed++;
+      }
+    }
+    return { rotated, skipped, failed };
+  }
+});